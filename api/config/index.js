@@ -0,0 +1,172 @@
+/**
+ * API configuration for one network profile (bsc-mainnet, bsc-testnet, local)
+ *   APP_NETWORK          profile name, default bsc-mainnet
+ *   APP_CHAIN_ID         chain id of a local node
+ *   APP_CONTRACT         binary proxy address
+ *   APP_TOKEN            USDT address
+ *   APP_SIGNER           API wallet address
+ *   APP_ROOT_WALLET      top of the binary tree
+ *   APP_RPC_URLS         comma separated RPC endpoints, APP_RED replaces only the first one
+ *   APP_RPC_MAX_RPS      requests per second per endpoint
+ *   INDEXER_START_BLOCK  first block indexed when there is no checkpoint
+ *   REACT_APP_PRIVATE_KY key of the API wallet, its address must be the signer
+ * `cargar` throws with every problem found, the API refuses to start on an invalid profile.
+ */
+
+const cron = require("node-cron"); // Schedule validation
+const { Web3 } = require("web3"); // Address of the signing key
+
+const { esWallet } = require("../services/walletAuth.js");
+const PERFILES = require("./profiles.js");
+
+const WalletVacia = "0x0000000000000000000000000000000000000000";
+
+const ABIS = ["binaryV1", "binaryV2"];
+
+/**
+ * @typedef {Object} Config
+ * @property {string} network
+ * @property {number} chainId
+ * @property {string} contract - binary proxy
+ * @property {string} token - USDT
+ * @property {string} signer - API wallet
+ * @property {string} root - lowercase, top of the tree
+ * @property {string} abi - module name of the proxy ABI
+ * @property {{ urls: string[], maxRps: number }} rpc
+ * @property {{ startBlock: number|null, confirmations: number }} indexer
+ * @property {{ timezone: string, indexer: string, contests: string, dailyScan: string, stats: string, withdrawals: string }} cron
+ * @property {{ factorPuntos: number, factorBlock: number, factorFail: number }} factors
+ */
+
+function entero(valor) {
+  return valor === undefined || valor === "" ? undefined : Number(valor);
+}
+
+function lista(valor) {
+  return valor.split(",").map((u) => u.trim()).filter((u) => u !== "");
+}
+
+// Profile defaults with the environment on top
+function combinar(perfil, env) {
+  let urls = env.APP_RPC_URLS ? lista(env.APP_RPC_URLS) : perfil.rpc.urls.slice();
+  if (!env.APP_RPC_URLS && env.APP_RED) urls[0] = env.APP_RED;
+
+  let inicio = entero(env.INDEXER_START_BLOCK);
+
+  return {
+    ...perfil,
+    chainId: entero(env.APP_CHAIN_ID) !== undefined ? entero(env.APP_CHAIN_ID) : perfil.chainId,
+    contract: env.APP_CONTRACT || perfil.contract,
+    token: env.APP_TOKEN || perfil.token,
+    signer: env.APP_SIGNER || perfil.signer,
+    root: env.APP_ROOT_WALLET || perfil.root,
+    rpc: { urls, maxRps: entero(env.APP_RPC_MAX_RPS) !== undefined ? entero(env.APP_RPC_MAX_RPS) : perfil.rpc.maxRps },
+    indexer: { ...perfil.indexer, startBlock: inicio !== undefined ? inicio : perfil.indexer.startBlock },
+    cron: { ...perfil.cron },
+    factors: { ...perfil.factors }
+  };
+}
+
+// Address of the API private key, null when there is no valid key
+function direccionDe(clave) {
+  if (typeof clave !== "string" || clave.trim() === "") return null;
+
+  clave = clave.trim();
+  if (!clave.startsWith("0x")) clave = "0x" + clave;
+
+  try {
+    return new Web3().eth.accounts.privateKeyToAccount(clave).address;
+  } catch (error) {
+    return null;
+  }
+}
+
+function validar(c, env = {}) {
+  let errores = [];
+
+  if (!Number.isInteger(c.chainId) || c.chainId <= 0) errores.push("chainId must be a positive integer");
+
+  for (let campo of ["contract", "token", "signer", "root"]) {
+    if (!esWallet(c[campo]) || c[campo] === WalletVacia) errores.push(campo + " must be a non-zero address");
+  }
+
+  // Transactions signed with another key would fail onlyOwner checks or move funds from the wrong wallet
+  let firmante = direccionDe(env.REACT_APP_PRIVATE_KY);
+
+  if (firmante === null) {
+    errores.push("REACT_APP_PRIVATE_KY must be the private key of the signer");
+  } else if (esWallet(c.signer) && firmante.toLowerCase() !== c.signer.toLowerCase()) {
+    errores.push("signer " + c.signer + " is not the address of REACT_APP_PRIVATE_KY (" + firmante + ")");
+  }
+
+  if (ABIS.indexOf(c.abi) === -1) errores.push("abi must be one of " + ABIS.join(", "));
+
+  if (c.rpc.urls.length === 0) errores.push("rpc.urls needs at least one endpoint");
+
+  for (let url of c.rpc.urls) {
+    try {
+      if (!/^https?:$/.test(new URL(url).protocol)) throw new Error();
+    } catch (error) {
+      errores.push("rpc url is not http(s): " + url.slice(0, 40)); // paths can carry API keys
+    }
+  }
+
+  if (!Number.isInteger(c.rpc.maxRps) || c.rpc.maxRps <= 0) errores.push("rpc.maxRps must be a positive integer");
+
+  if (c.indexer.startBlock !== null && (!Number.isInteger(c.indexer.startBlock) || c.indexer.startBlock < 0)) {
+    errores.push("indexer.startBlock must be a block number");
+  }
+
+  if (!Number.isInteger(c.indexer.confirmations) || c.indexer.confirmations < 0) errores.push("indexer.confirmations must be 0 or more");
+
+  for (let [nombre, expresion] of Object.entries(c.cron)) {
+    if (nombre === "timezone") continue;
+    if (typeof expresion !== "string" || !cron.validate(expresion)) errores.push("cron." + nombre + " is not a valid schedule");
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: c.cron.timezone });
+  } catch (error) {
+    errores.push("cron.timezone is not a known time zone");
+  }
+
+  for (let [nombre, valor] of Object.entries(c.factors)) {
+    if (typeof valor !== "number" || !Number.isFinite(valor) || valor <= 0) errores.push("factors." + nombre + " must be a positive number");
+  }
+
+  return errores;
+}
+
+/**
+ * @param {string} [network]
+ * @param {Object} [env]
+ * @returns {Config}
+ */
+function cargar(network = process.env.APP_NETWORK || "bsc-mainnet", env = process.env) {
+  let perfil = PERFILES[network];
+
+  if (perfil === undefined) {
+    throw new Error("unknown APP_NETWORK " + network + ", expected one of " + Object.keys(PERFILES).join(", "));
+  }
+
+  let config = combinar(perfil, env);
+  let errores = validar(config, env);
+
+  if (errores.length > 0) {
+    throw new Error("invalid " + network + " configuration: " + errores.join("; "));
+  }
+
+  config.network = network;
+  config.root = config.root.toLowerCase();
+
+  return Object.freeze(config);
+}
+
+// What clients may read to check they point to the same network
+function publica(config) {
+  let { network, chainId, contract, token, signer } = config;
+
+  return { network, chainId, contract, token, signer };
+}
+
+module.exports = { cargar, publica, PERFILES: Object.keys(PERFILES) };
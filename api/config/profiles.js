@@ -0,0 +1,81 @@
+/**
+ * Network profiles for the API, picked with APP_NETWORK
+ * Values here are the defaults of each network; config/index.js applies the environment overrides
+ * and validates the result before anything connects.
+ */
+
+// Schedules shared by every network (node-cron, seconds first)
+const CRON = {
+  timezone: "America/Bogota",
+  indexer: "0 */1 * * * *", // new blocks sent to the proxy
+  contests: "30 */1 * * * *", // freeze ended contests
+  dailyScan: "0 0 4 * * *", // full network rescan
+  stats: "0 59 * * * *", // daily platform metrics, the 23:59 run closes the day
+  withdrawals: "*/30 * * * * *" // resolve withdrawals left open
+};
+
+// Payout factors
+const FACTORES = {
+  factorPuntos: 100, // Points per 100 units invested
+  factorBlock: 1.5, // Gas price multiplier quoted for corteBinarioDo
+  factorFail: 30 // Multiplier over a 21000 gas transfer, quoted when the estimate fails
+};
+
+module.exports = {
+  "bsc-mainnet": {
+    chainId: 56,
+    contract: "0xDF06438ab07c807fe3c1fBF1437DEf79BA8c1232", // Binary proxy V2 (V1: 0x86bce12014a6c721156C536Be22DA7F30b6F33C1)
+    token: "0x55d398326f99059fF775485246999027B3197955", // USDT (BEP-20)
+    signer: "0x6b78C6d2031600dcFAd295359823889b2dbAfd1B", // API wallet, signs every contract write
+    root: "0x04302e4e19552635eadd013efe54e10f30ba1bf2", // Top of the binary tree
+    abi: "binaryV2",
+    rpc: {
+      urls: [
+        "https://bsc-dataseed.binance.org/",
+        "https://bsc-dataseed1.binance.org/",
+        "https://bsc-dataseed2.binance.org/",
+        "https://bsc-dataseed3.binance.org/",
+        "https://bsc-dataseed4.binance.org/"
+      ],
+      maxRps: 8
+    },
+    indexer: { startBlock: null, confirmations: 3 },
+    cron: CRON,
+    factors: FACTORES
+  },
+
+  // The testnet proxy is redeployed often, its address always comes from APP_CONTRACT
+  "bsc-testnet": {
+    chainId: 97,
+    contract: null,
+    token: "0xd5881b890b443be0c609BDFAdE3D8cE886cF9BAc", // Test USDT
+    signer: null,
+    root: null,
+    abi: "binaryV2",
+    rpc: {
+      urls: [
+        "https://data-seed-prebsc-1-s1.binance.org:8545/",
+        "https://data-seed-prebsc-2-s1.binance.org:8545/",
+        "https://data-seed-prebsc-1-s2.binance.org:8545/"
+      ],
+      maxRps: 4
+    },
+    indexer: { startBlock: null, confirmations: 3 },
+    cron: CRON,
+    factors: FACTORES
+  },
+
+  // Hardhat / Ganache node, addresses come from the local deployment
+  "local": {
+    chainId: 31337,
+    contract: null,
+    token: null,
+    signer: null,
+    root: null,
+    abi: "binaryV2",
+    rpc: { urls: ["http://127.0.0.1:8545/"], maxRps: 50 },
+    indexer: { startBlock: 0, confirmations: 0 },
+    cron: CRON,
+    factors: FACTORES
+  }
+};
@@ -12,88 +12,98 @@ const bodyParser = require("body-parser"); // Request body parsing
 const BigNumber = require("bignumber.js"); // Precise decimal calculations
 const mongoose = require('mongoose'); // MongoDB ODM
 const cron = require('node-cron'); // Scheduled tasks
+const expressWs = require("express-ws"); // WebSocket routes
 require("dotenv").config(); // Environment variables
 
+const logger = require("./services/logger.js"); // Structured JSON logs, secrets from the environment are redacted
+
+const { crearNonce, comprobarFirma, consumirFirma, verificarFirma } = require("./services/walletAuth.js"); // Wallet signature authentication
+const { actualizarTier } = require("./services/tiers.js"); // Investment tiers
+const binario = require("./models/binario.js"); // Binary system model
+const ledger = require("./services/pointsLedger.js"); // Double-entry points ledger
+const audit = require("./services/audit.js"); // Append-only audit log
+const snapshots = require("./services/treeSnapshots.js"); // Daily copies of the tree
+const leaderboards = require("./services/leaderboards.js"); // Rankings and contests
+const cache = require("./services/cache.js"); // Shared cache of binary reads (Redis or node-cache)
+const metricas = require("./services/metrics.js"); // Prometheus metrics registry
+const { asincrono, errores } = require("./routes/util.js"); // Async handlers report to the JSON error middleware
+
+// Network profile (APP_NETWORK), the API does not start with an invalid one
+const perfiles = require("./config/index.js");
+let config;
+
+try {
+  config = perfiles.cargar();
+} catch (error) {
+  logger.error("invalid configuration", { err: error });
+  process.exit(1);
+}
+
 // Utility function for delays
 function delay(s) { return new Promise(res => setTimeout(res, s * 1000)); }
 
 // Database and configuration constants
 const uriMongoDB = process.env.REACT_APP_ENV === 'production' ? process.env.APP_URIMONGODB : process.env.APP_URIMONGODB_TEST; // MongoDB connection string
 const WalletVacia = "0x0000000000000000000000000000000000000000"; // Empty wallet address
-const factorBlock = 1.5; // Gas price multiplier for transactions
-const factorFail = 30; // Gas price for failed transactions
-const factorPuntos = 100; // Points factor for investments
+const WalletRaiz = config.root; // Top of the binary tree
+const { factorBlock, factorFail, factorPuntos } = config.factors; // Payout factors of the profile
 
-// Global data structures for binary network
-let allbinario = []; // All binary users
-let binarioindexado = []; // Indexed binary users
+// Scheduled tasks run in the profile time zone
+function programar(expresion, fn) {
+  return cron.schedule(expresion, fn, { timezone: config.cron.timezone });
+}
 
-let appReady = false; // Application readiness flag
+let escaneo = { running: false, startedAt: null, endedAt: null, lastMs: null, lastError: null }; // Daily rescan runs
 
-// Scheduled task: Update binary network every hour
-cron.schedule('0 0 */1 * * *', async () => {
-  console.log('running a task every Hour scan Binary');
+// Scheduled task: Index new blocks every minute, only touched wallets and their uplines are refreshed
+programar(config.cron.indexer, async () => {
+  let resumen = await indexador.ejecutar();
 
-  appReady = false; // Mark app as not ready during update
+  if (resumen.result && resumen.transacciones > 0) {
+    logger.info("indexer blocks " + resumen.desde + "-" + resumen.hasta, { transactions: resumen.transacciones, wallets: resumen.wallets });
+  }
 
-  await consultarBinario(); // Fetch current binary data
-  await escalarRedV2(["0x04302e4e19552635eadd013efe54e10f30ba1bf2"]); // Scale network
-  await consultarBinario(); // Refresh data
+});
 
-  console.log('end task every Hour ');
-
-}, null, true, 'America/Bogota');
-
-
-// Mongoose schema for binary system user data
-const Schema = mongoose.Schema;
-
-const Binario = new Schema({
-  _id: String, // Unique identifier
-  wallet: String, // User's wallet address
-  registered: Boolean, // Registration status
-  invested: String, // Total invested amount
-  invested_leader: String, // Leader investment amount
-  upTo: String, // Maximum earnings potential
-  lastUpdate: Number, // Last update timestamp
-  reclamados: String, // Total claimed points
-  referer: String, // Referrer wallet
-  up: String, // Upline wallet
-  left: String, // Left downline wallet
-  lReclamados: String, // Left claimed points
-  lExtra: String, // Left extra points
-  lPersonas: String, // Left downline count
-  lPuntos: String, // Left total points
-  right: String, // Right downline wallet
-  rReclamados: String, // Right claimed points
-  rExtra: String, // Right extra points
-  rPersonas: String, // Right downline count
-  rPuntos: String, // Right total points
-  idBlock: Number, // Block ID
-  idBlock_old: Number, // Old block ID
-  puntosActivos: String, // Active points
-  hand: Number, // Hand position (0=left, 1=right)
-  retirableA: Number // Withdrawable amount
+// Scheduled task: Freeze the standings of contests that ended
+programar(config.cron.contests, async () => {
+  await leaderboards.cerrarVencidos().catch((e) => logger.error("contest close failed", { err: e }));
 });
 
-const binario = mongoose.model('binari_system', Binario, 'binari_system'); // Binary system model
+// Scheduled task: Full network rescan once a day, catches what the indexer cannot see
+programar(config.cron.dailyScan, async () => {
+  logger.info("daily scan started");
 
-// Function to wait for app readiness
-async function evalAplicacion() {
-  while (!appReady) {
-    await delay(3); // Wait 3 seconds
-    console.log("app no lista"); // App not ready
+  // the stored network keeps being served, /health/deep reports the scan as degraded
+  escaneo = { ...escaneo, running: true, startedAt: new Date(), lastError: null };
+
+  try {
+    await consultarBinario(); // Fetch current binary data
+    await escalarRedV2([WalletRaiz]); // Scale network
+  } catch (error) {
+    escaneo.lastError = error.toString();
+    logger.error("daily scan failed", { err: error });
   }
-  return appReady;
-}
+
+  await consultarBinario(); // Refresh data
+  escaneo = { ...escaneo, running: false, endedAt: new Date(), lastMs: Date.now() - escaneo.startedAt.getTime() };
+
+  await snapshots.tomar("daily-scan").catch((e) => logger.error("tree snapshot failed", { err: e })); // History of points and links
+
+  logger.info("daily scan finished", { ms: escaneo.lastMs });
+
+});
 
 // Express app setup
 const app = express();
+expressWs(app); // adds router.ws, must run before the routers are created
+app.use(logger.middleware); // X-Request-Id, carried by every log line of the request
+app.use(metricas.middlewareHttp); // latency and errors per route for /metrics
 //app.use(cors()) // CORS disabled, using custom headers
 app.use(async (req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "*"); // Allow all origins
-  res.setHeader("Access-Control-Allow-Methods", "POST, GET, PUT"); // Allowed methods
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type"); // Allowed headers
+  res.setHeader("Access-Control-Allow-Methods", "POST, GET, PUT, DELETE"); // Allowed methods
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization"); // Allowed headers
   next();
 });
 
@@ -101,69 +111,141 @@ app.use(bodyParser.json()); // Parse JSON bodies
 
 const port = process.env.PORT || "8000"; // Server port
 
-// Contract configuration
-const abiContrato = require("./binaryV2.js"); // ABI for V2 binary contract
-const addressContrato = "0xDF06438ab07c807fe3c1fBF1437DEf79BA8c1232"//"0x86bce12014a6c721156C536Be22DA7F30b6F33C1"; // Proxy contract address
-const WALLET_API = "0x6b78C6d2031600dcFAd295359823889b2dbAfd1B"; // API wallet address
-
-// Blockchain network configuration
-const RED = process.env.APP_RED || "https://bsc-dataseed.binance.org/"; // Primary RPC endpoint
-let redes = ["https://bsc-dataseed1.binance.org/", "https://bsc-dataseed2.binance.org/", "https://bsc-dataseed3.binance.org/", "https://bsc-dataseed4.binance.org/"]; // Backup RPC endpoints
+// Contract configuration, from the network profile
+const abiContrato = require("./" + config.abi + ".js"); // ABI of the binary proxy
+const addressContrato = config.contract; // Proxy contract address
+const WALLET_API = config.signer; // API wallet address
 
-let account_1_priv = "0x" + process.env.REACT_APP_PRIVATE_KY || null; // Private key for transactions
+let account_1_priv = "0x" + process.env.REACT_APP_PRIVATE_KY.trim().replace(/^0x/, ""); // Private key for transactions, config checked it belongs to the signer
 
 const KEY = process.env.REACT_APP_ENCR_STO || "AAAAAAAAAAAAAAAA";
-console.log("KEY: " + KEY);
+logger.secreto(KEY); // the defaults are not in the environment
 const cryptr = new Cryptr(KEY);
 const TOKEN = process.env.REACT_APP_API_KEY || "1234567890";
 
 const RUTA = "/api/v1/";
 
-let web3 = new Web3(RED); // demas funciones
-let web3_1 = new Web3(redes[0]); // contrato nuevo
-let web3_2 = new Web3(redes[1]); // contrato viejo
-let web3_3 = new Web3(redes[2]);
+// Every RPC call, including contrato.methods.*.call(), goes through the provider pool
+const poolRpc = require("./services/rpcPool.js")({
+  urls: config.rpc.urls,
+  maxRps: config.rpc.maxRps
+});
 
-//console.log(web3.eth.accounts.create())
+poolRpc.iniciar();
+
+let web3 = new Web3(poolRpc);
+
+// Endpoints of another chain would have the API sign for the wrong network
+web3.eth.getChainId().then((id) => {
+  if (Number(id) !== config.chainId) {
+    logger.error("rpc chain id does not match the profile", { network: config.network, expected: config.chainId, got: Number(id) });
+    process.exit(1);
+  }
+}).catch((e) => logger.warn("chain id check skipped, rpc not reachable", { err: e }));
 
 if (account_1_priv === null) {
-  console.log("no hay llave privada")
   let newAccount = web3.eth.accounts.create();
-  console.log("nueva cuenta: ", newAccount.address)
-  console.log("nueva llave: ", newAccount.privateKey)
+  logger.warn("no private key configured, using a new random account", { address: newAccount.address })
   account_1_priv = newAccount.privateKey; //
 }
 
 // Add private key to Web3 wallets for transaction signing
+logger.secreto(account_1_priv);
 web3.eth.accounts.wallet.add(account_1_priv);
-web3_1.eth.accounts.wallet.add(account_1_priv);
-web3_2.eth.accounts.wallet.add(account_1_priv);
-web3_3.eth.accounts.wallet.add(account_1_priv);
 
-let nonces = 0; // Transaction nonce counter
 let gasPrice = "1000000000"; // Default gas price (1 gwei)
 
 // Initialize contract instance
-let contrato = new web3_1.eth.Contract(abiContrato, addressContrato, { // New proxy contract
+let contrato = new web3.eth.Contract(abiContrato, addressContrato, { // New proxy contract
   from: WALLET_API, // Default sender address
   //gasPrice: '3000000000' // Default gas price (optional)
 });
 
+// Incremental indexer of transactions sent to the proxy
+const indexador = require("./services/indexer.js")({
+  web3,
+  abi: abiContrato,
+  address: addressContrato,
+  binario,
+  refrescarWallet: (wallet) => consultarUsuario(wallet, true, true, true),
+  recalcularBinario: binariV2,
+  confirmaciones: config.indexer.confirmations,
+  bloqueInicial: config.indexer.startBlock
+});
+
+// Queue for every contract write signed by the API wallet
+const colaTx = require("./services/txQueue.js")({
+  web3,
+  contrato,
+  signer: WALLET_API,
+  privateKey: account_1_priv,
+  poolRpc
+});
+
+colaTx.iniciar();
+
+// Gas fees paid by users in BNB before a withdrawal
+const pagosGas = require("./services/gasPayments.js")({ web3, receptor: WALLET_API });
+
+// Withdrawal ledger, points are deducted after the corteBinarioDo receipt
+const retiros = require("./services/withdrawals.js")({ colaTx });
+
+// Whole network points computed in memory, binariV2 stays for single wallets
+const motorBinario = require("./services/binaryEngine.js")({ binario, factorPuntos });
+
+// Tree integrity scan and reviewed repairs
+const integridad = require("./services/treeIntegrity.js")({ binario, contrato, raiz: WalletRaiz });
+
+// Readiness gate for data endpoints and deep health report
+const salud = require("./services/health.js")({
+  web3,
+  poolRpc,
+  indexador,
+  colaTx,
+  signer: WALLET_API,
+  estadoApp: () => ({ escaneo }),
+  saldoMinimo: process.env.APP_MIN_SIGNER_BNB || "0.01"
+});
+
+// Prometheus metrics kept here, services register their own
+const duracionEscaneo = metricas.histograma("network_rescan_duration_seconds", "Full network rescan (escalarRedV2) duration", [], [60, 300, 900, 1800, 3600, 7200, 14400, 28800]);
+const walletsEscaneo = metricas.medidor("network_rescan_wallets", "Wallets processed by the last full network rescan");
+const saldoSigner = metricas.medidor("signer_balance_bnb", "BNB balance of the API signer wallet", ["address"]);
+const precioGas = metricas.medidor("gas_price_gwei", "Network gas price in gwei");
+
+metricas.recolectar(async () => {
+  let [saldo, precio] = await Promise.all([web3.eth.getBalance(WALLET_API), web3.eth.getGasPrice()]);
+
+  saldoSigner.set({ address: WALLET_API }, new BigNumber(saldo.toString()).shiftedBy(-18).toNumber());
+  precioGas.set({}, new BigNumber(precio.toString()).shiftedBy(-9).toNumber());
+});
+
+// Daily platform metrics
+const estadisticas = require("./services/stats.js")({ contrato, zona: config.cron.timezone });
+
+// Scheduled task: record today's metrics every hour, the 23:59 run closes the day
+programar(config.cron.stats, async () => {
+  await estadisticas.registrar().catch((e) => logger.error("stats record failed", { err: e }));
+});
+
+// Scheduled task: resolve withdrawals whose transaction finished after the request returned
+programar(config.cron.withdrawals, async () => {
+  await retiros.procesarPendientes().catch((e) => logger.error("pending withdrawals failed", { err: e }));
+});
+
 // Get current gas price from network
-web3_3.eth
+web3.eth
   .getGasPrice()
   .then((g) => {
     gasPrice = g; // Update gas price
   })
   .catch((e) => {
-    console.log(e); // Log errors
+    logger.error("gas price read failed", { err: e });
   });
 
-nonce(0); // Initialize nonce
-
-web3_3.eth.getBalance(WALLET_API).then(async (r) => {
+web3.eth.getBalance(WALLET_API).then(async (r) => {
   r = new BigNumber(r).shiftedBy(-18)
-  console.log("balance: " + r.toString(10) + " BNB")
+  logger.info("signer balance", { address: WALLET_API, bnb: r.toString(10) })
 
   if (r.toNumber() > 0.3) {
     let evio = r.minus(0.2)
@@ -177,29 +259,12 @@ web3_3.eth.getBalance(WALLET_API).then(async (r) => {
           "value": amountToSend
         }
     */
-    console.log("Enviar a Binance: " + evio.toString(10) + " BNB")
+    logger.info("signer balance above 0.3 BNB, surplus to send", { bnb: evio.toString(10) })
 
   }
 
 })
 
-async function nonce() {
-  let activo = await web3_3.eth.getTransactionCount(WALLET_API, "pending"); // Get pending nonce from network
-
-  gasPrice = new BigNumber(await web3_3.eth.getGasPrice()); // Update current gas price
-
-  console.log("gas: " + gasPrice.toString(10) + " factor: " + factorBlock);
-
-  if (activo > nonces) {
-    nonces = activo; // Sync with network nonce
-  } else {
-    nonces++; // Increment local nonce
-  }
-
-  return nonces;
-}
-
-
 // Encrypt string for secure API communication
 function encryptString(s) {
   if (typeof s === "string") {
@@ -216,24 +281,21 @@ function decryptString(s) {
     return JSON.parse(cryptr.decrypt(s));
 
   } catch (error) {
-    console.error("Decryption error:", error);
-    console.log("String to decrypt:", s);
+    logger.error("decryption failed", { err: error });
     return {}; // Return original string on error
   }
 
 }
 
+cache.iniciar(); // Redis when APP_REDIS_URL is set, node-cache otherwise
 iniciarAplicacion(); // Start application initialization
 
+// Data endpoints answer once Mongo is connected and the indexer made its first pass (/health/ready)
 async function iniciarAplicacion() {
-  if (!appReady) {
-    await mongoose.connect(uriMongoDB)
-      .then(async () => {
-        console.log("MongoDB Connected"); // Connection successful
-        console.log(">---- App Ready! -------<"); // App initialization complete
-      });
-  }
-  return appReady;
+  await mongoose.connect(uriMongoDB)
+    .then(async () => {
+      logger.info("MongoDB connected"); // Connection successful
+    });
 }
 
 // Basic routes
@@ -242,13 +304,47 @@ app.get("/", (req, res) => {
 });
 
 app.get('/health', (req, res) => {
-  res.send("ok"); // Health check endpoint
+  res.send("ok"); // Liveness, the process answers
 });
 
+app.use("/health", require("./routes/health.js")({ salud })); // Readiness and dependency checks
+
+// Prometheus scrape, APP_METRICS_TOKEN set requires "Authorization: Bearer <token>"
+app.get("/metrics", asincrono(async (req, res) => {
+  if (process.env.APP_METRICS_TOKEN && req.headers.authorization !== "Bearer " + process.env.APP_METRICS_TOKEN) {
+    return res.status(401).send({ result: false, error: true, msg: "not authorized" });
+  }
+
+  res.set("Content-Type", metricas.TIPO_CONTENIDO);
+  res.send(await metricas.exponer());
+}));
+
+// Data endpoints answer 503 with Retry-After while Mongo is down or the network is being rescanned
+app.use([
+  RUTA + "binario", RUTA + "puntos", RUTA + "leaderboard", RUTA + "stats", RUTA + "total",
+  RUTA + "usuario", RUTA + "retiro", RUTA + "calculate"
+], salud.requiereListo);
+
 app.get(RUTA, (req, res) => {
   res.send({ online: true }); // API status endpoint
 });
 
+// Network the API runs on, the frontend checks it matches its own profile
+app.get(RUTA + "config", (req, res) => {
+  res.send({ result: true, data: perfiles.publica(config) });
+});
+
+app.use("/api/auth", require("./routes/auth.js")({ contrato })); // Wallet sessions (JWT)
+app.use("/api/tiers", require("./routes/tiers.js")({ consultarUsuario })); // Investment tiers
+app.use(RUTA + "binario/integridad", require("./routes/integrity.js")({ integridad })); // Tree integrity checker
+app.use(RUTA + "puntos", require("./routes/points.js")()); // Points ledger statement and reconciliation
+app.use(RUTA + "audit", require("./routes/audit.js")()); // Audit log queries
+app.use(RUTA + "binario", require("./routes/snapshots.js")()); // Tree history and snapshot diffs
+app.use(RUTA + "binario", require("./routes/tree.js")()); // Placement subtree
+app.use(RUTA + "leaderboard", require("./routes/leaderboards.js")()); // Rankings and contests
+app.use(RUTA + "stats", require("./routes/stats.js")({ estadisticas })); // Platform statistics time series
+app.use(RUTA + "ws", require("./routes/live.js")()); // Live updates per wallet
+
 
 async function hacerTakeProfit(wallet) {
 
@@ -258,14 +354,29 @@ async function hacerTakeProfit(wallet) {
     result: false,
   };
 
+  // per-wallet lock: a second request waits for the first withdrawal to be resolved
+  let retiro = await retiros.abrir(wallet)
+
+  if (retiro === null) {
+    result.error = true;
+    result.message = "withdrawal already in progress";
+    return result;
+  }
+
   let user = null
-  let newUser = {}
 
   try {
     user = await binario.findOne({ wallet }, { _id: false })
 
   } catch (error) {
-    console.log(error.toString())
+    logger.error("binario read failed", { wallet, err: error })
+  }
+
+  if (user === null) {
+    await retiros.cancelar(retiro, "user not found")
+    result.error = true;
+    result.message = "user not found";
+    return result;
   }
 
   let puntosL = new BigNumber(user.lPuntos).minus(user.lReclamados).plus(user.lExtra).dp(0)
@@ -277,82 +388,124 @@ async function hacerTakeProfit(wallet) {
   //sobre estos puntos calcula lo que puede retirar en USDT
   let retiroBinario = retirableBinario(puntosL.toString(10), puntosR.toString(10))
 
-  let puntosUsados = new BigNumber(0)
-
   if (new BigNumber(retiroBinario).toNumber() <= 0) {
     retiroBinario = 0
-  } else {
-    newUser.lReclamados = new BigNumber(user.lReclamados).plus(puntosReclamados).toString(10)
-    newUser.rReclamados = new BigNumber(user.rReclamados).plus(puntosReclamados).toString(10)
-
-    puntosUsados = new BigNumber(newUser.lReclamados)
-
+    puntosReclamados = new BigNumber(0)
   }
 
+  retiro = await retiros.enviar(retiro, user, { retiroBinario, puntosReclamados })
 
-  let gas = await contrato.methods
-    .corteBinarioDo(wallet, retiroBinario, puntosUsados.toString(10), 0)
-    .estimateGas({ from: WALLET_API }); // gas: 1000000});
+  // points are only deducted once the transaction is mined
+  retiro = await retiros.esperar(retiro, 60 * 1000)
 
-  await contrato.methods
-    .corteBinarioDo(wallet, retiroBinario, puntosUsados.toString(10), 0)
-    .send({ gasPrice: gasPrice.toString(10), gas: gas })
-    .then(async (r) => {
-      await binario.updateOne({ wallet }, newUser)
-      console.log("Corte Binario: " + wallet)
+  result.retiro = retiro._id;
 
-      result.hash = r.transactionHash;
-      result.result = true;
-      result.error = false;
-      console.log("Registro Retiro " + wallet);
-    })
-    .catch(async (e) => {
-      let error = e.toString()
-      if (error.indexOf("Transaction Hash: ") >= 0) {
-        await binario.updateOne({ wallet: wallet }, newUser)
-        console.log("Corte Binario (2): " + wallet)
+  if (retiro.status === "confirmed") {
+    logger.info("withdrawal confirmed", { wallet, withdrawal: retiro._id, hash: retiro.hash })
 
-        result.hash = "operation processing is in progress please be patient";
-        result.result = true;
-        result.error = false;
-        console.log("Registro Retiro " + wallet);
+    result.hash = retiro.hash;
+    result.result = true;
+    result.error = false;
 
-      } else {
-        console.error(e);
-        console.log("RR Fallo " + wallet);
-        result.result = false;
-        result.error = true;
-        result.message = e.toString();
+  } else if (retiro.status === "reverted") {
+    logger.warn("withdrawal reverted", { wallet, withdrawal: retiro._id, error: retiro.error });
+    result.result = false;
+    result.error = true;
+    result.message = retiro.error;
 
-      }
-
-    });
+  } else {
+    logger.info("withdrawal pending", { wallet, withdrawal: retiro._id, job: retiro.jobId })
 
+    result.hash = "operation processing is in progress please be patient";
+    result.job = retiro.jobId;
+    result.result = true;
+    result.error = false;
+  }
 
   consultarUsuario(wallet, true)
 
   return result;
 }
 
-app.post(RUTA + "retiro", async (req, res) => {
+// Actions that must be authorized with a wallet signature
+const ACCIONES_FIRMADAS = ["retiro", "calculate/retiro"];
+
+// Issue a challenge the wallet has to sign before calling a protected action
+app.post(RUTA + "nonce", asincrono(async (req, res) => {
   let result = {
     result: false,
+    error: true,
+    message: "not valid action"
   };
 
-  if (typeof req.body.data === "string") {
-    var data = decryptString(req.body.data);
-
-    if (
-      data.token == TOKEN &&
-      data.fecha + 5 * 60 * 1000 >= Date.now() &&
-      data.origen === "web-kapp3"
-    ) {
-      result = await hacerTakeProfit(data.wallet)
+  let { wallet = null, accion = null } = req.body;
+
+  if (ACCIONES_FIRMADAS.indexOf(accion) >= 0) {
+    try {
+      result = await crearNonce(wallet, accion);
+    } catch (error) {
+      logger.error("nonce creation failed", { err: error })
+      result.message = "nonce error"
     }
   }
 
   res.send(result);
-});
+}));
+
+app.post(RUTA + "retiro", asincrono(async (req, res) => {
+  let result = {
+    result: false,
+  };
+
+  // the signature is only consumed once the payment checks out, a payment still confirming can be
+  // retried with the same signature
+  let firma = await comprobarFirma(req.body.data, "retiro");
+
+  if (!firma.result) {
+    result.error = true
+    result.message = firma.message
+    return res.send(result);
+  }
+
+  // the user pays the gas of corteBinarioDo in BNB, quoted by calculate/retiro
+  let gasTx = req.body.data.gasTx
+  let pago = await pagosGas.verificarPago(firma.wallet, gasTx)
+
+  if (!pago.result) {
+    result.error = true
+    result.message = pago.message
+    return res.send(result);
+  }
+
+  if (!(await consumirFirma(firma))) {
+    result.error = true
+    result.message = "nonce already used"
+    return res.send(result);
+  }
+
+  if (!(await pagosGas.consumir(firma.wallet, gasTx, pago))) {
+    result.error = true
+    result.message = "gas payment already used"
+    return res.send(result);
+  }
+
+  try {
+    // one correlation id for the request, the queued transaction and the later resolution
+    result = await logger.contexto({ correlationId: "withdrawal-" + logger.nuevoId() }, () => audit.auditar({ actor: firma.wallet, wallet: firma.wallet, operation: "retiro", origin: audit.origenDe(req) }, () => hacerTakeProfit(firma.wallet)))
+  } catch (error) {
+    logger.error("withdrawal failed", { wallet: firma.wallet, err: error })
+    await pagosGas.liberar(gasTx).catch((e) => logger.error("gas payment release failed", { gasTx, err: e }))
+    return res.status(500).send({ result: false, error: true, message: "withdrawal failed, the gas payment can be used again" });
+  }
+
+  if (result.retiro) {
+    await pagosGas.asignar(gasTx, result.retiro)
+  } else {
+    await pagosGas.liberar(gasTx)
+  }
+
+  res.send(result);
+}));
 
 async function estimateRetiro(wallet) {
   wallet = wallet.toLowerCase();
@@ -377,61 +530,100 @@ async function estimateRetiro(wallet) {
   await contrato.methods.corteBinarioDo(wallet, retBinario.toString(10), reclamados.plus(user.lReclamados).toString(10), "0").estimateGas({ from: WALLET_API })
     .then((r) => {
       result.result = true;
-      result.gas = new BigNumber(r).times(gasPrice).times(factorBlock);
+      result.gas = new BigNumber(r).times(gasPrice).times(factorBlock).integerValue(BigNumber.ROUND_CEIL);
+      result.receiver = WALLET_API;
       result.error = false;
-      console.log(
-        "calculo Retiro: " + wallet + " - " + retBinario.toString(10) + " | " + new BigNumber(r).toString(10)
-      );
+      logger.info("withdrawal estimate", { wallet, amount: retBinario.toString(10), gas: new BigNumber(r).toString(10) });
     })
     .catch((e) => {
       result.result = false;
       result.gas = new BigNumber(21000).times(gasPrice).times(factorFail);
       result.error = true;
       result.message = e.toString();
-      console.log(result.message);
+      logger.warn("withdrawal estimate failed", { wallet, error: result.message });
     });
 
+  if (result.result) {
+    await pagosGas.cotizar(wallet, result.gas);
+  }
+
   return result;
 
 }
 
-app.post(RUTA + "calculate/retiro", async (req, res) => {
+app.post(RUTA + "calculate/retiro", asincrono(async (req, res) => {
   let result = {
     result: false,
     error: true,
     message: "do nothing"
   };
 
-  let {data = null} = req.body;
+  let firma = await verificarFirma(req.body.data, "calculate/retiro");
 
-  if (data && typeof data === "string") {
-    result.message = "data error"
-    let dec = decryptString(data);
-    console.log(dec)
+  if (firma.result) {
+    result = await estimateRetiro(firma.wallet);
+  } else {
+    result.message = firma.message
+  }
 
-    result.message = "token error"
-    if (dec.token == TOKEN) {
+  res.send(result);
+}));
 
-      result.message = "time error"
-      if (dec.fecha + 5 * 60 * 1000 >= Date.now()) {
-      }
 
-      result = await estimateRetiro(dec.wallet);
-    }
+// Withdrawal history of a wallet
+app.get(RUTA + "retiros", asincrono(async (req, res) => {
+  let result = {
+    result: false,
+    error: true,
+    msg: "not valid wallet parameter"
+  };
+
+  if (req.query.wallet) {
+    result = {
+      result: true,
+      data: await retiros.listar(req.query.wallet.toString())
+    };
   }
 
   res.send(result);
+}));
+
+// Queue summary, or one job with ?id=
+app.get(RUTA + "tx", asincrono(async (req, res) => {
+  let result = { result: true };
+
+  if (req.query.id) {
+    result.data = await colaTx.consultar(req.query.id.toString()).catch(() => null);
+    result.result = result.data !== null;
+  } else {
+    result.data = await colaTx.estado();
+  }
+
+  res.send(result);
+}));
+
+app.get(RUTA + "indexer", asincrono(async (req, res) => {
+  res.send({ result: true, data: await indexador.estado() });
+}));
+
+// Provider pool state: score, latency, error rate and pauses per endpoint
+app.get(RUTA + "rpc", (req, res) => {
+  res.send({ result: true, data: poolRpc.estado() });
 });
 
+// Cache backend, hits and misses
+app.get(RUTA + "cache", (req, res) => {
+  res.send({ result: true, data: cache.estado() });
+});
 
-app.get(RUTA + "binario/todo", async (req, res) => {
+app.get(RUTA + "binario/todo", asincrono(async (req, res) => {
   let result = {
     result: true,
-    data: allbinario
+    data: await cache.agregado("todo", () => binario.find({}, { _id: false, __v: false }).lean())
   };
 
   res.send(result);
-});
+}));
 
 function retirableBinario(puntosA, puntosB) {
 
@@ -536,7 +728,7 @@ async function binariV2(wallet) {
 
   }
 
-  await binario.updateOne({ wallet: wallet }, newUser)
+  await ledger.actualizar({ wallet: wallet }, newUser, { reason: "binary recalculation", reference: "binariV2" })
 
 
   //puntos activos
@@ -566,7 +758,7 @@ async function binariV2(wallet) {
 
 }
 
-app.get(RUTA + "usuario/actualizar", async (req, res) => {
+app.get(RUTA + "usuario/actualizar", asincrono(async (req, res) => {
 
   let result = {
     result: false
@@ -578,7 +770,8 @@ app.get(RUTA + "usuario/actualizar", async (req, res) => {
 
     let wallet = (req.query.wallet).toString().toLocaleLowerCase()
 
-    consultarUsuario(wallet, true, true)
+    audit.auditar({ actor: "anonymous", wallet, operation: "usuario.actualizar", origin: audit.origenDe(req) }, () => consultarUsuario(wallet, true, true))
+      .catch((e) => logger.error("user refresh failed", { wallet, err: e }))
 
     result.result = true
 
@@ -594,9 +787,9 @@ app.get(RUTA + "usuario/actualizar", async (req, res) => {
 
 
   res.send(result);
-});
+}));
 
-app.get(RUTA + "binario/actualizar", async (req, res) => {
+app.get(RUTA + "binario/actualizar", asincrono(async (req, res) => {
 
   let result = {
     result: false
@@ -606,7 +799,7 @@ app.get(RUTA + "binario/actualizar", async (req, res) => {
 
     let wallet = (req.query.wallet).toString().toLocaleLowerCase()
 
-    await binariV2(wallet)
+    await audit.auditar({ actor: "anonymous", wallet, operation: "binario.actualizar", origin: audit.origenDe(req) }, () => binariV2(wallet))
 
     result.result = true
 
@@ -621,7 +814,7 @@ app.get(RUTA + "binario/actualizar", async (req, res) => {
 
 
   res.send(result);
-});
+}));
 
 async function lecturaBinari(wallet) {
 
@@ -677,7 +870,7 @@ async function lecturaBinari(wallet) {
 
 }
 
-app.get(RUTA + "binario", async (req, res) => {
+app.get(RUTA + "binario", asincrono(async (req, res) => {
 
   let result = {
     result: false
@@ -688,7 +881,10 @@ app.get(RUTA + "binario", async (req, res) => {
 
     let wallet = (req.query.wallet).toString().toLocaleLowerCase()
 
-    result = await lecturaBinari(wallet)
+    result = await cache.vistaWallet(wallet, "binario", async () => {
+      let consulta = await lecturaBinari(wallet)
+      return consulta.result ? consulta : null
+    }) || { result: false }
 
 
   } else {
@@ -702,47 +898,25 @@ app.get(RUTA + "binario", async (req, res) => {
 
 
   res.send(result);
-});
+}));
 
+// Start the cached reads again from the stored network, used around full rescans
 async function consultarBinario() {
-  let red = []
-
   try {
+    let inicio = Date.now()
+    let total = await binario.estimatedDocumentCount()
 
-    red = await binario.find({}, { _id: false })
-
-    if (red.length > 0) {
-
-      console.log("Inicia reduce")
-      let inicio = Date.now()
-      appReady = false
-      binarioindexado = [];
-      binarioindexado = red.reduce((acc, el, index) => {
-        acc[el.wallet] = el;
-        if (index == red.length - 1) {
-          appReady = true
-          console.log("Termino reduce: " + ((Date.now() - inicio) / 1000) + " seg")
-          console.log("statusApp->" + appReady)
-
-        }
-
-        return acc
-      }, red[0])
-
-
-    }
+    await cache.invalidarTodo()
 
+    logger.info("cache reset", { wallets: total, ms: Date.now() - inicio })
 
   } catch (error) {
-    console.log(error.toString())
+    logger.error("cache reset failed", { err: error })
   }
-  //console.log(red)
-
-  return appReady
 
 }
 
-app.post(RUTA + "puntos/add", async (req, res) => {
+app.post(RUTA + "puntos/add", asincrono(async (req, res) => {
 
   let result = {
     result: false,
@@ -753,52 +927,80 @@ app.post(RUTA + "puntos/add", async (req, res) => {
 
     if (data.token == TOKEN && data.puntos) {
 
-      let user = await binario.findOne({ wallet: (data.wallet).toLocaleLowerCase() }, { _id: false })
+      let wallet = (data.wallet).toLocaleLowerCase()
 
-      let newUser = {}
+      await audit.auditar({ actor: "admin-token", wallet, operation: "puntos.add", origin: audit.origenDe(req), reference: "hand " + data.hand + ": " + data.puntos }, async () => {
 
-      if (data.hand === 0) {
-        newUser = {
-          lExtra: new BigNumber(user.lExtra).plus(data.puntos).toString(10)
-        }
+        let user = await binario.findOne({ wallet: wallet }, { _id: false })
 
-      } else {
-        newUser = {
-          rExtra: new BigNumber(user.rExtra).plus(data.puntos).toString(10)
+        let newUser = {}
+
+        if (data.hand === 0) {
+          newUser = {
+            lExtra: new BigNumber(user.lExtra).plus(data.puntos).toString(10)
+          }
+
+        } else {
+          newUser = {
+            rExtra: new BigNumber(user.rExtra).plus(data.puntos).toString(10)
+          }
         }
-      }
 
-      await binario.updateOne({ wallet: (data.wallet).toLocaleLowerCase() }, newUser)
-      console.log("puntos asignados: " + (data.wallet).toLocaleLowerCase() + " hand: " + data.hand + " -> " + data.puntos)
+        await ledger.actualizar({ wallet: wallet }, newUser, { reason: "admin points", reference: "puntos/add" })
+        logger.info("points assigned", { wallet, hand: data.hand, points: data.puntos })
 
-      await consultarUsuario((data.wallet).toLocaleLowerCase(), true, true, true)
+        await consultarUsuario(wallet, true, true, true)
+      })
 
       result.result = true
+    } else if (typeof data.wallet === "string") {
+      await audit.registrar({ actor: "unknown", wallet: data.wallet, operation: "puntos.add", origin: audit.origenDe(req), result: "rejected", message: "invalid token" })
     }
   }
 
   res.send(result);
-})
+}))
 
 async function escalarRedV2() {
 
+  let terminar = duracionEscaneo.iniciar()
   let lista2 = await binario.find({}, { wallet: true, idBlock: true }).sort({ idBlock: -1 })
 
-  console.log("---- V2 Start Loop / escalar red LISTA ----")
+  walletsEscaneo.set({}, lista2.length)
+
+  logger.info("network rescan started", { wallets: lista2.length })
 
   for (let index = 0; index < lista2.length; index++) {
     //console.log(index, lista2[index].wallet, lista2[index].idBlock)
     await delay(0.4);
     await conectarUpline(lista2[index].wallet)
-    await binariV2(lista2[index].wallet)
+    await actualizarUsuario(lista2[index].wallet, {}, false) // invested from the chain, used by the points engine
 
   }
 
-  console.log("----v2 END Loop / escalar red ----")
+  await motorBinario.ejecutar() // points of every wallet in one pass
+
+  logger.info("network rescan finished", { wallets: lista2.length, seconds: Math.round(terminar()) })
 
 }
 
-async function conectarUpline(from) {
+// Tree rewrite made by conectarUpline while placing `from`, point changes go to the ledger and every change to the audit log
+async function reescribirArbol(from, filtro, cambios) {
+  let antes = await ledger.actualizar(filtro, cambios, { reason: "tree relocation", reference: "conectarUpline" })
+
+  if (antes !== null && Object.keys(audit.diferencias(antes, { ...antes, ...cambios })).length > 0) {
+    await audit.registrar({ actor: "system", wallet: antes.wallet, operation: "tree.rewrite", antes, despues: { ...antes, ...cambios }, origin: { source: "conectarUpline", from, correlationId: logger.correlacion() } })
+  }
+
+  return antes
+}
+
+// Every log line and audit entry of one relocation carries the same correlation id
+function conectarUpline(from) {
+  return logger.contexto({ correlationId: "relocation-" + logger.nuevoId() }, () => ubicarUpline(from))
+}
+
+async function ubicarUpline(from) {
   from = from.toLowerCase()
 
   let newUser = {}
@@ -810,7 +1012,7 @@ async function conectarUpline(from) {
     userTemp = await binario.findOne({ wallet: from }, { _id: false })
 
   } catch (error) {
-    console.log(error.toString())
+    logger.error("binario read failed", { wallet: from, err: error })
   }
 
   if (userTemp === null) return false;
@@ -818,7 +1020,7 @@ async function conectarUpline(from) {
   //cambiar esto por metodo de consulta a base de datos mitigar error api binance por muchas consultas
   let consulta = await contrato.methods.upline(from).call()
     .catch((e) => {
-      console.log("Error consulta binance " + e.toString())
+      logger.error("upline read failed", { wallet: from, err: e })
       return false
     })
 
@@ -830,7 +1032,7 @@ async function conectarUpline(from) {
   try {
     userRef = await binario.findOne({ wallet: referer }, { _id: false })
   } catch (error) {
-    console.log(error.toString())
+    logger.error("binario read failed", { wallet: referer, err: error })
   }
 
   let result = false
@@ -854,7 +1056,7 @@ async function conectarUpline(from) {
           try {
             ubication = await binario.find({ left: from }, { _id: false })
           } catch (error) {
-            console.log(error.toString())
+            logger.error("binario read failed", { left: from, err: error })
           }
 
           if (ubication.length >= 1) {
@@ -862,14 +1064,14 @@ async function conectarUpline(from) {
             if (ubication.length === 1) {
 
               if (userTemp.up !== ubication[0].wallet) {
-                console.log("Ubicado izquierda largo1 " + from + " up: " + ubication[0].wallet)
-                await binario.updateOne({ wallet: from }, { up: ubication[0].wallet })
+                logger.info("placed left under its only parent", { wallet: from, up: ubication[0].wallet })
+                await reescribirArbol(from, { wallet: from }, { up: ubication[0].wallet })
               }
 
 
             } else {
 
-              console.log("eliminando izquierda  " + ubication.length + " " + from)
+              logger.warn("wallet found on several left legs, keeping the oldest", { wallet: from, parents: ubication.length })
 
               // debe de encontrarse el correcto y eliminar el registro de los demas
               //console.log(ubication)
@@ -885,11 +1087,11 @@ async function conectarUpline(from) {
                 }
               }
 
-              await binario.updateOne({ wallet: from }, { up: ubication[ganador].wallet })
+              await reescribirArbol(from, { wallet: from }, { up: ubication[ganador].wallet })
 
               for (let index = 0; index < ubication.length; index++) {
                 if (index !== ganador) {
-                  await binario.updateOne({ wallet: ubication[ganador].wallet }, { left: WalletVacia, lPuntos: "0" })
+                  await reescribirArbol(from, { wallet: ubication[ganador].wallet }, { left: WalletVacia, lPuntos: "0" })
 
                 }
 
@@ -899,7 +1101,7 @@ async function conectarUpline(from) {
 
           } else {
             // debe ubicarlo en alguna parte del binario
-            console.log(">Ubicando izquierda " + from + " ref: " + referer)
+            logger.info("placing on the left leg", { wallet: from, referer })
             let accion = 0
             let lista = []
 
@@ -909,7 +1111,7 @@ async function conectarUpline(from) {
               try {
                 userRef = await binario.findOne({ wallet: buscando }, { _id: false })
               } catch (error) {
-                console.log(error.toString())
+                logger.error("binario read failed", { wallet: buscando, err: error })
               }
 
               if (userRef === null) {
@@ -919,7 +1121,7 @@ async function conectarUpline(from) {
               }
 
               if (userRef.left === from) {
-                await binario.updateOne({ wallet: from }, { up: userRef.wallet })
+                await reescribirArbol(from, { wallet: from }, { up: userRef.wallet })
 
                 accion = 1
                 break;
@@ -928,8 +1130,8 @@ async function conectarUpline(from) {
 
               if (userRef.left === WalletVacia && userRef.wallet !== from) {
 
-                await binario.updateOne({ wallet: userRef.wallet }, { left: from })
-                await binario.updateOne({ wallet: from }, { up: userRef.wallet })
+                await reescribirArbol(from, { wallet: userRef.wallet }, { left: from })
+                await reescribirArbol(from, { wallet: from }, { up: userRef.wallet })
 
                 accion = 2
                 break;
@@ -940,7 +1142,7 @@ async function conectarUpline(from) {
                 lista.push(userRef.wallet)
               } else {
 
-                await binario.updateOne({ wallet: userRef.wallet }, { left: WalletVacia, lPuntos: "0" })
+                await reescribirArbol(from, { wallet: userRef.wallet }, { left: WalletVacia, lPuntos: "0" })
 
                 accion = 5
                 break;
@@ -952,7 +1154,7 @@ async function conectarUpline(from) {
 
             }
 
-            console.log(">Termina ubicación izquierda accion:" + accion + " " + from + " ^ " + buscando)
+            logger.info("left placement finished", { wallet: from, action: accion, parent: buscando })
 
           }
 
@@ -960,11 +1162,11 @@ async function conectarUpline(from) {
           try {
             adverso = await binario.find({ right: from }, { _id: false })
           } catch (error) {
-            console.log(error.toString())
+            logger.error("binario read failed", { right: from, err: error })
           }
 
           for (let index = 0; index < adverso.length; index++) {
-            await binario.updateOne({ wallet: adverso[index].wallet }, { right: WalletVacia, rPuntos: "0" })
+            await reescribirArbol(from, { wallet: adverso[index].wallet }, { right: WalletVacia, rPuntos: "0" })
           }
 
         }
@@ -974,19 +1176,19 @@ async function conectarUpline(from) {
           try {
             ubication = await binario.find({ right: from }, { _id: false })
           } catch (error) {
-            console.log(error.toString())
+            logger.error("binario read failed", { right: from, err: error })
           }
 
           if (ubication.length >= 1) {
 
             if (ubication.length === 1) {
               if (userTemp.up !== ubication[0].wallet) {
-                console.log("Ubicado derecha largo1 " + from + " ref: " + referer)
-                await binario.updateOne({ wallet: from }, { up: ubication[0].wallet })
+                logger.info("placed right under its only parent", { wallet: from, up: ubication[0].wallet })
+                await reescribirArbol(from, { wallet: from }, { up: ubication[0].wallet })
               }
             } else {
 
-              console.log("eliminando derecha  " + ubication.length + " " + from)
+              logger.warn("wallet found on several right legs, keeping the oldest", { wallet: from, parents: ubication.length })
 
               let menor = ubication[0].idBlock;
               let ganador = 0;
@@ -1000,11 +1202,11 @@ async function conectarUpline(from) {
 
               }
 
-              await binario.updateOne({ wallet: from }, { up: ubication[ganador].wallet })
+              await reescribirArbol(from, { wallet: from }, { up: ubication[ganador].wallet })
 
               for (let index = 0; index < ubication.length; index++) {
                 if (index !== ganador) {
-                  await binario.updateOne({ wallet: ubication[ganador].wallet }, { right: WalletVacia, rPuntos: "0" })
+                  await reescribirArbol(from, { wallet: ubication[ganador].wallet }, { right: WalletVacia, rPuntos: "0" })
 
                 }
 
@@ -1014,7 +1216,7 @@ async function conectarUpline(from) {
 
           } else {
             // debe ubicarlo en alguna parte del binario
-            console.log(">Ubicando derecha " + from)
+            logger.info("placing on the right leg", { wallet: from, referer })
             let accion = 0
             let lista = []
             let buscando = referer;// wallet del uperline
@@ -1023,7 +1225,7 @@ async function conectarUpline(from) {
               try {
                 userRef = await binario.findOne({ wallet: buscando }, { _id: false })
               } catch (error) {
-                console.log(error.toString())
+                logger.error("binario read failed", { wallet: buscando, err: error })
               }
 
               if (userRef === null) {
@@ -1033,7 +1235,7 @@ async function conectarUpline(from) {
               }
 
               if (userRef.right === from) {
-                await binario.updateOne({ wallet: from }, { up: userRef.wallet })
+                await reescribirArbol(from, { wallet: from }, { up: userRef.wallet })
 
                 accion = 1
                 break;
@@ -1042,8 +1244,8 @@ async function conectarUpline(from) {
 
               if (userRef.right === WalletVacia && userRef.wallet !== from) {
 
-                await binario.updateOne({ wallet: userRef.wallet }, { right: from })
-                await binario.updateOne({ wallet: from }, { up: userRef.wallet })
+                await reescribirArbol(from, { wallet: userRef.wallet }, { right: from })
+                await reescribirArbol(from, { wallet: from }, { up: userRef.wallet })
 
                 accion = 2
                 break;
@@ -1054,7 +1256,7 @@ async function conectarUpline(from) {
                 lista.push(buscando)
               } else {
 
-                await binario.updateOne({ wallet: buscando }, { right: WalletVacia, rPuntos: "0" })
+                await reescribirArbol(from, { wallet: buscando }, { right: WalletVacia, rPuntos: "0" })
 
                 accion = 5
                 break;
@@ -1066,7 +1268,7 @@ async function conectarUpline(from) {
 
             }
 
-            console.log(">Termina ubicación derecha accion:" + accion + " " + from + " ^ " + buscando)
+            logger.info("right placement finished", { wallet: from, action: accion, parent: buscando })
 
           }
 
@@ -1074,11 +1276,11 @@ async function conectarUpline(from) {
           try {
             adverso = await binario.find({ left: from }, { _id: false })
           } catch (error) {
-            console.log(error.toString())
+            logger.error("binario read failed", { left: from, err: error })
           }
 
           for (let index = 0; index < adverso.length; index++) {
-            await binario.updateOne({ wallet: adverso[index].wallet }, { left: WalletVacia, lPuntos: "0" })
+            await reescribirArbol(from, { wallet: adverso[index].wallet }, { left: WalletVacia, lPuntos: "0" })
           }
 
         }
@@ -1087,10 +1289,10 @@ async function conectarUpline(from) {
 
 
     } else {
-      console.log("wallet: " + from + " sin referer valido: " + referer)
+      logger.warn("wallet without a valid referer", { wallet: from, referer })
     }
 
-    await binario.updateOne({ wallet: from }, newUser);
+    await reescribirArbol(from, { wallet: from }, newUser);
     await consultarUsuario(from, true);
 
   } else {
@@ -1107,7 +1309,7 @@ async function conectarUpline(from) {
 
   if (from !== WalletVacia && !userTemp.registered && userTemp.lReclamados === "0" && userTemp.rReclamados === "0") {
     //await binario.deleteOne({ wallet: from })
-    console.log("se deberia borrar: from:  " + from)
+    logger.warn("unregistered wallet without claims, candidate for removal", { wallet: from })
 
   }
 
@@ -1180,7 +1382,7 @@ async function crearUsuario(from) {
     userTemp = await binario.findOne({ wallet: from }, { _id: false })
 
   } catch (error) {
-    console.log(error.toString())
+    logger.error("binario read failed", { wallet: from, err: error })
   }
 
 
@@ -1240,14 +1442,16 @@ async function crearUsuario(from) {
       userTemp = await binario.findOne({ wallet: from }, { _id: false })
 
     } catch (error) {
-      console.log(error.toString())
+      logger.error("binario read failed", { wallet: from, err: error })
     }
     if (userTemp === null) {
-      await saveuser.save().then(() => {
-        console.log("User Created: " + newUser.wallet);
+      await saveuser.save().then(async () => {
+        logger.info("user created", { wallet: newUser.wallet });
+        await ledger.registrarCambios(from, {}, newUser, { reason: "chain sync", reference: "crearUsuario", key: "create:" + from }).catch((e) => logger.error("ledger write failed", { wallet: from, err: e }))
+        await actualizarTier(from, newUser.invested).catch((e) => logger.error("tier update failed", { wallet: from, err: e }))
 
       }).catch((e) => {
-        console.log(e.toString())
+        logger.error("user create failed", { wallet: from, err: e })
       })
     }
 
@@ -1260,7 +1464,7 @@ async function crearUsuario(from) {
       userTemp = await binario.findOne({ wallet: from }, { _id: false })
 
     } catch (error) {
-      console.log(error.toString())
+      logger.error("binario read failed", { wallet: from, err: error })
     }
 
     result = userTemp
@@ -1286,7 +1490,7 @@ async function consultarUsuario(from, agregateBinario, updateInfoBlockchain, con
     userTemp = await binario.findOne({ wallet: from }, { _id: false })
 
   } catch (error) {
-    console.log(error.toString())
+    logger.error("binario read failed", { wallet: from, err: error })
   }
 
   if (userTemp === null) {
@@ -1294,8 +1498,7 @@ async function consultarUsuario(from, agregateBinario, updateInfoBlockchain, con
   }
 
   if (agregateBinario) {
-    binarioindexado[from] = userTemp
-    //console.log("Actualizado localmente: " + from)
+    await cache.invalidarWallet(from)
 
   }
 
@@ -1305,7 +1508,7 @@ async function consultarUsuario(from, agregateBinario, updateInfoBlockchain, con
       userTemp = await binario.findOne({ wallet: from }, { _id: false })
 
     } catch (error) {
-      console.log(error.toString())
+      logger.error("binario read failed", { wallet: from, err: error })
     }
   }
 
@@ -1322,7 +1525,7 @@ async function actualizarUsuario(from, data) {
     userTemp = await binario.findOne({ wallet: from }, { _id: false })
 
   } catch (error) {
-    console.log(error.toString())
+    logger.error("binario read failed", { wallet: from, err: error })
   }
 
   let result = false
@@ -1424,7 +1627,11 @@ async function actualizarUsuario(from, data) {
       newUser.rPersonas = "0"
     }
 
-    await binario.updateOne({ wallet: from }, newUser)
+    await ledger.actualizar({ wallet: from }, newUser, { reason: "chain sync", reference: "actualizarUsuario" })
+
+    if (userTemp.invested !== newUser.invested) {
+      await actualizarTier(from, newUser.invested).catch((e) => logger.error("tier update failed", { wallet: from, err: e }))
+    }
 
     result = true
   }
@@ -1433,7 +1640,7 @@ async function actualizarUsuario(from, data) {
 
 }
 
-app.get(RUTA + "total/retirar", async (req, res) => {
+app.get(RUTA + "total/retirar", asincrono(async (req, res) => {
 
   /*await consultarBinario();
                 await escalarRedV2();
@@ -1441,29 +1648,34 @@ app.get(RUTA + "total/retirar", async (req, res) => {
 
   //await consultarUsuario("0x0ee1168b2e5d2ba5e6ab4bf6ca00881981d84ab9",false,true)
 
-  let consulta = await binario.find({}, { _id: 0, retirableA: 1 })
+  let result = await cache.agregado("retirable", async () => {
+    let consulta = await binario.find({}, { _id: 0, retirableA: 1 }).lean()
 
-  const initialValue = new BigNumber(0);
-  const sumWithInitial = consulta.reduce(
-    (accumulator, currentValue) => {
-      if (currentValue.retirableA) {
-        accumulator = accumulator.plus(currentValue.retirableA)
-      }
+    const initialValue = new BigNumber(0);
+    const sumWithInitial = consulta.reduce(
+      (accumulator, currentValue) => {
+        if (currentValue.retirableA) {
+          accumulator = accumulator.plus(currentValue.retirableA)
+        }
 
-      return accumulator
-    },
-    initialValue,
-  );
+        return accumulator
+      },
+      initialValue,
+    );
 
-  let result = {
-    result: true,
-    usdt: new BigNumber(sumWithInitial).shiftedBy(-18).dp(6),
-    total: sumWithInitial
-  };
+    return {
+      result: true,
+      usdt: new BigNumber(sumWithInitial).shiftedBy(-18).dp(6).toString(10),
+      total: sumWithInitial.toString(10)
+    };
+  })
 
   res.send(result);
-});
+}));
+
+// Errors of async handlers and body parsing, after every route
+app.use(errores);
 
 app.listen(port, () => {
-  console.log(`Listening on: http://localhost:${port + RUTA} `);
+  logger.info("listening", { url: "http://localhost:" + port + RUTA, network: config.network, chainId: config.chainId });
 });
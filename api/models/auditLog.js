@@ -0,0 +1,34 @@
+/**
+ * Append-only audit log of state-changing API operations
+ * Documents are only inserted: updates and deletes through the model are rejected.
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const AuditLog = new Schema({
+  actor: String, // Session or signing wallet, "admin-token", "system"
+  wallet: String, // binari_system document affected (lowercase)
+  operation: String, // puntos.add | retiro | usuario.actualizar | binario.actualizar | tree.rewrite
+  changes: Schema.Types.Mixed, // { field: { before, after } } of the user document
+  origin: Schema.Types.Mixed, // { ip, userAgent, method, route } or { source } for internal calls
+  result: String, // ok | rejected | error
+  message: String, // Error or extra detail
+  reference: String, // Withdrawal id, job id...
+  createdAt: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+AuditLog.index({ wallet: 1, createdAt: -1 });
+AuditLog.index({ operation: 1, createdAt: -1 });
+AuditLog.index({ createdAt: -1 });
+
+function soloInsertar(next) {
+  next(new Error("audit_log is append-only"));
+}
+
+for (let metodo of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"]) {
+  AuditLog.pre(metodo, soloInsertar);
+}
+
+module.exports = mongoose.model('audit_log', AuditLog, 'audit_log');
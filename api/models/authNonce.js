@@ -0,0 +1,21 @@
+/**
+ * Single-use challenges signed by a wallet to authorize an API action
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const AuthNonce = new Schema({
+  nonce: { type: String, unique: true }, // Random challenge value
+  wallet: { type: String, index: true }, // Wallet expected to sign the challenge
+  accion: String, // API action the signature authorizes
+  mensaje: String, // Exact text the wallet has to sign
+  expiresAt: Date, // Challenge is rejected after this date
+  usedAt: { type: Date, default: null } // Set once the signature is accepted (replay protection)
+});
+
+// Expired challenges are purged by MongoDB one day after expiring
+AuthNonce.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('auth_nonce', AuthNonce, 'auth_nonce');
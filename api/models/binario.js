@@ -0,0 +1,62 @@
+/**
+ * Binary system user data, one document per wallet
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const cache = require('../services/cache.js'); // Shared cache of binary reads
+
+const Schema = mongoose.Schema;
+
+const Binario = new Schema({
+  _id: String, // Unique identifier
+  wallet: String, // User's wallet address
+  registered: Boolean, // Registration status
+  invested: String, // Total invested amount
+  invested_leader: String, // Leader investment amount
+  upTo: String, // Maximum earnings potential
+  lastUpdate: Number, // Last update timestamp
+  reclamados: String, // Total claimed points
+  referer: String, // Referrer wallet
+  up: String, // Upline wallet
+  left: String, // Left downline wallet
+  lReclamados: String, // Left claimed points
+  lExtra: String, // Left extra points
+  lPersonas: String, // Left downline count
+  lPuntos: String, // Left total points
+  right: String, // Right downline wallet
+  rReclamados: String, // Right claimed points
+  rExtra: String, // Right extra points
+  rPersonas: String, // Right downline count
+  rPuntos: String, // Right total points
+  idBlock: Number, // Block ID
+  idBlock_old: Number, // Old block ID
+  puntosActivos: String, // Active points
+  hand: Number, // Hand position (0=left, 1=right)
+  retirableA: Number // Withdrawable amount
+});
+
+// Lookups by wallet, referral ID, sponsor and tree links
+Binario.index({ wallet: 1 });
+Binario.index({ idBlock: 1 });
+Binario.index({ referer: 1, wallet: 1 });
+Binario.index({ left: 1 });
+Binario.index({ right: 1 });
+Binario.index({ up: 1 });
+
+// Every rewrite drops the cached views of the wallet; bulkWrite has no middleware, its callers invalidate
+Binario.post(['updateOne', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'updateMany', 'deleteMany'], function () {
+  let filtro = this.getFilter();
+
+  if (typeof filtro.wallet === 'string') {
+    cache.invalidarWallet(filtro.wallet);
+  } else {
+    cache.invalidarTodo();
+  }
+});
+
+Binario.post('save', function (doc) {
+  cache.invalidarWallet(doc.wallet);
+});
+
+module.exports = mongoose.model('binari_system', Binario, 'binari_system');
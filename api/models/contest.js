@@ -0,0 +1,35 @@
+/**
+ * Recruitment contests defined by admins, standings are frozen when the contest ends
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const Contest = new Schema({
+  name: String,
+  description: String,
+  metric: String, // activePoints | pointsGained | newPersonas | directReferrals
+  leg: { type: String, default: "total" }, // left | right | min | total, for pointsGained and newPersonas
+  start: Date,
+  end: { type: Date, index: true },
+  eligibility: {
+    registeredOnly: { type: Boolean, default: true }, // Only wallets registered in the contract
+    minInvested: { type: String, default: "0" }, // USDT (wei) invested at least
+    tiers: [String], // Investment tiers allowed, empty for every tier
+    exclude: [String] // Wallets left out (team, test wallets)
+  },
+  size: { type: Number, default: 100 }, // Positions kept in the final standings
+  standings: [{
+    _id: false,
+    rank: Number,
+    wallet: String,
+    value: String
+  }],
+  frozenAt: { type: Date, default: null }, // Set when the final standings were stored
+  createdBy: String, // Wallet of the admin session
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+});
+
+module.exports = mongoose.model('contests', Contest, 'contests');
@@ -0,0 +1,29 @@
+/**
+ * Platform metrics, one document per day (America/Bogota)
+ * Amounts are USDT in wei as strings
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const DailyStat = new Schema({
+  day: { type: String, unique: true }, // YYYY-MM-DD
+  registered: Number, // Registered wallets at the end of the day
+  newRegistrations: Number, // Registered wallets added since the previous day, null for the first day recorded
+  activeInvestors: Number, // Registered wallets with something invested
+  invested: String, // Sum of `invested` (deposits) in binari_system
+  binaryPaid: String, // Binary withdrawals confirmed during the day
+  binaryPaidTotal: String, // Binary withdrawals confirmed up to the end of the day
+  withdrawals: Number, // Binary withdrawals confirmed during the day
+  retirableA: String, // Outstanding retirableA
+  chain: { // setstate() and totalRefWitdrawl() of the contract, null when the call failed
+    users: String,
+    invested: String,
+    refRewards: String,
+    refWithdrawn: String
+  },
+  updatedAt: Date // Last time the day was recorded
+}, { versionKey: false });
+
+module.exports = mongoose.model('daily_stats', DailyStat, 'daily_stats');
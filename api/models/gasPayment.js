@@ -0,0 +1,19 @@
+/**
+ * Gas payment transactions already used to pay for a withdrawal
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const GasPayment = new Schema({
+  _id: String, // Transaction hash (lowercase), unique so a payment is consumed only once
+  wallet: String, // Sender of the payment
+  value: String, // Wei paid
+  quoted: String, // Wei quoted when the payment was accepted
+  blockNumber: Number,
+  withdrawalId: String, // Withdrawal paid with this transaction
+  consumedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('gas_payments', GasPayment, 'gas_payments');
@@ -0,0 +1,20 @@
+/**
+ * Gas fees quoted by /calculate/retiro, the user has to pay them before /retiro
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const GasQuote = new Schema({
+  wallet: { type: String, index: true }, // Wallet that asked for the quote (lowercase)
+  amount: String, // Quoted fee in wei
+  receiver: String, // Wallet that must receive the fee
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: Date // Quote can not be used after this date
+});
+
+// Expired quotes are purged by MongoDB one day after expiring
+GasQuote.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('gas_quotes', GasQuote, 'gas_quotes');
@@ -0,0 +1,19 @@
+/**
+ * Checkpoint of the chain indexer, one document per indexed contract
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const IndexerState = new Schema({
+  _id: String, // Indexed contract address (lowercase)
+  lastBlock: Number, // Last block fully processed
+  lastRunAt: Date, // Start of the last run
+  lastRunMs: Number, // Duration of the last run
+  lastRunWallets: Number, // Wallets refreshed in the last run
+  lastError: String, // Error of the last failed run, null when it succeeded
+  indexedAt: Date // Start of the first run that succeeded
+});
+
+module.exports = mongoose.model('indexer_state', IndexerState, 'indexer_state');
@@ -0,0 +1,30 @@
+/**
+ * Double-entry ledger of binary points
+ * Each movement is two entries with the same txId: a credit and a debit of the same amount.
+ * Wallet accounts are "<wallet>:<field>" (lPuntos, rPuntos, lExtra, rExtra, lReclamados, rReclamados),
+ * their balance is the value of that field. The other side is a system account ("system:network", ...).
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const PointsLedger = new Schema({
+  txId: { type: String, index: true }, // Groups the two entries of a movement
+  account: String, // "<wallet>:<field>" or "system:<name>"
+  wallet: { type: String, default: null }, // Wallet of the account, null for system accounts
+  field: { type: String, default: null }, // binari_system field mirrored by the account
+  direction: String, // credit | debit
+  amount: Schema.Types.Decimal128, // Always positive
+  delta: Schema.Types.Decimal128, // +amount for credits, -amount for debits, summed for balances
+  reason: String, // binary recalculation | admin points | binary withdrawal | ...
+  reference: String, // Transaction hash, admin route, cron run
+  key: String, // Idempotency key, a movement with the same key is only posted once
+  createdAt: { type: Date, default: Date.now }
+});
+
+PointsLedger.index({ account: 1, createdAt: 1 });
+PointsLedger.index({ wallet: 1, createdAt: 1 });
+PointsLedger.index({ key: 1, account: 1 }, { unique: true, partialFilterExpression: { key: { $type: "string" } } });
+
+module.exports = mongoose.model('points_ledger', PointsLedger, 'points_ledger');
@@ -0,0 +1,24 @@
+/**
+ * JWT sessions opened by a wallet after proving ownership with a signature
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const Session = new Schema({
+  sessionId: { type: String, unique: true }, // Value of the `sid` claim in the access token
+  wallet: { type: String, index: true }, // Authenticated wallet
+  leveling: Number, // On-chain admin level (0 = regular user)
+  role: String, // Role name derived from leveling
+  refreshTokenHash: String, // SHA-256 of the current refresh token
+  createdAt: { type: Date, default: Date.now }, // Login date
+  lastRefresh: Date, // Last time the tokens were rotated
+  expiresAt: Date, // Refresh token expiration
+  revokedAt: { type: Date, default: null } // Set on logout
+});
+
+// Expired sessions are purged by MongoDB
+Session.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('auth_session', Session, 'auth_session');
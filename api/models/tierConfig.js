@@ -0,0 +1,19 @@
+/**
+ * Editable investment tier definitions
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const TierConfig = new Schema({
+  tierName: { type: String, unique: true }, // BRONZE, SILVER, GOLD, PLATINUM...
+  minInvestment: Number, // Minimum USDT invested to reach the tier
+  maxInvestment: { type: Number, default: null }, // Informative upper bound, null = no limit
+  dbEndpoint: String, // Tier database endpoint
+  adminPanelUrl: String, // Tier admin panel URL
+  permissions: [String], // Permissions granted by the tier
+  isActive: { type: Boolean, default: true } // Inactive tiers are skipped when calculating
+}, { timestamps: true }); // createdAt / updatedAt
+
+module.exports = mongoose.model('tier_config', TierConfig, 'tier_config');
@@ -0,0 +1,32 @@
+/**
+ * Repairs applied to the binary tree by the integrity checker, one document per apply
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const Cambio = new Schema({
+  wallet: String, // Document changed
+  field: String, // left | right | up | hand
+  before: Schema.Types.Mixed, // Value when the plan was made
+  after: Schema.Types.Mixed, // Value written
+  problem: String, // multipleParents | cycle | upMismatch | handMismatch
+  reason: String, // Human readable explanation
+  applied: Boolean, // false when the document changed after the scan
+  error: String
+}, { _id: false });
+
+const TreeRepair = new Schema({
+  planId: { type: String, index: true }, // Hash of the reviewed dry-run plan
+  actor: String, // Wallet of the session that applied it
+  chain: Boolean, // Hands were compared with upline()._lado
+  summary: Schema.Types.Mixed, // Problems found by the scan
+  changes: [Cambio],
+  applied: Number, // Changes written
+  skipped: Number, // Changes not written
+  createdAt: { type: Date, default: Date.now },
+  finishedAt: Date
+});
+
+module.exports = mongoose.model('tree_repairs', TreeRepair, 'tree_repairs');
@@ -0,0 +1,17 @@
+/**
+ * Binary tree snapshots, one header per snapshot; the nodes are in `tree_snapshot_nodes`
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const TreeSnapshot = new Schema({
+  takenAt: { type: Date, index: true }, // Moment the tree was read
+  source: String, // daily-scan | manual
+  wallets: Number, // Nodes stored
+  complete: { type: Boolean, default: false }, // false while the nodes are being written
+  ms: Number // Time taken
+}, { versionKey: false });
+
+module.exports = mongoose.model('tree_snapshots', TreeSnapshot, 'tree_snapshots');
@@ -0,0 +1,30 @@
+/**
+ * One compact document per wallet per tree snapshot
+ * Field names are short because this collection grows with every snapshot
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const TreeSnapshotNode = new Schema({
+  s: { type: Schema.Types.ObjectId, index: true }, // Snapshot
+  t: Date, // takenAt of the snapshot
+  w: String, // wallet
+  up: String,
+  l: String, // left
+  r: String, // right
+  lp: String, // lPuntos
+  rp: String, // rPuntos
+  lx: String, // lExtra
+  rx: String, // rExtra
+  lr: String, // lReclamados
+  rr: String, // rReclamados
+  lq: String, // lPersonas
+  rq: String, // rPersonas
+  pa: String // puntosActivos
+}, { versionKey: false });
+
+TreeSnapshotNode.index({ w: 1, t: 1 });
+
+module.exports = mongoose.model('tree_snapshot_nodes', TreeSnapshotNode, 'tree_snapshot_nodes');
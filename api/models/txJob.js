@@ -0,0 +1,45 @@
+/**
+ * Contract writes signed by the API wallet, processed in order by the transaction queue
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const TxJob = new Schema({
+  signer: { type: String, index: true }, // Wallet that signs the transaction (lowercase)
+  metodo: String, // Contract method called
+  args: [String], // Method arguments, kept for auditing
+  ref: { type: String, index: true }, // Wallet or entity the job belongs to
+  correlationId: String, // Log correlation id of the operation that queued the job
+  to: String, // Contract address
+  data: String, // Encoded calldata
+  value: { type: String, default: "0" }, // Wei sent with the call
+  status: { type: String, index: true }, // queued | sending | sent | mined | failed | review
+  lockedBy: String, // Instance that claimed the job while it is being sent
+  lockedUntil: Date, // The claim expires and the job goes back to queued after this time
+  nonce: Number, // Nonce assigned when first sent
+  gas: Number, // Gas limit
+  gasPrice: String, // Gas price of the last broadcast
+  hashes: [String], // Every hash broadcast for this nonce (gas bumps replace the previous one)
+  hash: String, // Hash that was mined
+  raw: String, // Signed transaction of the last broadcast, re-sent if the node drops it
+  attempts: { type: Number, default: 0 }, // Re-broadcasts after the node dropped the transaction
+  bumps: { type: Number, default: 0 }, // Gas price increases
+  error: String, // Last error
+  consumedAt: Date, // First time the nonce was seen used without a receipt for any of the hashes
+  receipt: {
+    blockNumber: Number,
+    gasUsed: Number,
+    status: Boolean // false when the transaction reverted
+  },
+  createdAt: { type: Date, default: Date.now },
+  sentAt: Date, // Last broadcast
+  minedAt: Date,
+  failedAt: Date,
+  reviewAt: Date // Set aside for manual review, the outcome of the transaction is not known
+});
+
+TxJob.index({ signer: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('tx_jobs', TxJob, 'tx_jobs');
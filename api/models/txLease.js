@@ -0,0 +1,15 @@
+/**
+ * Lease on the transaction queue of a signer, only the API instance holding it sends and follows jobs
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const TxLease = new Schema({
+  _id: String, // Signer wallet (lowercase)
+  holder: String, // Instance id of the current holder
+  until: Date // The lease is free for another instance after this time
+});
+
+module.exports = mongoose.model('tx_leases', TxLease, 'tx_leases');
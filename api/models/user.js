@@ -0,0 +1,25 @@
+/**
+ * Tier information of each wallet (Users collection of TIERED_ACCESS_ARCHITECTURE.md)
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const User = new Schema({
+  wallet: { type: String, unique: true }, // Wallet address (lowercase)
+  currentTier: String, // Current tier name, "NONE" below the first tier
+  totalInvestment: Number, // Total USDT invested
+  tierHistory: [{
+    tier: String, // Tier reached
+    previousTier: String, // Tier before the change
+    timestamp: Date, // When the change was detected
+    investment: Number // Investment that triggered the change
+  }],
+  lastVerified: Date, // Last time the investment was read from the chain
+  permissions: [String], // Permissions of the current tier
+  adminPanelAccess: String, // Admin panel URL of the current tier
+  dbEndpoint: String // Database endpoint of the current tier
+});
+
+module.exports = mongoose.model('users', User, 'users');
@@ -0,0 +1,37 @@
+/**
+ * Binary withdrawals (corteBinarioDo) requested through the API
+ * Status: requested -> submitted -> confirmed | reverted
+ */
+
+const mongoose = require('mongoose'); // MongoDB ODM
+
+const Schema = mongoose.Schema;
+
+const Withdrawal = new Schema({
+  wallet: String, // Wallet withdrawing (lowercase)
+  correlationId: String, // Log correlation id shared by the request, the transaction and the resolution
+  status: { type: String, index: true }, // requested | submitted | confirmed | reverted
+  open: { type: Boolean, default: true }, // true while requested/submitted, works as the per-wallet lock
+  retiroBinario: String, // USDT amount sent to corteBinarioDo
+  puntosReclamados: String, // Points claimed on each side
+  puntosUsados: String, // _puntosUsados argument sent to the contract
+  lReclamadosAntes: String, // lReclamados before the withdrawal
+  rReclamadosAntes: String, // rReclamados before the withdrawal
+  lReclamadosDespues: String, // lReclamados once confirmed
+  rReclamadosDespues: String, // rReclamados once confirmed
+  jobId: String, // Transaction queue job
+  hash: String, // Mined transaction hash
+  error: String, // Reason of a reverted withdrawal
+  createdAt: { type: Date, default: Date.now },
+  submittedAt: Date,
+  confirmedAt: Date,
+  revertedAt: Date,
+  appliedAt: { type: Date, default: null }, // Point deductions written to binari_system
+  rolledBackAt: Date // Point deductions undone
+});
+
+// Only one open withdrawal per wallet, enforced by MongoDB across every API instance
+Withdrawal.index({ wallet: 1 }, { unique: true, partialFilterExpression: { open: true } });
+Withdrawal.index({ wallet: 1, createdAt: -1 });
+
+module.exports = mongoose.model('withdrawals', Withdrawal, 'withdrawals');
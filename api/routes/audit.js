@@ -0,0 +1,40 @@
+/**
+ * Audit log routes (/api/v1/audit)
+ * Owner, subOwner and admin sessions only
+ */
+
+const express = require("express");
+
+const { requireSession } = require("../services/sessions.js");
+const audit = require("../services/audit.js");
+const { fecha, asincrono } = require("./util.js");
+
+module.exports = function auditRoutes() {
+  const router = express.Router();
+
+  router.use(requireSession(["owner", "subOwner", "admin"]));
+
+  // ?wallet=&operation=&from=&to=&limit=&before= (before: createdAt of the last entry already seen)
+  router.get("/", asincrono(async (req, res) => {
+    let desde = fecha(req.query.from);
+    let hasta = fecha(req.query.to);
+    let antesDe = fecha(req.query.before);
+
+    if (desde === undefined || hasta === undefined || antesDe === undefined) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid date parameter" });
+    }
+
+    let data = await audit.consultar({
+      wallet: req.query.wallet ? req.query.wallet.toString() : null,
+      operation: req.query.operation ? req.query.operation.toString() : null,
+      desde,
+      hasta,
+      antesDe,
+      limite: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+
+    res.send({ result: true, data, next: data.length > 0 ? data[data.length - 1].createdAt : null });
+  }));
+
+  return router;
+};
@@ -0,0 +1,79 @@
+/**
+ * Authentication routes (/api/auth)
+ * Wallet connects -> signs the challenge -> gets a JWT session carrying its on-chain role
+ */
+
+const express = require("express");
+
+const { crearNonce, verificarFirma } = require("../services/walletAuth.js");
+const { crearSesion, refrescarSesion, walletDeRefresh, cerrarSesion, requireSession } = require("../services/sessions.js");
+const logger = require("../services/logger.js");
+const { asincrono } = require("./util.js");
+
+const ACCION_LOGIN = "login";
+
+module.exports = function authRoutes({ contrato }) {
+  const router = express.Router();
+
+  // Admin level of a wallet in the proxy contract, 0 when the call fails
+  async function consultarNivel(wallet) {
+    try {
+      return parseInt(await contrato.methods.leveling(wallet).call());
+    } catch (error) {
+      logger.error("leveling read failed", { err: error })
+      return 0;
+    }
+  }
+
+  // Initial wallet connection: returns the message the wallet has to sign
+  router.post("/connect-wallet", asincrono(async (req, res) => {
+    let result = await crearNonce(req.body.wallet, ACCION_LOGIN).catch((e) => {
+      logger.error("nonce creation failed", { err: e })
+      return { result: false, error: true, message: "nonce error" };
+    });
+
+    res.status(result.result ? 200 : 400).send(result);
+  }));
+
+  // Verify wallet ownership and open a session
+  router.post("/verify-signature", asincrono(async (req, res) => {
+    let firma = await verificarFirma(req.body, ACCION_LOGIN);
+
+    if (!firma.result) {
+      return res.status(401).send({ result: false, error: true, message: firma.message });
+    }
+
+    let leveling = await consultarNivel(firma.wallet);
+
+    res.send(await crearSesion(firma.wallet, leveling));
+  }));
+
+  // Rotate the refresh token and re-read the on-chain role
+  router.post("/refresh-token", asincrono(async (req, res) => {
+    let { refreshToken = null } = req.body;
+
+    let wallet = await walletDeRefresh(refreshToken);
+
+    if (wallet === null) {
+      return res.status(401).send({ result: false, error: true, message: "session not found" });
+    }
+
+    let result = await refrescarSesion(refreshToken, await consultarNivel(wallet));
+
+    if (!result.result) result.error = true;
+
+    res.status(result.result ? 200 : 401).send(result);
+  }));
+
+  // Invalidate the current session
+  router.post("/logout", requireSession(), asincrono(async (req, res) => {
+    res.send(await cerrarSesion(req.auth.sid));
+  }));
+
+  // Session currently attached to the request
+  router.get("/me", requireSession(), (req, res) => {
+    res.send({ result: true, wallet: req.auth.wallet, leveling: req.auth.leveling, role: req.auth.role });
+  });
+
+  return router;
+};
@@ -0,0 +1,29 @@
+/**
+ * Health routes (/health), GET /health itself stays a plain liveness "ok"
+ *   /health/ready - 200 when data endpoints can answer, 503 with Retry-After otherwise
+ *   /health/deep  - dependency report, 503 only when Mongo or the RPC is down
+ */
+
+const express = require("express");
+
+const { asincrono } = require("./util.js");
+
+module.exports = function healthRoutes({ salud }) {
+  const router = express.Router();
+
+  router.get("/ready", asincrono(async (req, res) => {
+    let estado = await salud.listo();
+
+    if (!estado.ready) res.set("Retry-After", String(estado.retryAfter));
+
+    res.status(estado.ready ? 200 : 503).send(estado);
+  }));
+
+  router.get("/deep", asincrono(async (req, res) => {
+    let reporte = await salud.profundo();
+
+    res.status(reporte.status === "down" ? 503 : 200).send(reporte);
+  }));
+
+  return router;
+};
@@ -0,0 +1,44 @@
+/**
+ * Binary tree integrity routes (/api/v1/binario/integridad)
+ * Owner and subOwner sessions only
+ */
+
+const express = require("express");
+
+const { requireSession } = require("../services/sessions.js");
+const { asincrono } = require("./util.js");
+
+module.exports = function integrityRoutes({ integridad }) {
+  const router = express.Router();
+
+  router.use(requireSession(["owner", "subOwner"]));
+
+  // Dry run: problems found and the plan that would fix them
+  // ?chain=true also compares every hand with upline()._lado (one contract call per wallet)
+  router.get("/scan", asincrono(async (req, res) => {
+    let data = await integridad.escanear({ cadena: req.query.chain === "true" });
+
+    res.send({ result: true, data });
+  }));
+
+  // Apply the plan returned by /scan, body: { planId, chain }
+  router.post("/apply", asincrono(async (req, res) => {
+    let body = req.body || {};
+
+    if (typeof body.planId !== "string") {
+      return res.status(400).send({ result: false, error: true, message: "planId required" });
+    }
+
+    let result = await integridad.aplicar({ planId: body.planId, actor: req.auth.wallet, cadena: body.chain === true });
+
+    if (!result.result) result.error = true;
+
+    res.status(result.result ? 200 : 409).send(result);
+  }));
+
+  router.get("/repairs", asincrono(async (req, res) => {
+    res.send({ result: true, data: await integridad.historial() });
+  }));
+
+  return router;
+};
@@ -0,0 +1,80 @@
+/**
+ * Leaderboard and contest routes (/api/v1/leaderboard)
+ * Contests are managed by owner and subOwner sessions
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+
+const cache = require("../services/cache.js");
+const { requireSession } = require("../services/sessions.js");
+const leaderboards = require("../services/leaderboards.js");
+const { fecha, asincrono } = require("./util.js");
+
+function responder(res, result) {
+  if (!result.result) result.error = true;
+
+  res.status(result.result ? 200 : result.message === "contest not found" ? 404 : 400).send(result);
+}
+
+module.exports = function leaderboardRoutes() {
+  const router = express.Router();
+
+  // Ranking: ?metric=activePoints|pointsGained|newPersonas|directReferrals&leg=&from=&to=&limit=
+  router.get("/", asincrono(async (req, res) => {
+    let desde = fecha(req.query.from);
+    let hasta = fecha(req.query.to);
+
+    if (desde === undefined || hasta === undefined) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid date parameter" });
+    }
+
+    let consulta = {
+      metric: req.query.metric ? req.query.metric.toString() : "activePoints",
+      leg: req.query.leg ? req.query.leg.toString() : "total",
+      desde,
+      hasta,
+      limite: Math.max(1, Math.min(parseInt(req.query.limit) || 100, 1000))
+    };
+
+    let result = await cache.agregado("leaderboard:" + JSON.stringify(consulta), () => leaderboards.ranking(consulta));
+
+    responder(res, result);
+  }));
+
+  router.get("/contests", asincrono(async (req, res) => {
+    res.send({ result: true, data: await leaderboards.listarConcursos() });
+  }));
+
+  // Live standings while the contest runs, frozen ones after it ends
+  router.get("/contests/:id", asincrono(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid contest id" });
+    }
+
+    responder(res, await leaderboards.verConcurso(req.params.id));
+  }));
+
+  // body: { name, description, metric, leg, start, end, size, eligibility: { registeredOnly, minInvested, tiers, exclude } }
+  router.post("/contests", requireSession(["owner", "subOwner"]), asincrono(async (req, res) => {
+    responder(res, await leaderboards.crearConcurso(req.body || {}, req.auth.wallet));
+  }));
+
+  router.put("/contests/:id", requireSession(["owner", "subOwner"]), asincrono(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid contest id" });
+    }
+
+    responder(res, await leaderboards.editarConcurso(req.params.id, req.body || {}));
+  }));
+
+  router.delete("/contests/:id", requireSession(["owner", "subOwner"]), asincrono(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid contest id" });
+    }
+
+    responder(res, await leaderboards.eliminarConcurso(req.params.id));
+  }));
+
+  return router;
+};
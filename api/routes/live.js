@@ -0,0 +1,138 @@
+/**
+ * Live updates over WebSocket (/api/v1/ws)
+ * A socket follows the wallet of its session only: it authenticates with an access token from
+ * /api/auth, and subscriptions end when the token expires or another wallet authenticates.
+ * Client messages: { "action": "auth", "token": "<access token>" },
+ *   { "action": "subscribe" | "unsubscribe", "wallet": "0x..." }; ?token=&wallet= does both on connect
+ * Server messages: { type: "points" | "retirable" | "deposits" | "withdrawal", wallet, data, at },
+ *   plus { type: "authenticated", wallet, expiresAt }, { type: "subscribed" | "unsubscribed", wallet }
+ *   and { type: "error", message }
+ * Needs express-ws applied to the app before the router is created.
+ */
+
+const express = require("express");
+
+const { esWallet } = require("../services/walletAuth.js");
+const { validarToken } = require("../services/sessions.js");
+const push = require("../services/push.js");
+const logger = require("../services/logger.js");
+
+const LATIDO = 30 * 1000; // Ping interval, sockets that miss a pong are closed
+
+module.exports = function liveRoutes() {
+  const router = express.Router();
+  const sockets = new Set();
+
+  let latido = setInterval(() => {
+    for (let ws of sockets) {
+      if (ws.vivo === false) {
+        ws.terminate();
+        continue;
+      }
+
+      ws.vivo = false;
+      ws.ping();
+    }
+  }, LATIDO);
+
+  latido.unref();
+
+  router.ws("/", (ws, req) => {
+    let suscripciones = new Map(); // wallet -> function that removes the listener
+    let sesion = null; // JWT payload of the socket
+    let vence = null;
+
+    function enviar(mensaje) {
+      if (ws.readyState === 1) ws.send(JSON.stringify(mensaje));
+    }
+
+    function cancelarTodas(salvo = null) {
+      for (let [wallet, quitar] of suscripciones) {
+        if (wallet === salvo) continue;
+        quitar();
+        suscripciones.delete(wallet);
+      }
+    }
+
+    async function autenticar(token) {
+      let payload = typeof token === "string" ? await validarToken(token).catch((e) => {
+        logger.warn("live session check failed", { err: e });
+        return null;
+      }) : null;
+
+      if (payload === null) return enviar({ type: "error", message: "invalid session" });
+
+      sesion = payload;
+      cancelarTodas(sesion.wallet);
+
+      clearTimeout(vence);
+      vence = setTimeout(() => {
+        sesion = null;
+        cancelarTodas();
+        enviar({ type: "error", message: "session expired" });
+      }, Math.max(0, payload.exp * 1000 - Date.now()));
+
+      enviar({ type: "authenticated", wallet: sesion.wallet, expiresAt: new Date(payload.exp * 1000).toISOString() });
+    }
+
+    function suscribir(wallet) {
+      wallet = wallet ? wallet.toString().toLowerCase() : "";
+
+      if (!esWallet(wallet)) return enviar({ type: "error", message: "not valid wallet" });
+      if (sesion === null) return enviar({ type: "error", message: "session required" });
+      if (wallet !== sesion.wallet) return enviar({ type: "error", message: "only the session wallet can be followed" });
+      if (suscripciones.has(wallet)) return enviar({ type: "subscribed", wallet });
+
+      suscripciones.set(wallet, push.suscribir(wallet, enviar));
+      enviar({ type: "subscribed", wallet });
+    }
+
+    function cancelar(wallet) {
+      wallet = wallet ? wallet.toString().toLowerCase() : "";
+
+      if (suscripciones.has(wallet)) {
+        suscripciones.get(wallet)();
+        suscripciones.delete(wallet);
+      }
+
+      enviar({ type: "unsubscribed", wallet });
+    }
+
+    ws.vivo = true;
+    sockets.add(ws);
+
+    ws.on("pong", () => {
+      ws.vivo = true;
+    });
+
+    // messages are handled in order, a subscribe right after auth waits for the session check
+    let cola = Promise.resolve();
+
+    ws.on("message", (texto) => {
+      let mensaje;
+
+      try {
+        mensaje = JSON.parse(texto);
+      } catch (error) {
+        return enviar({ type: "error", message: "messages must be JSON" });
+      }
+
+      if (mensaje.action === "auth") return (cola = cola.then(() => autenticar(mensaje.token)));
+      if (mensaje.action === "subscribe") return (cola = cola.then(() => suscribir(mensaje.wallet)));
+      if (mensaje.action === "unsubscribe") return (cola = cola.then(() => cancelar(mensaje.wallet)));
+
+      enviar({ type: "error", message: "action must be auth, subscribe or unsubscribe" });
+    });
+
+    ws.on("close", () => {
+      clearTimeout(vence);
+      cancelarTodas();
+      sockets.delete(ws);
+    });
+
+    if (req.query.token) cola = cola.then(() => autenticar(req.query.token.toString()));
+    if (req.query.wallet) cola = cola.then(() => suscribir(req.query.wallet));
+  });
+
+  return router;
+};
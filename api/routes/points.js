@@ -0,0 +1,49 @@
+/**
+ * Points ledger routes (/api/v1/puntos)
+ */
+
+const express = require("express");
+
+const { requireSession } = require("../services/sessions.js");
+const { esWallet } = require("../services/walletAuth.js");
+const ledger = require("../services/pointsLedger.js");
+const { fecha, asincrono } = require("./util.js");
+
+module.exports = function pointsRoutes() {
+  const router = express.Router();
+
+  // Point statement of a wallet: ?wallet=&from=&to=&limit=
+  router.get("/statement", asincrono(async (req, res) => {
+    let wallet = req.query.wallet ? req.query.wallet.toString().toLowerCase() : "";
+    let desde = fecha(req.query.from);
+    let hasta = fecha(req.query.to);
+
+    if (!esWallet(wallet)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid wallet parameter" });
+    }
+
+    if (desde === undefined || hasta === undefined) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid date parameter" });
+    }
+
+    let limite = Math.min(parseInt(req.query.limit) || 500, 5000);
+
+    res.send({ result: true, data: await ledger.extracto(wallet, { desde, hasta, limite }) });
+  }));
+
+  // Differences between binari_system and the ledger, ?wallet= for a single wallet
+  router.get("/reconcile", requireSession(["owner", "subOwner"]), asincrono(async (req, res) => {
+    let wallet = req.query.wallet ? req.query.wallet.toString() : null;
+
+    res.send({ result: true, data: await ledger.conciliar({ wallet }) });
+  }));
+
+  // Post the differences as reconciliation entries, body: { wallet }
+  router.post("/reconcile", requireSession(["owner", "subOwner"]), asincrono(async (req, res) => {
+    let wallet = req.body && req.body.wallet ? req.body.wallet.toString() : null;
+
+    res.send({ result: true, data: await ledger.conciliar({ wallet, ajustar: true, actor: req.auth.wallet }) });
+  }));
+
+  return router;
+};
@@ -0,0 +1,60 @@
+/**
+ * Binary tree history routes (/api/v1/binario)
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+
+const { esWallet } = require("../services/walletAuth.js");
+const snapshots = require("../services/treeSnapshots.js");
+const { fecha, asincrono } = require("./util.js");
+
+module.exports = function snapshotRoutes() {
+  const router = express.Router();
+
+  // Point evolution of a wallet: ?wallet=&from=&to=
+  router.get("/history", asincrono(async (req, res) => {
+    let wallet = req.query.wallet ? req.query.wallet.toString().toLowerCase() : "";
+    let desde = fecha(req.query.from);
+    let hasta = fecha(req.query.to);
+
+    if (!esWallet(wallet)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid wallet parameter" });
+    }
+
+    if (desde === undefined || hasta === undefined) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid date parameter" });
+    }
+
+    res.send({ result: true, data: await snapshots.historial(wallet, { desde, hasta }) });
+  }));
+
+  // Snapshots available: ?from=&to=
+  router.get("/snapshots", asincrono(async (req, res) => {
+    let desde = fecha(req.query.from);
+    let hasta = fecha(req.query.to);
+
+    if (desde === undefined || hasta === undefined) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid date parameter" });
+    }
+
+    res.send({ result: true, data: await snapshots.listar({ desde, hasta }) });
+  }));
+
+  // Differences between two snapshots: ?from=<snapshot id>&to=<snapshot id>
+  router.get("/diff", asincrono(async (req, res) => {
+    let { from, to } = req.query;
+
+    if (!mongoose.isValidObjectId(from) || !mongoose.isValidObjectId(to)) {
+      return res.status(400).send({ result: false, error: true, msg: "from and to must be snapshot ids" });
+    }
+
+    let result = await snapshots.comparar(from, to);
+
+    if (!result.result) result.error = true;
+
+    res.status(result.result ? 200 : 404).send(result);
+  }));
+
+  return router;
+};
@@ -0,0 +1,37 @@
+/**
+ * Platform statistics routes (/api/v1/stats)
+ */
+
+const express = require("express");
+
+const { requireSession } = require("../services/sessions.js");
+const { BUCKETS } = require("../services/stats.js");
+const { fecha, asincrono } = require("./util.js");
+
+module.exports = function statsRoutes({ estadisticas }) {
+  const router = express.Router();
+
+  // Time series: ?bucket=day|week|month&from=&to=
+  router.get("/", asincrono(async (req, res) => {
+    let bucket = req.query.bucket ? req.query.bucket.toString() : "day";
+    let desde = fecha(req.query.from);
+    let hasta = fecha(req.query.to);
+
+    if (BUCKETS.indexOf(bucket) === -1) {
+      return res.status(400).send({ result: false, error: true, msg: "bucket must be one of " + BUCKETS.join(", ") });
+    }
+
+    if (desde === undefined || hasta === undefined) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid date parameter" });
+    }
+
+    res.send({ result: true, bucket, data: await estadisticas.serie({ bucket, desde, hasta }) });
+  }));
+
+  // Record today's metrics now instead of waiting for the hourly task
+  router.post("/record", requireSession(["owner", "subOwner"]), asincrono(async (req, res) => {
+    res.send({ result: true, data: await estadisticas.registrar() });
+  }));
+
+  return router;
+};
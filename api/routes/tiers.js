@@ -0,0 +1,96 @@
+/**
+ * Investment tier routes (/api/tiers)
+ * All routes work on the wallet of the session
+ */
+
+const express = require("express");
+
+const { requireSession } = require("../services/sessions.js");
+const { SIN_TIER, cargarTiers, actualizarTier, consultarTier, editarTier } = require("../services/tiers.js");
+const { asincrono } = require("./util.js");
+
+module.exports = function tierRoutes({ consultarUsuario }) {
+  const router = express.Router();
+
+  router.use(requireSession());
+
+  // Read the investment from the chain and recalculate the tier
+  async function verificarInversion(wallet) {
+    let user = await consultarUsuario(wallet, false, true);
+
+    if (user && user.invested !== undefined) {
+      await actualizarTier(wallet, user.invested);
+    }
+  }
+
+  // Stored tier of the wallet, read from the chain the first time
+  async function tierSesion(wallet) {
+    let tier = await consultarTier(wallet);
+
+    if (tier === null) {
+      await verificarInversion(wallet);
+      tier = await consultarTier(wallet);
+    }
+
+    return tier || { wallet, currentTier: SIN_TIER, permissions: [], tierHistory: [] };
+  }
+
+  router.get("/current", asincrono(async (req, res) => {
+    let tier = await tierSesion(req.auth.wallet);
+
+    res.send({
+      result: true,
+      data: {
+        wallet: tier.wallet,
+        tier: tier.currentTier,
+        totalInvestment: tier.totalInvestment,
+        lastVerified: tier.lastVerified
+      }
+    });
+  }));
+
+  router.get("/permissions", asincrono(async (req, res) => {
+    let tier = await tierSesion(req.auth.wallet);
+
+    res.send({ result: true, tier: tier.currentTier, permissions: tier.permissions });
+  }));
+
+  router.get("/admin-panel-url", asincrono(async (req, res) => {
+    let tier = await tierSesion(req.auth.wallet);
+
+    if (!tier.adminPanelAccess) {
+      return res.status(403).send({ result: false, error: true, message: "no admin panel for tier " + tier.currentTier });
+    }
+
+    res.send({ result: true, tier: tier.currentTier, url: tier.adminPanelAccess });
+  }));
+
+  router.get("/history", asincrono(async (req, res) => {
+    let tier = await tierSesion(req.auth.wallet);
+
+    res.send({ result: true, data: tier.tierHistory });
+  }));
+
+  // Read the investment from the chain again and recalculate the tier
+  router.post("/verify-investment", asincrono(async (req, res) => {
+    await verificarInversion(req.auth.wallet);
+
+    let tier = await tierSesion(req.auth.wallet);
+
+    res.send({ result: true, tier: tier.currentTier, totalInvestment: tier.totalInvestment, lastVerified: tier.lastVerified });
+  }));
+
+  router.get("/config", asincrono(async (req, res) => {
+    res.send({ result: true, data: await cargarTiers() });
+  }));
+
+  router.put("/config/:tierName", requireSession(["owner", "subOwner"]), asincrono(async (req, res) => {
+    let { notFound, ...result } = await editarTier(req.params.tierName, req.body || {});
+
+    if (!result.result) result.error = true;
+
+    res.status(result.result ? 200 : notFound ? 404 : 400).send(result);
+  }));
+
+  return router;
+};
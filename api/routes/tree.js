@@ -0,0 +1,139 @@
+/**
+ * Placement tree routes (/api/v1/binario), served from binari_system
+ */
+
+const express = require("express");
+
+const { esWallet } = require("../services/walletAuth.js");
+const cache = require("../services/cache.js");
+const arbol = require("../services/treeQuery.js");
+const exportar = require("../services/treeExport.js");
+const logger = require("../services/logger.js");
+const { asincrono } = require("./util.js");
+
+module.exports = function treeRoutes() {
+  const router = express.Router();
+
+  // Nested subtree: ?wallet=&depth= or ?cursor= taken from a truncated node
+  router.get("/arbol", asincrono(async (req, res) => {
+    let wallet = req.query.wallet ? req.query.wallet.toString().toLowerCase() : "";
+    let cursor = req.query.cursor ? req.query.cursor.toString() : null;
+
+    if (cursor === null && !esWallet(wallet)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid wallet parameter" });
+    }
+
+    let result = await cache.agregado("arbol:" + wallet + ":" + req.query.depth + ":" + cursor, () => arbol.subarbol(wallet, { depth: req.query.depth, cursor }));
+
+    if (!result.result) result.error = true;
+
+    res.status(result.result ? 200 : 404).send(result);
+  }));
+
+  // Placement path to the root: ?wallet=
+  router.get("/upline", asincrono(async (req, res) => {
+    let wallet = req.query.wallet ? req.query.wallet.toString().toLowerCase() : "";
+
+    if (!esWallet(wallet)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid wallet parameter" });
+    }
+
+    let result = await cache.agregado("upline:" + wallet, () => arbol.caminoUpline(wallet));
+
+    if (!result.result) result.error = true;
+
+    res.status(result.result ? 200 : 404).send(result);
+  }));
+
+  // Is `wallet` in the left (0) or right (1) leg of `of`: ?wallet=&of=
+  router.get("/pierna", asincrono(async (req, res) => {
+    let wallet = req.query.wallet ? req.query.wallet.toString().toLowerCase() : "";
+    let de = req.query.of ? req.query.of.toString().toLowerCase() : "";
+
+    if (!esWallet(wallet) || !esWallet(de)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid wallet parameter" });
+    }
+
+    let result = await cache.agregado("pierna:" + wallet + ":" + de, () => arbol.pierna(wallet, de));
+
+    if (!result.result) result.error = true;
+
+    res.status(result.result ? 200 : 404).send(result);
+  }));
+
+  // Search: ?id= (addressToId), ?prefix=, ?suffix= (hex), ?referer= (recruits of a sponsor); &limit=&after=
+  router.get("/buscar", asincrono(async (req, res) => {
+    let q = req.query;
+    let hex = /^(0x)?[0-9a-f]{1,40}$/;
+
+    let id = q.id !== undefined ? parseInt(q.id) : null;
+    let prefijo = q.prefix !== undefined ? q.prefix.toString().toLowerCase() : null;
+    let sufijo = q.suffix !== undefined ? q.suffix.toString().toLowerCase().replace(/^0x/, "") : null;
+    let referer = q.referer !== undefined ? q.referer.toString().toLowerCase() : null;
+    let despuesDe = q.after !== undefined ? q.after.toString().toLowerCase() : null;
+
+    if (id === null && prefijo === null && sufijo === null && referer === null) {
+      return res.status(400).send({ result: false, error: true, msg: "id, prefix, suffix or referer required" });
+    }
+
+    if ((id !== null && (isNaN(id) || id < 0)) ||
+      (prefijo !== null && !hex.test(prefijo)) ||
+      (sufijo !== null && !/^[0-9a-f]{1,40}$/.test(sufijo)) ||
+      (referer !== null && !esWallet(referer)) ||
+      (despuesDe !== null && !esWallet(despuesDe))) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid search parameter" });
+    }
+
+    let limite = Math.min(parseInt(q.limit) || 50, 500);
+
+    let clave = "buscar:" + JSON.stringify([id, prefijo, sufijo, referer, despuesDe, limite]);
+
+    res.send(await cache.agregado(clave, () => arbol.buscar({ id, prefijo, sufijo, referer, despuesDe, limite })));
+  }));
+
+  // Genealogy download: ?wallet=&tree=placement|sponsor&format=csv|json|graphml|dot&depth=
+  router.get("/export", asincrono(async (req, res) => {
+    let wallet = req.query.wallet ? req.query.wallet.toString().toLowerCase() : "";
+    let tipoArbol = req.query.tree ? req.query.tree.toString() : "placement";
+    let formato = req.query.format ? req.query.format.toString() : "csv";
+    let profundidad = req.query.depth !== undefined ? parseInt(req.query.depth) : Infinity;
+
+    if (!esWallet(wallet)) {
+      return res.status(400).send({ result: false, error: true, msg: "not valid wallet parameter" });
+    }
+
+    if (exportar.ARBOLES.indexOf(tipoArbol) === -1 || !exportar.FORMATOS[formato] || isNaN(profundidad) || profundidad < 0) {
+      return res.status(400).send({ result: false, error: true, msg: "tree must be " + exportar.ARBOLES.join("|") + ", format " + Object.keys(exportar.FORMATOS).join("|") });
+    }
+
+    let exportacion = await exportar.preparar(wallet, { arbol: tipoArbol, profundidad });
+
+    if (!exportacion.result) {
+      return res.status(404).send({ ...exportacion, error: true });
+    }
+
+    // the counts are only known at the end, they go out as trailers
+    res.set({
+      "Content-Type": exportar.FORMATOS[formato].tipo + "; charset=utf-8",
+      "Content-Disposition": "attachment; filename=\"genealogy-" + tipoArbol + "-" + wallet + "." + exportar.FORMATOS[formato].extension + "\"",
+      "Trailer": "X-Export-Nodes, X-Export-Levels, X-Export-Cycles, X-Export-Missing"
+    });
+
+    try {
+      let resumen = await exportar.escribir(exportacion, formato, res);
+
+      res.addTrailers({
+        "X-Export-Nodes": resumen.nodes,
+        "X-Export-Levels": resumen.levels,
+        "X-Export-Cycles": resumen.cycles,
+        "X-Export-Missing": resumen.missing
+      });
+      res.end();
+    } catch (error) {
+      logger.warn("export interrupted", { wallet, err: error });
+      res.destroy();
+    }
+  }));
+
+  return router;
+};
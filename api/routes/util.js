@@ -0,0 +1,36 @@
+/**
+ * Helpers shared by the route modules
+ */
+
+const logger = require("../services/logger.js");
+
+// Date from a query parameter (ISO string or ms), null when missing and undefined when not valid
+function fecha(valor) {
+  if (valor === undefined) return null;
+
+  let d = new Date(isNaN(valor) ? valor : Number(valor));
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+// Express 4 ignores rejected promises, an async handler wrapped here hands its error to `errores`
+// instead of leaving an unhandled rejection that takes the process down
+function asincrono(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+// Last middleware of the app: JSON error body, 401 for token errors, 4xx kept from body-parser
+function errores(error, req, res, next) {
+  let status = 500;
+
+  if (error.name === "JsonWebTokenError" || error.name === "TokenExpiredError") status = 401;
+  else if (error.status >= 400 && error.status < 500) status = error.status;
+
+  if (status === 500) logger.error("request failed", { err: error, method: req.method, path: req.path });
+
+  // a stream already started, Express closes the connection
+  if (res.headersSent) return next(error);
+
+  res.status(status).send({ result: false, error: true, msg: status === 401 ? "invalid session" : status === 500 ? "internal error" : error.message });
+}
+
+module.exports = { fecha, asincrono, errores };
@@ -0,0 +1,111 @@
+/**
+ * Audit log service
+ * Records who changed a binari_system document, from where, the fields that changed and the result.
+ * Writing to the audit log never breaks the operation being audited.
+ */
+
+const AuditLog = require("../models/auditLog.js");
+const binario = require("../models/binario.js");
+const logger = require("./logger.js");
+
+// Fields that are not part of the user state
+const IGNORADOS = ["_id", "__v", "lastUpdate"];
+
+// { field: { before, after } } for every field that differs
+function diferencias(antes, despues) {
+  antes = antes || {};
+  despues = despues || {};
+
+  let cambios = {};
+  let campos = new Set([...Object.keys(antes), ...Object.keys(despues)]);
+
+  for (let campo of campos) {
+    if (IGNORADOS.includes(campo)) continue;
+
+    let a = antes[campo] === undefined ? null : antes[campo];
+    let d = despues[campo] === undefined ? null : despues[campo];
+
+    if (JSON.stringify(a) !== JSON.stringify(d)) cambios[campo] = { before: a, after: d };
+  }
+
+  return cambios;
+}
+
+function origenDe(req) {
+  return {
+    ip: req.headers["x-forwarded-for"] || req.socket.remoteAddress,
+    userAgent: req.headers["user-agent"] || null,
+    method: req.method,
+    route: req.originalUrl.split("?")[0]
+  };
+}
+
+async function leer(wallet) {
+  return await binario.findOne({ wallet }, { _id: false, __v: false }).lean();
+}
+
+async function registrar({ actor, wallet, operation, antes, despues, origin, result = "ok", message = null, reference = null }) {
+  try {
+    await AuditLog.create({
+      actor,
+      wallet: wallet ? wallet.toLowerCase() : null,
+      operation,
+      changes: diferencias(antes, despues),
+      origin,
+      result,
+      message,
+      reference: reference === null ? null : String(reference)
+    });
+  } catch (error) {
+    logger.error("audit write failed", { operation, wallet, err: error });
+  }
+}
+
+// Run `fn` and record the user document before and after it
+// `fn` may resolve to { result: false, message } to mark the operation as rejected
+async function auditar({ actor, wallet, operation, origin, reference = null }, fn) {
+  wallet = wallet.toLowerCase();
+
+  let antes = await leer(wallet).catch(() => null);
+  let salida;
+
+  try {
+    salida = await fn();
+  } catch (error) {
+    await registrar({ actor, wallet, operation, antes, despues: await leer(wallet).catch(() => null), origin, result: "error", message: error.toString(), reference });
+    throw error;
+  }
+
+  let rechazado = salida && typeof salida === "object" && salida.result === false;
+
+  await registrar({
+    actor,
+    wallet,
+    operation,
+    antes,
+    despues: await leer(wallet).catch(() => null),
+    origin,
+    result: rechazado ? "rejected" : "ok",
+    message: rechazado ? (salida.message || salida.msg || null) : null,
+    reference: reference || (salida && salida.retiro) || null
+  });
+
+  return salida;
+}
+
+// Entries filtered by wallet, operation and time range, newest first
+async function consultar({ wallet = null, operation = null, desde = null, hasta = null, limite = 100, antesDe = null }) {
+  let filtro = {};
+
+  if (wallet) filtro.wallet = wallet.toLowerCase();
+  if (operation) filtro.operation = operation;
+
+  if (desde || hasta || antesDe) filtro.createdAt = {};
+  if (desde) filtro.createdAt.$gte = desde;
+  if (hasta) filtro.createdAt.$lte = hasta;
+  if (antesDe) filtro.createdAt.$lt = antesDe; // cursor: createdAt of the last entry of the previous page
+
+  return await AuditLog.find(filtro).sort({ createdAt: -1 }).limit(limite).lean();
+}
+
+module.exports = { diferencias, origenDe, registrar, auditar, consultar };
@@ -0,0 +1,216 @@
+/**
+ * In-memory binary points engine
+ * Loads the whole `binari_system` collection once and computes lPuntos/rPuntos, lPersonas/rPersonas
+ * and puntosActivos for every wallet in a single post-order traversal, then writes only the changed
+ * documents with bulkWrite. binariV2 stays as the per-wallet path for quick refreshes.
+ *
+ * Rules are the same as binariV2 applied bottom-up:
+ *   side points  = child.invested * factorPuntos / 100 + child.lPuntos + child.rPuntos
+ *   side persons = 1 + child.lPersonas + child.rPersonas
+ *   empty side   = "0"
+ *   puntosActivos = min(lPuntos + lExtra - lReclamados, rPuntos + rExtra - rReclamados)
+ * By default points and persons only go up, like binariV2; `exacto` writes the computed values.
+ * Point changes are posted to the points ledger with the run as reference.
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const cache = require("./cache.js");
+const ledger = require("./pointsLedger.js");
+const logger = require("./logger.js");
+
+const WalletVacia = "0x0000000000000000000000000000000000000000";
+
+const CAMPOS = {
+  wallet: true, invested: true, left: true, right: true,
+  lPuntos: true, rPuntos: true, lPersonas: true, rPersonas: true,
+  lExtra: true, rExtra: true, lReclamados: true, rReclamados: true, puntosActivos: true
+};
+
+const LOTE = 1000; // Operations per bulkWrite
+
+function numero(valor) {
+  let n = new BigNumber(valor === undefined || valor === null ? 0 : valor);
+  return n.isNaN() ? new BigNumber(0) : n;
+}
+
+function vacio(hijo) {
+  return hijo === undefined || hijo === null || hijo === WalletVacia;
+}
+
+module.exports = function crearMotorBinario({ binario, factorPuntos }) {
+  let corriendo = false;
+  let ultimo = null;
+
+  // Values of one side from an already computed child, null when the child is unknown
+  function lado(hijo, calculados, nodos) {
+    if (vacio(hijo)) return { puntos: new BigNumber(0), personas: new BigNumber(0) };
+
+    let calculado = calculados.get(hijo);
+    if (calculado === undefined) return null;
+
+    let nodo = nodos.get(hijo);
+
+    return {
+      puntos: numero(nodo.invested).times(factorPuntos).dividedBy(100).plus(calculado.lPuntos).plus(calculado.rPuntos),
+      personas: new BigNumber(1).plus(calculado.lPersonas).plus(calculado.rPersonas)
+    };
+  }
+
+  // binariV2 only raises points and persons of a side that has a child
+  function valor(actual, nuevo, hijo, exacto) {
+    if (exacto || vacio(hijo)) return nuevo;
+    return BigNumber.max(numero(actual), nuevo);
+  }
+
+  function resolver(nodo, calculados, nodos, exacto, resumen) {
+    let izq = lado(nodo.left, calculados, nodos);
+    let der = lado(nodo.right, calculados, nodos);
+
+    let res = {
+      lPuntos: izq === null ? numero(nodo.lPuntos) : valor(nodo.lPuntos, izq.puntos, nodo.left, exacto),
+      lPersonas: izq === null ? numero(nodo.lPersonas) : valor(nodo.lPersonas, izq.personas, nodo.left, exacto),
+      rPuntos: der === null ? numero(nodo.rPuntos) : valor(nodo.rPuntos, der.puntos, nodo.right, exacto),
+      rPersonas: der === null ? numero(nodo.rPersonas) : valor(nodo.rPersonas, der.personas, nodo.right, exacto)
+    };
+
+    if (izq !== null && izq.puntos.lt(numero(nodo.lPuntos))) resumen.bajadas++;
+    if (der !== null && der.puntos.lt(numero(nodo.rPuntos))) resumen.bajadas++;
+
+    if (nodo.left !== undefined && nodo.right !== undefined) {
+      let pL = res.lPuntos.plus(numero(nodo.lExtra)).minus(numero(nodo.lReclamados));
+      let pR = res.rPuntos.plus(numero(nodo.rExtra)).minus(numero(nodo.rReclamados));
+
+      res.puntosActivos = BigNumber.min(pL, pR);
+    }
+
+    calculados.set(nodo.wallet, res);
+  }
+
+  // Post-order over every node without recursion, a child still open on the stack is a cycle
+  function calcular(lista, { exacto = false } = {}) {
+    let nodos = new Map();
+    let hijos = new Set();
+
+    for (let nodo of lista) {
+      nodos.set(nodo.wallet, nodo);
+      if (!vacio(nodo.left)) hijos.add(nodo.left);
+      if (!vacio(nodo.right)) hijos.add(nodo.right);
+    }
+
+    let resumen = { wallets: nodos.size, raices: 0, ciclos: 0, huerfanos: 0, bajadas: 0 };
+    let calculados = new Map();
+    let abiertos = new Set();
+
+    // Roots first, then whatever is only reachable through a cycle
+    let inicios = [...nodos.keys()].filter((w) => !hijos.has(w));
+    resumen.raices = inicios.length;
+    inicios = inicios.concat([...nodos.keys()]);
+
+    for (let inicio of inicios) {
+      if (calculados.has(inicio)) continue;
+
+      let pila = [{ wallet: inicio, expandido: false }];
+
+      while (pila.length > 0) {
+        let tope = pila[pila.length - 1];
+
+        if (calculados.has(tope.wallet)) {
+          pila.pop();
+          continue;
+        }
+
+        let nodo = nodos.get(tope.wallet);
+
+        if (!tope.expandido) {
+          tope.expandido = true;
+          abiertos.add(tope.wallet);
+
+          for (let hijo of [nodo.right, nodo.left]) {
+            if (vacio(hijo) || calculados.has(hijo)) continue;
+
+            if (!nodos.has(hijo)) {
+              resumen.huerfanos++;
+            } else if (abiertos.has(hijo)) {
+              resumen.ciclos++;
+            } else {
+              pila.push({ wallet: hijo, expandido: false });
+            }
+          }
+          continue;
+        }
+
+        pila.pop();
+        abiertos.delete(tope.wallet);
+        resolver(nodo, calculados, nodos, exacto, resumen);
+      }
+    }
+
+    return { calculados, nodos, resumen };
+  }
+
+  // Update operations for the documents whose stored values differ
+  function cambios(calculados, nodos) {
+    let operaciones = [];
+
+    for (let [wallet, res] of calculados) {
+      let nodo = nodos.get(wallet);
+      let set = {};
+
+      for (let campo of Object.keys(res)) {
+        let texto = res[campo].toString(10);
+        if (nodo[campo] !== texto) set[campo] = texto;
+      }
+
+      if (Object.keys(set).length > 0) {
+        operaciones.push({ updateOne: { filter: { wallet }, update: { $set: set } }, antes: nodo });
+      }
+    }
+
+    return operaciones;
+  }
+
+  // Load, compute and write the whole network, resolves to a summary of the run
+  async function ejecutar(opciones = {}) {
+    if (corriendo) return { result: false, message: "already running" };
+    corriendo = true;
+
+    let inicio = Date.now();
+
+    try {
+      let lista = await binario.find({}, CAMPOS).lean();
+      let { calculados, nodos, resumen } = calcular(lista, opciones);
+      let operaciones = cambios(calculados, nodos);
+
+      let referencia = "engine:" + new Date(inicio).toISOString();
+
+      for (let i = 0; i < operaciones.length; i += LOTE) {
+        let lote = operaciones.slice(i, i + LOTE);
+
+        await binario.bulkWrite(lote.map((o) => ({ updateOne: o.updateOne })), { ordered: false });
+        await cache.invalidarWallets(lote.map((o) => o.updateOne.filter.wallet));
+        await ledger.registrarLote(
+          lote.map((o) => ({ wallet: o.updateOne.filter.wallet, antes: o.antes, despues: o.updateOne.update.$set })),
+          { reason: "binary recalculation", reference: referencia }
+        );
+      }
+
+      ultimo = { result: true, ...resumen, actualizados: operaciones.length, ms: Date.now() - inicio, at: new Date() };
+
+      logger.info("binary engine done", { wallets: resumen.wallets, updated: operaciones.length, cycles: resumen.ciclos, ms: ultimo.ms });
+    } catch (error) {
+      ultimo = { result: false, message: error.toString(), ms: Date.now() - inicio, at: new Date() };
+      logger.error("binary engine failed", { err: error });
+    } finally {
+      corriendo = false;
+    }
+
+    return ultimo;
+  }
+
+  function estado() {
+    return { running: corriendo, last: ultimo };
+  }
+
+  return { calcular, ejecutar, estado };
+};
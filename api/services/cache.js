@@ -0,0 +1,211 @@
+/**
+ * Shared cache for binary reads
+ * Redis (APP_REDIS_URL) holds the entries for every API instance; without it, or while it is down,
+ * an in-process node-cache is used instead.
+ *   wallet views - one hash per wallet (`w:<wallet>`), a field per view, dropped when the wallet is rewritten
+ *   aggregates   - one hash (`agg`) for results that depend on many wallets, dropped on any rewrite
+ * Values carry their own expiry so a field can outlive neither its TTL nor the next rewrite.
+ * The same Redis carries pub/sub messages between instances (`publicar`/`escuchar`) over a second
+ * connection, a client in subscriber mode cannot run other commands.
+ */
+
+const NodeCache = require("node-cache");
+const { createClient } = require("redis");
+const logger = require("./logger.js");
+
+const PREFIJO = process.env.APP_CACHE_PREFIX || "aimas:";
+
+const TTL_WALLET = 300; // seconds
+const TTL_AGREGADO = 60;
+
+const local = new NodeCache({ stdTTL: TTL_WALLET, checkperiod: 120, useClones: false });
+
+let redis = null;
+let suscriptor = null;
+let conectado = false;
+let oyentes = new Map(); // channel -> fn(message), subscribed again on every new subscriber connection
+let aciertos = 0;
+let fallos = 0;
+
+function claveWallet(wallet) {
+  return PREFIJO + "w:" + wallet.toLowerCase();
+}
+
+const CLAVE_AGREGADOS = PREFIJO + "agg";
+
+// Entries written while Redis was down are unknown to the other instances, so both sides start empty
+async function limpiar() {
+  local.flushAll();
+
+  if (!conectado) return;
+
+  for await (let claves of redis.scanIterator({ MATCH: PREFIJO + "*", COUNT: 500 })) {
+    let lista = Array.isArray(claves) ? claves : [claves];
+    if (lista.length > 0) await redis.del(lista);
+  }
+}
+
+async function iniciar(url = process.env.APP_REDIS_URL) {
+  if (!url) {
+    logger.info("cache: APP_REDIS_URL not set, using node-cache");
+    return estado();
+  }
+
+  redis = createClient({ url, socket: { reconnectStrategy: (intentos) => Math.min(intentos * 500, 10000) } });
+
+  redis.on("ready", () => {
+    conectado = true;
+    logger.info("cache: redis ready");
+    limpiar().catch((e) => logger.error("cache clean failed", { err: e }));
+  });
+
+  redis.on("end", () => {
+    conectado = false;
+  });
+
+  redis.on("error", (error) => {
+    if (conectado) logger.warn("cache: redis error, using node-cache", { err: error });
+    conectado = false;
+  });
+
+  try {
+    await redis.connect();
+  } catch (error) {
+    logger.warn("cache: redis not available, using node-cache", { err: error });
+  }
+
+  suscriptor = redis.duplicate();
+  suscriptor.on("error", (error) => logger.debug("cache: redis subscriber error", { err: error }));
+
+  try {
+    await suscriptor.connect();
+
+    for (let [canal, fn] of oyentes) await suscriptor.subscribe(PREFIJO + canal, fn);
+  } catch (error) {
+    logger.warn("cache: redis subscriber not available", { err: error });
+  }
+
+  return estado();
+}
+
+// Call `fn` with every message published on `canal` by any instance, once Redis is connected
+async function escuchar(canal, fn) {
+  oyentes.set(canal, fn);
+
+  if (suscriptor !== null && suscriptor.isReady) await suscriptor.subscribe(PREFIJO + canal, fn);
+}
+
+// Publish to every instance; resolves to true when this instance gets the message back through its
+// own subscription, false when the caller has to deliver it locally
+async function publicar(canal, mensaje) {
+  if (!conectado || suscriptor === null || !suscriptor.isReady) return false;
+
+  try {
+    await redis.publish(PREFIJO + canal, mensaje);
+    return true;
+  } catch (error) {
+    logger.warn("cache: publish failed", { channel: canal, err: error });
+    return false;
+  }
+}
+
+async function leerCampo(clave, campo) {
+  let texto;
+
+  if (conectado) {
+    try {
+      texto = await redis.hGet(clave, campo);
+    } catch (error) {
+      texto = undefined;
+    }
+  } else {
+    texto = (local.get(clave) || {})[campo];
+  }
+
+  if (texto === undefined || texto === null) return undefined;
+
+  let entrada = JSON.parse(texto);
+
+  return entrada.hasta > Date.now() ? entrada.valor : undefined;
+}
+
+async function escribirCampo(clave, campo, valor, ttl) {
+  let texto = JSON.stringify({ valor, hasta: Date.now() + ttl * 1000 });
+
+  if (conectado) {
+    try {
+      await redis.multi().hSet(clave, campo, texto).expire(clave, Math.max(ttl, TTL_WALLET)).exec();
+      return;
+    } catch (error) {
+      logger.error("cache write failed", { err: error });
+    }
+  }
+
+  let campos = local.get(clave) || {};
+  campos[campo] = texto;
+  local.set(clave, campos, Math.max(ttl, TTL_WALLET));
+}
+
+// Value of `fn()` kept under `clave`/`campo`; null and undefined results are not stored
+async function envolver(clave, campo, ttl, fn) {
+  let valor = await leerCampo(clave, campo);
+
+  if (valor !== undefined) {
+    aciertos++;
+    return valor;
+  }
+
+  fallos++;
+  valor = await fn();
+
+  if (valor !== undefined && valor !== null) await escribirCampo(clave, campo, valor, ttl);
+
+  return valor;
+}
+
+// A view of one wallet, e.g. vistaWallet(wallet, "binario", () => lecturaBinari(wallet))
+function vistaWallet(wallet, vista, fn, ttl = TTL_WALLET) {
+  return envolver(claveWallet(wallet), vista, ttl, fn);
+}
+
+// A result built from many wallets, e.g. agregado("retirable", () => sumar())
+function agregado(nombre, fn, ttl = TTL_AGREGADO) {
+  return envolver(CLAVE_AGREGADOS, nombre, ttl, fn);
+}
+
+// Drop the views of the wallets and every aggregate
+async function invalidarWallets(wallets) {
+  let claves = wallets.filter((w) => typeof w === "string").map(claveWallet).concat(CLAVE_AGREGADOS);
+
+  local.del(claves);
+
+  if (conectado) {
+    try {
+      await redis.del(claves);
+    } catch (error) {
+      logger.error("cache invalidate failed", { err: error });
+    }
+  }
+}
+
+function invalidarWallet(wallet) {
+  return invalidarWallets([wallet]);
+}
+
+// Everything, for writes whose wallets are not known (updateMany, full rescans)
+function invalidarTodo() {
+  return limpiar().catch((e) => logger.error("cache clean failed", { err: e }));
+}
+
+function estado() {
+  return {
+    backend: conectado ? "redis" : "node-cache",
+    redisConfigured: redis !== null,
+    pubsub: suscriptor !== null && suscriptor.isReady,
+    hits: aciertos,
+    misses: fallos,
+    localKeys: local.keys().length
+  };
+}
+
+module.exports = { iniciar, vistaWallet, agregado, invalidarWallet, invalidarWallets, invalidarTodo, escuchar, publicar, estado };
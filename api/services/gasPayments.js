@@ -0,0 +1,132 @@
+/**
+ * Gas payment verification for withdrawals
+ * The user pays the fee quoted by /calculate/retiro in BNB to the API wallet, then sends the
+ * transaction hash to /retiro. The payment is checked over RPC and can only be used once.
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const GasQuote = require("../models/gasQuote.js");
+const GasPayment = require("../models/gasPayment.js");
+
+function delay(s) { return new Promise(res => setTimeout(res, s * 1000)); }
+
+const QUOTE_TTL = 10 * 60 * 1000; // A quote has to be paid within 10 minutes
+
+module.exports = function crearPagosGas({
+  web3,
+  receptor, // Wallet receiving the fees
+  confirmaciones = 3, // Blocks required on top of the payment
+  esperaConfirmaciones = 30 // Seconds to wait for missing confirmations
+}) {
+  receptor = receptor.toLowerCase();
+
+  // Store the fee quoted to a wallet
+  async function cotizar(wallet, amount) {
+    let fecha = new Date();
+
+    await GasQuote.create({
+      wallet: wallet.toLowerCase(),
+      amount: new BigNumber(amount).integerValue(BigNumber.ROUND_CEIL).toString(10),
+      receiver: receptor,
+      createdAt: fecha,
+      expiresAt: new Date(fecha.getTime() + QUOTE_TTL)
+    });
+  }
+
+  async function leerTx(hash) {
+    try {
+      return await web3.eth.getTransaction(hash);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async function leerRecibo(hash) {
+    try {
+      return await web3.eth.getTransactionReceipt(hash);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Check sender, recipient, value and confirmations of the payment
+  // Resolves to { result: true, value, quoted, blockNumber } or { result: false, message }
+  async function verificarPago(wallet, hash) {
+    if (typeof hash !== "string" || !/^0x[a-fA-F0-9]{64}$/.test(hash)) {
+      return { result: false, message: "gas payment transaction required" };
+    }
+
+    wallet = wallet.toLowerCase();
+    hash = hash.toLowerCase();
+
+    if (await GasPayment.exists({ _id: hash })) return { result: false, message: "gas payment already used" };
+
+    let cotizacion = await GasQuote.findOne({ wallet, expiresAt: { $gte: new Date() } }).sort({ createdAt: -1 });
+
+    if (cotizacion === null) return { result: false, message: "no valid gas quote, calculate the withdrawal again" };
+
+    let tx = await leerTx(hash);
+
+    if (!tx) return { result: false, message: "gas payment not found" };
+    if (!tx.from || tx.from.toLowerCase() !== wallet) return { result: false, message: "gas payment not sent by wallet" };
+    if (!tx.to || tx.to.toLowerCase() !== cotizacion.receiver) return { result: false, message: "gas payment sent to wrong address" };
+
+    let valor = new BigNumber(tx.value.toString());
+
+    if (valor.lt(cotizacion.amount)) {
+      return { result: false, message: "gas payment too low: " + valor.toString(10) + " < " + cotizacion.amount };
+    }
+
+    let limite = Date.now() + esperaConfirmaciones * 1000;
+    let recibo = await leerRecibo(hash);
+    let actual = Number(await web3.eth.getBlockNumber());
+
+    while ((!recibo || actual - Number(recibo.blockNumber) + 1 < confirmaciones) && Date.now() < limite) {
+      await delay(3);
+      recibo = recibo || await leerRecibo(hash);
+      actual = Number(await web3.eth.getBlockNumber());
+    }
+
+    if (!recibo) return { result: false, message: "gas payment not mined" };
+    if (Number(recibo.status) !== 1) return { result: false, message: "gas payment reverted" };
+    if (actual - Number(recibo.blockNumber) + 1 < confirmaciones) return { result: false, message: "gas payment not confirmed yet" };
+
+    // Payments made before the quote can not pay for it
+    let bloque = await web3.eth.getBlock(recibo.blockNumber);
+
+    if (Number(bloque.timestamp) * 1000 < cotizacion.createdAt.getTime() - 60 * 1000) {
+      return { result: false, message: "gas payment older than the quote" };
+    }
+
+    return { result: true, value: valor.toString(10), quoted: cotizacion.amount, blockNumber: Number(recibo.blockNumber) };
+  }
+
+  // Mark the payment as used, false if another request used it first
+  async function consumir(wallet, hash, pago) {
+    try {
+      await GasPayment.create({
+        _id: hash.toLowerCase(),
+        wallet: wallet.toLowerCase(),
+        value: pago.value,
+        quoted: pago.quoted,
+        blockNumber: pago.blockNumber
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async function asignar(hash, withdrawalId) {
+    await GasPayment.updateOne({ _id: hash.toLowerCase() }, { withdrawalId: String(withdrawalId) });
+  }
+
+  // Give the payment back when no withdrawal was sent with it
+  async function liberar(hash) {
+    await GasPayment.deleteOne({ _id: hash.toLowerCase(), withdrawalId: null });
+  }
+
+  return { cotizar, verificarPago, consumir, asignar, liberar };
+};
@@ -0,0 +1,161 @@
+/**
+ * Readiness and deep health checks
+ *   ready - Mongo connected and a first indexer pass done; data endpoints answer 503 otherwise
+ *   deep  - every dependency: Mongo ping, RPC pool, daily scan, indexer lag, signer balance and nonce,
+ *           transaction queue depth and cache backend. A running daily rescan only degrades it, the
+ *           stored network keeps being served meanwhile
+ */
+
+const mongoose = require("mongoose"); // MongoDB ODM
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const cache = require("./cache.js");
+
+const ESTADOS_MONGO = ["disconnected", "connected", "connecting", "disconnecting"];
+
+const LIMITE_CHEQUEO = 5000; // ms per dependency in the deep check
+const INDEXER_ATRASADO = 10 * 60 * 1000; // No indexer run for 10 minutes (it runs every minute)
+const REINTENTO = 30; // seconds
+const REVISION_INDEXER = 5000; // ms between checkpoint reads until the first pass is seen
+
+module.exports = function crearSalud({ web3, poolRpc, indexador, colaTx, signer, estadoApp, saldoMinimo = "0.01" }) {
+
+  function mongo() {
+    let estado = mongoose.connection.readyState;
+
+    return { ok: estado === 1, state: ESTADOS_MONGO[estado] || String(estado) };
+  }
+
+  let indexada = false; // stays true once seen, later indexer failures show in the deep check
+  let revisadaEn = 0;
+
+  async function redIndexada() {
+    if (indexada || Date.now() - revisadaEn < REVISION_INDEXER) return indexada;
+
+    revisadaEn = Date.now();
+    indexada = await indexador.indexada().catch(() => false);
+
+    return indexada;
+  }
+
+  async function listo() {
+    let m = mongo();
+    let motivos = [];
+
+    if (!m.ok) motivos.push("mongo " + m.state);
+    else if (!(await redIndexada())) motivos.push("network not indexed yet");
+
+    return {
+      ready: motivos.length === 0,
+      reasons: motivos,
+      retryAfter: motivos.length === 0 ? null : REINTENTO,
+      mongo: m,
+      indexed: indexada
+    };
+  }
+
+  // Middleware for data endpoints
+  async function requiereListo(req, res, next) {
+    let estado = await listo();
+
+    if (estado.ready) return next();
+
+    res.set("Retry-After", String(estado.retryAfter));
+    res.status(503).send({ result: false, error: true, msg: "service not ready: " + estado.reasons.join(", "), retryAfter: estado.retryAfter });
+  }
+
+  // { ok, ms, value } or { ok: false, ms, error }, a dependency that hangs counts as failed
+  async function medir(fn) {
+    let inicio = Date.now();
+    let temporizador;
+
+    try {
+      let limite = new Promise((resolve, reject) => {
+        temporizador = setTimeout(() => reject(new Error("timeout after " + LIMITE_CHEQUEO + " ms")), LIMITE_CHEQUEO);
+      });
+
+      let value = await Promise.race([fn(), limite]);
+
+      return { ok: true, ms: Date.now() - inicio, value };
+    } catch (error) {
+      return { ok: false, ms: Date.now() - inicio, error: error.message || error.toString() };
+    } finally {
+      clearTimeout(temporizador);
+    }
+  }
+
+  async function profundo() {
+    let app = estadoApp();
+    let m = mongo();
+
+    let [ping, cabeza, indexer, cola, saldo, nonces] = await Promise.all([
+      m.ok ? medir(() => mongoose.connection.db.admin().ping()) : { ok: false, ms: 0, error: m.state },
+      medir(() => web3.eth.getBlockNumber()),
+      m.ok ? medir(() => indexador.estado()) : { ok: false, ms: 0, error: m.state },
+      m.ok ? medir(() => colaTx.estado()) : { ok: false, ms: 0, error: m.state },
+      medir(() => web3.eth.getBalance(signer)),
+      medir(() => Promise.all([web3.eth.getTransactionCount(signer, "latest"), web3.eth.getTransactionCount(signer, "pending")]))
+    ]);
+
+    let pool = poolRpc.estado();
+    let disponibles = pool.endpoints.filter((e) => !e.paused).length;
+    let head = cabeza.ok ? Number(cabeza.value) : null;
+
+    let checks = {
+      mongo: { ok: ping.ok, state: m.state, pingMs: ping.ok ? ping.ms : null, error: ping.error || null },
+      rpc: { ok: cabeza.ok && disponibles > 0, head, available: disponibles, ...pool, error: cabeza.error || null },
+      // degraded while running: the data is served but may be a day behind in places
+      scan: { ok: !app.escaneo.running && (app.escaneo.lastError === null || app.escaneo.lastError === undefined), ...app.escaneo }
+    };
+
+    if (indexer.ok) {
+      let ix = indexer.value;
+      let ultimaCorrida = ix.lastRunAt ? new Date(ix.lastRunAt).getTime() : 0;
+
+      checks.indexer = {
+        ok: !ix.lastError && Date.now() - ultimaCorrida < INDEXER_ATRASADO,
+        running: ix.corriendo,
+        lastBlock: ix.lastBlock === undefined ? null : ix.lastBlock,
+        behind: head !== null && ix.lastBlock !== undefined ? head - ix.lastBlock : null,
+        lastRunAt: ix.lastRunAt || null,
+        lastRunMs: ix.lastRunMs === undefined ? null : ix.lastRunMs,
+        lastRunWallets: ix.lastRunWallets === undefined ? null : ix.lastRunWallets,
+        lastError: ix.lastError || null
+      };
+    } else {
+      checks.indexer = { ok: false, error: indexer.error };
+    }
+
+    if (saldo.ok) {
+      let bnb = new BigNumber(saldo.value.toString()).shiftedBy(-18);
+
+      checks.signer = {
+        ok: bnb.gte(saldoMinimo),
+        address: signer,
+        balance: bnb.toString(10),
+        minBalance: String(saldoMinimo),
+        nonce: nonces.ok ? Number(nonces.value[0]) : null,
+        pendingNonce: nonces.ok ? Number(nonces.value[1]) : null,
+        error: nonces.ok ? null : nonces.error
+      };
+    } else {
+      checks.signer = { ok: false, address: signer, error: saldo.error };
+    }
+
+    if (cola.ok) {
+      // jobs in review wait for someone to check the chain
+      checks.queue = { ok: cola.value.review === 0, depth: cola.value.queued + cola.value.sending + cola.value.sent, ...cola.value };
+    } else {
+      checks.queue = { ok: false, error: cola.error };
+    }
+
+    checks.cache = { ok: true, ...cache.estado() };
+
+    let caido = !checks.mongo.ok || !checks.rpc.ok;
+    let degradado = Object.values(checks).some((c) => !c.ok);
+
+    return { status: caido ? "down" : degradado ? "degraded" : "ok", at: new Date(), checks };
+  }
+
+  return { listo, requiereListo, profundo };
+};
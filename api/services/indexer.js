@@ -0,0 +1,232 @@
+/**
+ * Incremental chain indexer for the binary proxy contract
+ * The contract emits no events, so every new block is scanned for transactions sent to the proxy
+ * and their calldata is decoded to find the wallets they touch. Only those wallets and their
+ * uplines are refreshed. The last processed block is checkpointed in `indexer_state`.
+ *
+ * Calls made to the proxy from other contracts (internal transactions) are not visible here,
+ * the daily full rescan covers them.
+ */
+
+const IndexerState = require("../models/indexerState.js");
+const metricas = require("./metrics.js");
+const logger = require("./logger.js");
+
+const duracionIndexer = metricas.histograma("indexer_run_duration_seconds", "Indexer run duration by result", ["result"], [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+const walletsIndexer = metricas.contador("indexer_wallets_processed_total", "Wallets refreshed or recomputed by the indexer");
+const bloqueIndexer = metricas.medidor("indexer_last_block", "Last block processed by the indexer");
+
+const WalletVacia = "0x0000000000000000000000000000000000000000";
+
+// Contract methods that change the binary data and the arguments holding affected wallets
+const METODOS_INDEXADOS = {
+  registro: ["_sponsor"],
+  buyPlan: [],
+  withdraw: [],
+  asignFreeMembership: ["_user", "_sponsor"],
+  asignarPlan: ["_user"]
+};
+
+module.exports = function crearIndexador({
+  web3,
+  abi,
+  address,
+  binario,
+  refrescarWallet, // (wallet) => reads the wallet from the chain and reconnects its upline
+  recalcularBinario, // (wallet) => recomputes points of one wallet from its children
+  confirmaciones = 3, // Blocks left behind the head to avoid reorgs
+  maxBloques = 200, // Blocks processed per run
+  bloqueInicial = null // First block to index when there is no checkpoint, default: current head
+}) {
+  address = address.toLowerCase();
+
+  // selector -> { name, inputs }
+  let selectores = {};
+
+  for (let item of abi) {
+    if (item.type === "function" && METODOS_INDEXADOS[item.name] !== undefined) {
+      selectores[web3.eth.abi.encodeFunctionSignature(item)] = { name: item.name, inputs: item.inputs };
+    }
+  }
+
+  let corriendo = false;
+
+  // Method name and affected wallets of one transaction, null if it is not indexed
+  function decodificarTx(tx) {
+    if (!tx || !tx.to || tx.to.toLowerCase() !== address) return null;
+
+    let input = tx.input || tx.data || "0x";
+    let metodo = selectores[input.slice(0, 10).toLowerCase()];
+
+    if (metodo === undefined) return null;
+
+    let wallets = [tx.from.toLowerCase()];
+
+    if (METODOS_INDEXADOS[metodo.name].length > 0) {
+      let args;
+
+      // Anyone can send short or malformed calldata with an indexed selector, even if it reverts:
+      // that transaction is skipped so the block can still be checkpointed
+      try {
+        args = web3.eth.abi.decodeParameters(metodo.inputs, "0x" + input.slice(10));
+      } catch (error) {
+        logger.warn("indexer: undecodable calldata, transaction skipped", { hash: tx.hash, method: metodo.name, err: error });
+        return null;
+      }
+
+      for (let nombre of METODOS_INDEXADOS[metodo.name]) {
+        wallets.push(String(args[nombre]).toLowerCase());
+      }
+    }
+
+    // The admin wallet that sends asignFreeMembership / asignarPlan is not a binary user
+    if (metodo.name === "asignFreeMembership" || metodo.name === "asignarPlan") {
+      wallets.shift();
+    }
+
+    return { metodo: metodo.name, hash: tx.hash, wallets: wallets.filter((w) => w !== WalletVacia) };
+  }
+
+  // Upline chain of a wallet following `up` links, the wallet itself first
+  async function cadenaUpline(wallet) {
+    let cadena = [];
+    let vistos = {};
+    let actual = wallet;
+
+    while (actual && actual !== WalletVacia && vistos[actual] === undefined) {
+      vistos[actual] = true;
+      cadena.push(actual);
+
+      let user = await binario.findOne({ wallet: actual }, { up: true });
+      actual = user === null ? null : user.up;
+    }
+
+    if (actual && vistos[actual] !== undefined) {
+      logger.warn("indexer: cycle in upline", { wallet, at: actual });
+    }
+
+    return cadena;
+  }
+
+  // Refresh affected wallets, then recompute every upline from the deepest node up
+  async function actualizarAfectados(wallets) {
+    for (let wallet of wallets) {
+      await refrescarWallet(wallet);
+    }
+
+    let profundidad = {};
+
+    for (let wallet of wallets) {
+      let cadena = await cadenaUpline(wallet);
+
+      for (let index = 0; index < cadena.length; index++) {
+        let nivel = cadena.length - index; // distance to the root
+        if (profundidad[cadena[index]] === undefined || profundidad[cadena[index]] < nivel) {
+          profundidad[cadena[index]] = nivel;
+        }
+      }
+    }
+
+    let orden = Object.keys(profundidad).sort((a, b) => profundidad[b] - profundidad[a]);
+
+    for (let wallet of orden) {
+      await recalcularBinario(wallet);
+    }
+
+    return orden.length;
+  }
+
+  async function leerCheckpoint(head) {
+    let estado = await IndexerState.findById(address);
+
+    if (estado === null) {
+      let inicio = bloqueInicial !== null ? bloqueInicial - 1 : head;
+      estado = await IndexerState.create({ _id: address, lastBlock: inicio });
+      logger.info("indexer: no checkpoint, starting after block " + inicio);
+    }
+
+    return estado;
+  }
+
+  // Process pending blocks once; safe to call from a cron, overlapping runs are skipped
+  async function ejecutar() {
+    if (corriendo) return { result: false, message: "already running" };
+
+    corriendo = true;
+
+    let inicio = Date.now();
+    let terminar = duracionIndexer.iniciar();
+    let resumen = { result: true, desde: null, hasta: null, transacciones: 0, wallets: 0 };
+
+    try {
+      let head = Number(await web3.eth.getBlockNumber()) - confirmaciones;
+      let estado = await leerCheckpoint(head);
+
+      let desde = estado.lastBlock + 1;
+      let hasta = Math.min(head, estado.lastBlock + maxBloques);
+
+      resumen.desde = desde;
+      resumen.hasta = hasta;
+
+      if (desde <= hasta) {
+        let afectados = {};
+
+        for (let numero = desde; numero <= hasta; numero++) {
+          let bloque = await web3.eth.getBlock(numero, true);
+
+          for (let tx of (bloque.transactions || [])) {
+            let decodificada = decodificarTx(tx);
+            if (decodificada === null) continue;
+
+            resumen.transacciones++;
+            logger.info("indexer: " + decodificada.metodo, { hash: decodificada.hash, wallets: decodificada.wallets });
+
+            for (let wallet of decodificada.wallets) afectados[wallet] = true;
+          }
+        }
+
+        resumen.wallets = await actualizarAfectados(Object.keys(afectados));
+      }
+
+      await IndexerState.updateOne({ _id: address }, {
+        lastBlock: Math.max(hasta, estado.lastBlock),
+        lastRunAt: new Date(inicio),
+        lastRunMs: Date.now() - inicio,
+        lastRunWallets: resumen.wallets,
+        lastError: null,
+        $min: { indexedAt: new Date(inicio) } // set by the first pass that succeeds
+      });
+
+      walletsIndexer.inc({}, resumen.wallets);
+      bloqueIndexer.set({}, Math.max(hasta, estado.lastBlock));
+
+    } catch (error) {
+      logger.error("indexer run failed", { err: error });
+      resumen = { result: false, message: error.toString() };
+      await IndexerState.updateOne({ _id: address }, { lastRunAt: new Date(inicio), lastRunMs: Date.now() - inicio, lastError: error.toString() })
+        .catch(() => {});
+
+    } finally {
+      corriendo = false;
+      terminar({ result: resumen.result ? "ok" : "error" });
+    }
+
+    return resumen;
+  }
+
+  async function estado() {
+    let doc = await IndexerState.findById(address).lean();
+
+    return { corriendo, ...(doc || {}) };
+  }
+
+  // True once a pass completed, the checkpoint then follows the chain; checkpoints written before
+  // indexedAt existed count when their last run succeeded
+  async function indexada() {
+    let filtro = { _id: address, $or: [{ indexedAt: { $ne: null } }, { lastRunAt: { $ne: null }, lastError: null }] };
+
+    return (await IndexerState.exists(filtro)) !== null;
+  }
+
+  return { ejecutar, estado, indexada, decodificarTx, cadenaUpline };
+};
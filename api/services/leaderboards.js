@@ -0,0 +1,321 @@
+/**
+ * Leaderboards and contests built from the binary data
+ * Metrics:
+ *   activePoints    - puntosActivos stored in binari_system
+ *   pointsGained    - lPuntos/rPuntos credited in the points ledger during the window
+ *   newPersonas     - lPersonas/rPersonas growth since the tree snapshot at the start of the window
+ *   directReferrals - registered wallets with the wallet as `referer`, new since the start snapshot
+ * Contest standings are computed live while a contest runs and stored once it ends.
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const Contest = require("../models/contest.js");
+const PointsLedger = require("../models/pointsLedger.js");
+const TreeSnapshot = require("../models/treeSnapshot.js");
+const TreeSnapshotNode = require("../models/treeSnapshotNode.js");
+const User = require("../models/user.js");
+const binario = require("../models/binario.js");
+const logger = require("./logger.js");
+
+const METRICAS = ["activePoints", "pointsGained", "newPersonas", "directReferrals"];
+const PIERNAS = ["left", "right", "min", "total"];
+
+const VIGENCIA_ACTUAL = 10 * 60 * 1000; // A window ending less than 10 minutes ago is read from the live data
+
+function numero(valor) {
+  let n = new BigNumber(valor === undefined || valor === null ? 0 : valor.toString());
+  return n.isNaN() ? new BigNumber(0) : n;
+}
+
+function combinar(l, r, leg) {
+  if (leg === "left") return l;
+  if (leg === "right") return r;
+  if (leg === "min") return BigNumber.min(l, r);
+  return l.plus(r);
+}
+
+async function cargarRed() {
+  let lista = await binario.find({}, {
+    _id: false, wallet: true, registered: true, invested: true, referer: true,
+    lPersonas: true, rPersonas: true, puntosActivos: true
+  }).lean();
+
+  return new Map(lista.map((d) => [d.wallet, d]));
+}
+
+// Latest snapshot taken at or before `fecha`, or the first one after it
+async function snapshotInicial(fecha) {
+  return await TreeSnapshot.findOne({ complete: true, takenAt: { $lte: fecha } }).sort({ takenAt: -1 }).lean() ||
+    await TreeSnapshot.findOne({ complete: true, takenAt: { $gt: fecha } }).sort({ takenAt: 1 }).lean();
+}
+
+// First snapshot after `fecha`, null when the window ends now or no snapshot exists yet (live data is used)
+async function snapshotFinal(fecha) {
+  if (!fecha || fecha.getTime() > Date.now() - VIGENCIA_ACTUAL) return null;
+
+  return await TreeSnapshot.findOne({ complete: true, takenAt: { $gte: fecha } }).sort({ takenAt: 1 }).lean();
+}
+
+async function nodosSnapshot(snapshot) {
+  let nodos = await TreeSnapshotNode.find({ s: snapshot._id }, { _id: false, w: true, lq: true, rq: true }).lean();
+
+  return new Map(nodos.map((n) => [n.w, { lPersonas: n.lq, rPersonas: n.rq }]));
+}
+
+// wallet -> value for a metric, plus the snapshots used
+async function valores({ metric, leg, desde, hasta }, red) {
+  let mapa = new Map();
+  let base = null;
+  let final = null;
+
+  if (metric === "activePoints") {
+    for (let doc of red.values()) mapa.set(doc.wallet, numero(doc.puntosActivos));
+  }
+
+  if (metric === "pointsGained") {
+    let filtro = { field: { $in: ["lPuntos", "rPuntos"] } };
+
+    if (desde || hasta) filtro.createdAt = {};
+    if (desde) filtro.createdAt.$gte = desde;
+    if (hasta) filtro.createdAt.$lte = hasta;
+
+    let grupos = await PointsLedger.aggregate([
+      { $match: filtro },
+      { $group: { _id: { wallet: "$wallet", field: "$field" }, total: { $sum: "$delta" } } }
+    ]);
+
+    let lados = new Map();
+
+    for (let g of grupos) {
+      if (!lados.has(g._id.wallet)) lados.set(g._id.wallet, { lPuntos: new BigNumber(0), rPuntos: new BigNumber(0) });
+      lados.get(g._id.wallet)[g._id.field] = numero(g.total);
+    }
+
+    for (let [wallet, l] of lados) mapa.set(wallet, combinar(l.lPuntos, l.rPuntos, leg));
+  }
+
+  if (metric === "newPersonas" || metric === "directReferrals") {
+    if (desde) {
+      base = await snapshotInicial(desde);
+      if (base === null) return { result: false, message: "no tree snapshot covers the start of the window" };
+    }
+
+    final = await snapshotFinal(hasta);
+
+    let inicio = base ? await nodosSnapshot(base) : new Map();
+    let fin = final ? await nodosSnapshot(final) : red;
+
+    if (metric === "newPersonas") {
+      for (let [wallet, doc] of fin) {
+        let antes = inicio.get(wallet) || {};
+        let l = numero(doc.lPersonas).minus(numero(antes.lPersonas));
+        let r = numero(doc.rPersonas).minus(numero(antes.rPersonas));
+
+        mapa.set(wallet, combinar(l, r, leg));
+      }
+    } else {
+      for (let [wallet, doc] of red) {
+        if (!doc.registered || !doc.referer || !fin.has(wallet) || (base && inicio.has(wallet))) continue;
+
+        mapa.set(doc.referer, (mapa.get(doc.referer) || new BigNumber(0)).plus(1));
+      }
+    }
+  }
+
+  return { result: true, mapa, base, final };
+}
+
+async function filtroElegibilidad(reglas = {}) {
+  let excluidas = new Set((reglas.exclude || []).map((w) => w.toLowerCase()));
+  let minimo = numero(reglas.minInvested);
+  let conTier = null;
+
+  if (reglas.tiers && reglas.tiers.length > 0) {
+    let usuarios = await User.find({ currentTier: { $in: reglas.tiers } }, { _id: false, wallet: true }).lean();
+    conTier = new Set(usuarios.map((u) => u.wallet));
+  }
+
+  return (doc) => {
+    if (!doc) return false;
+    if (excluidas.has(doc.wallet)) return false;
+    if (reglas.registeredOnly !== false && !doc.registered) return false;
+    if (numero(doc.invested).lt(minimo)) return false;
+    if (conTier !== null && !conTier.has(doc.wallet)) return false;
+
+    return true;
+  };
+}
+
+// Ranked list, equal values share the rank (1, 2, 2, 4)
+async function ranking({ metric, leg = "total", desde = null, hasta = null, limite = 100, eligibility = {} }) {
+  if (METRICAS.indexOf(metric) === -1) return { result: false, message: "metric must be one of " + METRICAS.join(", ") };
+  if (PIERNAS.indexOf(leg) === -1) return { result: false, message: "leg must be one of " + PIERNAS.join(", ") };
+
+  let red = await cargarRed();
+  let calculo = await valores({ metric, leg, desde, hasta }, red);
+
+  if (!calculo.result) return calculo;
+
+  let elegible = await filtroElegibilidad(eligibility);
+
+  let lista = [...calculo.mapa.entries()]
+    .filter(([wallet, valor]) => valor.gt(0) && elegible(red.get(wallet)))
+    .sort((a, b) => b[1].comparedTo(a[1]) || a[0].localeCompare(b[0]));
+
+  let data = [];
+
+  for (let i = 0; i < lista.length && data.length < limite; i++) {
+    let rank = i > 0 && lista[i][1].eq(lista[i - 1][1]) ? data[i - 1].rank : i + 1;
+    data.push({ rank, wallet: lista[i][0], value: lista[i][1].toString(10) });
+  }
+
+  return {
+    result: true,
+    metric,
+    leg,
+    from: desde,
+    to: hasta,
+    baseline: calculo.base ? calculo.base.takenAt : null,
+    final: calculo.final ? calculo.final.takenAt : null,
+    total: lista.length,
+    data
+  };
+}
+
+// Contest body from an admin request
+function validarConcurso(body, actual = null) {
+  let datos = { ...(actual || {}), ...body };
+
+  let start = new Date(datos.start);
+  let end = new Date(datos.end);
+
+  if (typeof datos.name !== "string" || datos.name.trim() === "") return { result: false, message: "name required" };
+  if (METRICAS.indexOf(datos.metric) === -1) return { result: false, message: "metric must be one of " + METRICAS.join(", ") };
+  if (datos.leg !== undefined && PIERNAS.indexOf(datos.leg) === -1) return { result: false, message: "leg must be one of " + PIERNAS.join(", ") };
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) return { result: false, message: "start and end dates required, end after start" };
+
+  let reglas = datos.eligibility || {};
+
+  // checked on the raw value, numero() would turn anything unreadable into 0
+  if (reglas.minInvested !== undefined && reglas.minInvested !== null) {
+    let minimo = ["string", "number"].includes(typeof reglas.minInvested) ? new BigNumber(reglas.minInvested) : new BigNumber(NaN);
+
+    if (minimo.isNaN() || !minimo.isFinite() || minimo.lt(0)) return { result: false, message: "not valid minInvested, a number of 0 or more" };
+  }
+
+  return {
+    result: true,
+    data: {
+      name: datos.name.trim(),
+      description: datos.description || "",
+      metric: datos.metric,
+      leg: datos.leg || "total",
+      start,
+      end,
+      eligibility: {
+        registeredOnly: reglas.registeredOnly !== false,
+        minInvested: numero(reglas.minInvested).toString(10),
+        tiers: Array.isArray(reglas.tiers) ? reglas.tiers.map(String) : [],
+        exclude: Array.isArray(reglas.exclude) ? reglas.exclude.map((w) => String(w).toLowerCase()) : []
+      },
+      size: Math.max(1, Math.min(parseInt(datos.size) || 100, 1000))
+    }
+  };
+}
+
+function estadoConcurso(concurso) {
+  if (concurso.frozenAt) return "closed";
+  if (Date.now() < new Date(concurso.start).getTime()) return "scheduled";
+  if (Date.now() < new Date(concurso.end).getTime()) return "running";
+  return "closing";
+}
+
+async function crearConcurso(body, actor) {
+  let validado = validarConcurso(body);
+  if (!validado.result) return validado;
+
+  let concurso = await Contest.create({ ...validado.data, createdBy: actor, updatedAt: new Date() });
+
+  return { result: true, data: concurso.toObject() };
+}
+
+async function editarConcurso(id, body) {
+  let actual = await Contest.findById(id).lean();
+
+  if (actual === null) return { result: false, message: "contest not found" };
+  if (actual.frozenAt) return { result: false, message: "contest already closed" };
+
+  let validado = validarConcurso(body, actual);
+  if (!validado.result) return validado;
+
+  await Contest.updateOne({ _id: id, frozenAt: null }, { ...validado.data, updatedAt: new Date() });
+
+  return { result: true, data: await Contest.findById(id).lean() };
+}
+
+// Only contests that have not started can be removed, running and closed ones are kept as a record
+async function eliminarConcurso(id) {
+  let borrado = await Contest.findOneAndDelete({ _id: id, start: { $gt: new Date() } }).lean();
+
+  if (borrado === null) {
+    let existe = await Contest.exists({ _id: id });
+    return { result: false, message: existe ? "only scheduled contests can be deleted" : "contest not found" };
+  }
+
+  return { result: true };
+}
+
+async function listarConcursos() {
+  let lista = await Contest.find({}, { standings: false, __v: false }).sort({ start: -1 }).lean();
+
+  return lista.map((c) => ({ ...c, status: estadoConcurso(c) }));
+}
+
+function rankingConcurso(concurso) {
+  let hasta = new Date(Math.min(Date.now(), new Date(concurso.end).getTime()));
+
+  return ranking({
+    metric: concurso.metric,
+    leg: concurso.leg,
+    desde: concurso.start,
+    hasta,
+    limite: concurso.size,
+    eligibility: concurso.eligibility
+  });
+}
+
+// Frozen standings of a closed contest, live ones otherwise
+async function verConcurso(id) {
+  let concurso = await Contest.findById(id, { __v: false }).lean();
+  if (concurso === null) return { result: false, message: "contest not found" };
+
+  let status = estadoConcurso(concurso);
+
+  if (status === "closed" || status === "scheduled") return { result: true, data: { ...concurso, status } };
+
+  let live = await rankingConcurso(concurso);
+
+  return { result: true, data: { ...concurso, status, standings: live.result ? live.data : [], live: true, message: live.message } };
+}
+
+// Store the final standings of every contest that ended
+async function cerrarVencidos() {
+  let vencidos = await Contest.find({ end: { $lte: new Date() }, frozenAt: null }).lean();
+
+  for (let concurso of vencidos) {
+    let final = await rankingConcurso(concurso);
+
+    if (!final.result) {
+      logger.warn("contest not closed", { contest: concurso._id, reason: final.message });
+      continue;
+    }
+
+    await Contest.updateOne({ _id: concurso._id, frozenAt: null }, { standings: final.data, frozenAt: new Date() });
+    logger.info("contest closed", { contest: concurso._id, positions: final.data.length });
+  }
+
+  return vencidos.length;
+}
+
+module.exports = { METRICAS, PIERNAS, ranking, crearConcurso, editarConcurso, eliminarConcurso, listarConcursos, verConcurso, cerrarVencidos };
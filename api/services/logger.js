@@ -0,0 +1,138 @@
+/**
+ * Structured JSON logger, one line per entry on stdout
+ *   { time, level, msg, requestId, correlationId, ...fields }
+ * The context (request id, correlation id) follows async calls through AsyncLocalStorage, so code
+ * called from a request or a withdrawal logs with its ids without passing them around.
+ * Secrets are redacted twice: by field name, and by value for credentials found in the environment
+ * and the ones registered with `secreto`.
+ *
+ * LOG_LEVEL: debug | info | warn | error (default info)
+ */
+
+const crypto = require("crypto"); // Random ids
+const { AsyncLocalStorage } = require("async_hooks");
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const nivelMinimo = NIVELES[String(process.env.LOG_LEVEL || "info").toLowerCase()] || NIVELES.info;
+
+const almacen = new AsyncLocalStorage();
+
+// Field names whose values are never written
+const CAMPO_SECRETO = /pass|secret|token|key|priv|authorization|cookie|signature|firma|mnemonic|seed/i;
+
+const REDACTADO = "[redacted]";
+
+// Environment variables holding keys, passwords or credentials in a URL
+const VARIABLE_SECRETA = /key|_ky$|secret|token|pass|priv|encr|mongo|redis_url/i;
+
+let secretos = new Set();
+
+// Values that must never reach the output, whatever field or message they end up in
+function secreto(valor) {
+  if (typeof valor === "string" && valor.length >= 6) secretos.add(valor);
+}
+
+// dotenv has to be loaded before this module is required
+for (let [nombre, valor] of Object.entries(process.env)) {
+  if (VARIABLE_SECRETA.test(nombre)) secreto(valor);
+}
+
+function limpiarTexto(texto) {
+  for (let s of secretos) {
+    if (texto.includes(s)) texto = texto.split(s).join(REDACTADO);
+  }
+
+  return texto;
+}
+
+function redactar(valor, profundidad = 0) {
+  if (valor === null || valor === undefined) return valor;
+  if (typeof valor === "string") return limpiarTexto(valor);
+  if (typeof valor === "bigint") return valor.toString();
+  if (typeof valor !== "object") return valor;
+  if (profundidad > 6) return "[depth]";
+
+  if (valor instanceof Error) {
+    return { message: limpiarTexto(valor.message || String(valor)), stack: valor.stack ? limpiarTexto(valor.stack) : undefined };
+  }
+
+  if (valor instanceof Date) return valor.toISOString();
+  if (typeof valor.toHexString === "function") return valor.toHexString(); // ObjectId
+  if (valor._bsontype === "Decimal128" || (valor.constructor && valor.constructor.name === "BigNumber")) return valor.toString();
+  if (Array.isArray(valor)) return valor.map((v) => redactar(v, profundidad + 1));
+
+  let salida = {};
+
+  for (let [campo, v] of Object.entries(valor)) {
+    salida[campo] = CAMPO_SECRETO.test(campo) ? REDACTADO : redactar(v, profundidad + 1);
+  }
+
+  return salida;
+}
+
+function escribir(nivel, msg, campos) {
+  if (NIVELES[nivel] < nivelMinimo) return;
+
+  if (campos instanceof Error) campos = { err: campos };
+
+  let entrada = {
+    time: new Date().toISOString(),
+    level: nivel,
+    msg: limpiarTexto(String(msg)),
+    ...(almacen.getStore() || {}),
+    ...redactar(campos || {})
+  };
+
+  process.stdout.write(JSON.stringify(entrada) + "\n");
+}
+
+function nuevoId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+// Run `fn` with fields added to the current context, e.g. contexto({ correlationId }, () => ...)
+function contexto(campos, fn) {
+  let actual = almacen.getStore() || {};
+  let nuevo = { ...actual };
+
+  for (let [campo, valor] of Object.entries(campos)) {
+    if (valor !== undefined && valor !== null) nuevo[campo] = String(valor);
+  }
+
+  return almacen.run(nuevo, fn);
+}
+
+function actual() {
+  return almacen.getStore() || {};
+}
+
+// Correlation id of the running operation, the request id when nothing more specific was set
+function correlacion() {
+  let store = actual();
+
+  return store.correlationId || store.requestId || null;
+}
+
+// X-Request-Id from the client or a new one, sent back on the response
+function middleware(req, res, next) {
+  let entrante = req.headers["x-request-id"];
+  let requestId = typeof entrante === "string" && /^[\w.-]{1,64}$/.test(entrante) ? entrante : nuevoId();
+
+  res.set("X-Request-Id", requestId);
+  contexto({ requestId }, next);
+}
+
+module.exports = {
+  debug: (msg, campos) => escribir("debug", msg, campos),
+  info: (msg, campos) => escribir("info", msg, campos),
+  warn: (msg, campos) => escribir("warn", msg, campos),
+  error: (msg, campos) => escribir("error", msg, campos),
+  contexto,
+  actual,
+  correlacion,
+  nuevoId,
+  middleware,
+  secreto,
+  redactar
+};
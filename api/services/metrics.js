@@ -0,0 +1,211 @@
+/**
+ * Prometheus metrics in the text exposition format (version 0.0.4)
+ * Services register their counters, gauges and histograms once at module load and update them
+ * in place; values read from elsewhere (balances, Mongo counts) are set by collectors that run
+ * on every scrape.
+ */
+
+const logger = require("./logger.js");
+
+const PREFIJO = "aimas_";
+
+const BUCKETS_SEGUNDOS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const LIMITE_RECOLECTOR = 5000; // ms, a slow collector must not hold the scrape
+
+let metricas = new Map(); // name -> metric
+let recolectores = []; // async () => void, run before every scrape
+
+function escapar(valor) {
+  return String(valor).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatoEtiquetas(nombres, valores, extra = "") {
+  let partes = nombres.map((n, i) => n + "=\"" + escapar(valores[i]) + "\"");
+  if (extra) partes.push(extra);
+
+  return partes.length === 0 ? "" : "{" + partes.join(",") + "}";
+}
+
+function numero(valor) {
+  if (valor === Infinity) return "+Inf";
+  if (valor === -Infinity) return "-Inf";
+
+  return String(valor);
+}
+
+// Label values in the declared order, missing labels are empty strings
+function valoresDe(nombres, etiquetas = {}) {
+  return nombres.map((n) => (etiquetas[n] === undefined || etiquetas[n] === null ? "" : String(etiquetas[n])));
+}
+
+function registrar(tipo, nombre, ayuda, etiquetas, crear) {
+  nombre = PREFIJO + nombre;
+
+  let existente = metricas.get(nombre);
+
+  if (existente !== undefined) {
+    if (existente.tipo !== tipo) throw new Error("metric " + nombre + " already registered as " + existente.tipo);
+    return existente;
+  }
+
+  let metrica = { tipo, nombre, ayuda, etiquetas, series: new Map(), ...crear() };
+  metricas.set(nombre, metrica);
+
+  return metrica;
+}
+
+function serie(metrica, etiquetas, inicial) {
+  let valores = valoresDe(metrica.etiquetas, etiquetas);
+  let clave = JSON.stringify(valores);
+
+  if (!metrica.series.has(clave)) metrica.series.set(clave, { valores, ...inicial() });
+
+  return metrica.series.get(clave);
+}
+
+function contador(nombre, ayuda, etiquetas = []) {
+  let metrica = registrar("counter", nombre, ayuda, etiquetas, () => ({}));
+
+  return {
+    inc(valoresEtiquetas, cantidad = 1) {
+      serie(metrica, valoresEtiquetas, () => ({ valor: 0 })).valor += cantidad;
+    }
+  };
+}
+
+function medidor(nombre, ayuda, etiquetas = []) {
+  let metrica = registrar("gauge", nombre, ayuda, etiquetas, () => ({}));
+
+  return {
+    set(valoresEtiquetas, valor) {
+      serie(metrica, valoresEtiquetas, () => ({ valor: 0 })).valor = Number(valor);
+    },
+    inc(valoresEtiquetas, cantidad = 1) {
+      serie(metrica, valoresEtiquetas, () => ({ valor: 0 })).valor += cantidad;
+    }
+  };
+}
+
+function histograma(nombre, ayuda, etiquetas = [], buckets = BUCKETS_SEGUNDOS) {
+  let metrica = registrar("histogram", nombre, ayuda, etiquetas, () => ({ buckets: buckets.slice().sort((a, b) => a - b) }));
+
+  function observar(valoresEtiquetas, valor) {
+    let s = serie(metrica, valoresEtiquetas, () => ({ cuentas: metrica.buckets.map(() => 0), suma: 0, total: 0 }));
+
+    for (let i = 0; i < metrica.buckets.length; i++) {
+      if (valor <= metrica.buckets[i]) s.cuentas[i]++;
+    }
+
+    s.suma += valor;
+    s.total++;
+  }
+
+  return {
+    observar,
+    // Returns the function that records the seconds elapsed since this call
+    iniciar(valoresEtiquetas) {
+      let inicio = process.hrtime.bigint();
+
+      return (masEtiquetas = {}) => {
+        let segundos = Number(process.hrtime.bigint() - inicio) / 1e9;
+        observar({ ...valoresEtiquetas, ...masEtiquetas }, segundos);
+        return segundos;
+      };
+    }
+  };
+}
+
+// `fn` updates gauges right before each scrape, a failing collector leaves the previous values
+function recolectar(fn) {
+  recolectores.push(fn);
+}
+
+function lineas(metrica) {
+  let salida = ["# HELP " + metrica.nombre + " " + metrica.ayuda.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"), "# TYPE " + metrica.nombre + " " + metrica.tipo];
+
+  for (let s of metrica.series.values()) {
+    if (metrica.tipo !== "histogram") {
+      salida.push(metrica.nombre + formatoEtiquetas(metrica.etiquetas, s.valores) + " " + numero(s.valor));
+      continue;
+    }
+
+    metrica.buckets.forEach((le, i) => {
+      salida.push(metrica.nombre + "_bucket" + formatoEtiquetas(metrica.etiquetas, s.valores, "le=\"" + numero(le) + "\"") + " " + s.cuentas[i]);
+    });
+
+    salida.push(metrica.nombre + "_bucket" + formatoEtiquetas(metrica.etiquetas, s.valores, "le=\"+Inf\"") + " " + s.total);
+    salida.push(metrica.nombre + "_sum" + formatoEtiquetas(metrica.etiquetas, s.valores) + " " + numero(s.suma));
+    salida.push(metrica.nombre + "_count" + formatoEtiquetas(metrica.etiquetas, s.valores) + " " + s.total);
+  }
+
+  return salida;
+}
+
+async function correr(fn) {
+  let temporizador;
+
+  try {
+    await Promise.race([
+      Promise.resolve().then(fn),
+      new Promise((resolve, reject) => {
+        temporizador = setTimeout(() => reject(new Error("timeout after " + LIMITE_RECOLECTOR + " ms")), LIMITE_RECOLECTOR);
+      })
+    ]);
+  } catch (error) {
+    logger.warn("metrics collector failed", { err: error });
+  } finally {
+    clearTimeout(temporizador);
+  }
+}
+
+async function exponer() {
+  await Promise.all(recolectores.map(correr));
+
+  let salida = [];
+
+  for (let metrica of metricas.values()) salida.push(...lineas(metrica));
+
+  return salida.join("\n") + "\n";
+}
+
+// Request latency per route template, unmatched paths share one label so URLs with wallets do not
+// create a series each
+const duracionHttp = histograma("http_request_duration_seconds", "HTTP request latency by route and status", ["method", "route", "status"]);
+const erroresHttp = contador("http_request_errors_total", "HTTP responses with status 400 or above", ["method", "route", "status"]);
+
+function ruta(req) {
+  if (req.route && req.route.path) return (req.baseUrl || "") + req.route.path;
+  if (req.baseUrl) return req.baseUrl;
+
+  return "unmatched";
+}
+
+function middlewareHttp(req, res, next) {
+  let terminar = duracionHttp.iniciar({ method: req.method });
+
+  res.on("finish", () => {
+    let etiquetas = { method: req.method, route: ruta(req), status: res.statusCode };
+
+    terminar(etiquetas);
+    if (res.statusCode >= 400) erroresHttp.inc(etiquetas);
+  });
+
+  next();
+}
+
+// Process metrics
+const memoria = medidor("process_resident_memory_bytes", "Resident memory size in bytes");
+const heap = medidor("nodejs_heap_used_bytes", "V8 heap in use in bytes");
+const inicioProceso = medidor("process_start_time_seconds", "Start time of the process since unix epoch in seconds");
+
+inicioProceso.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+recolectar(() => {
+  let uso = process.memoryUsage();
+  memoria.set({}, uso.rss);
+  heap.set({}, uso.heapUsed);
+});
+
+const TIPO_CONTENIDO = "text/plain; version=0.0.4; charset=utf-8";
+
+module.exports = { contador, medidor, histograma, recolectar, exponer, middlewareHttp, TIPO_CONTENIDO, BUCKETS_SEGUNDOS };
@@ -0,0 +1,260 @@
+/**
+ * Points ledger service
+ * The point fields of `binari_system` stay as a cache for reads; every write to them posts the
+ * difference to `points_ledger`, so a balance can be explained entry by entry and reconciled.
+ */
+
+const crypto = require("crypto");
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const PointsLedger = require("../models/pointsLedger.js");
+const binario = require("../models/binario.js");
+const push = require("./push.js");
+const logger = require("./logger.js");
+
+const CAMPOS_PUNTOS = ["lPuntos", "rPuntos", "lExtra", "rExtra", "lReclamados", "rReclamados"];
+
+// System account on the other side of each field
+const CONTRAPARTIDAS = {
+  lPuntos: "system:network",
+  rPuntos: "system:network",
+  lExtra: "system:admin",
+  rExtra: "system:admin",
+  lReclamados: "system:withdrawals",
+  rReclamados: "system:withdrawals"
+};
+
+const LOTE = 1000; // Entries per insertMany
+const INTENTOS = 5; // Writes of `actualizar` tried again when another write changed the fields first
+
+function numero(valor) {
+  let n = new BigNumber(valor === undefined || valor === null || valor === "" ? 0 : valor);
+  return n.isNaN() ? new BigNumber(0) : n;
+}
+
+function decimal(valor) {
+  return valor === null || valor === undefined ? "0" : valor.toString();
+}
+
+// Credit and debit entries moving `diferencia` into the wallet field
+function asientos(wallet, campo, diferencia, { reason, reference, key, contra }) {
+  let txId = crypto.randomUUID();
+  let monto = diferencia.abs().toString(10);
+  let cuenta = wallet + ":" + campo;
+  let sistema = contra || CONTRAPARTIDAS[campo];
+  let credito = diferencia.gt(0);
+  let base = { txId, amount: monto, reason, reference, key: key ? key + ":" + campo : undefined, createdAt: new Date() };
+
+  return [
+    { ...base, account: cuenta, wallet, field: campo, direction: credito ? "credit" : "debit", delta: credito ? monto : "-" + monto },
+    { ...base, account: sistema, wallet: null, field: null, direction: credito ? "debit" : "credit", delta: credito ? "-" + monto : monto }
+  ];
+}
+
+// Entries for every point field that differs between `antes` and `despues`
+function movimientos(wallet, antes, despues, origen) {
+  let lista = [];
+
+  for (let campo of CAMPOS_PUNTOS) {
+    if (despues[campo] === undefined) continue;
+
+    let diferencia = numero(despues[campo]).minus(numero(antes ? antes[campo] : 0));
+
+    if (!diferencia.isZero()) lista.push(...asientos(wallet.toLowerCase(), campo, diferencia, origen));
+  }
+
+  return lista;
+}
+
+// One "points" event per wallet with the delta of each field
+function avisar(lista) {
+  let porWallet = new Map();
+
+  for (let e of lista) {
+    if (e.wallet === null) continue;
+
+    if (!porWallet.has(e.wallet)) porWallet.set(e.wallet, {});
+    porWallet.get(e.wallet)[e.field] = e.delta;
+  }
+
+  for (let [wallet, deltas] of porWallet) push.emitir(wallet, "points", { deltas, reason: lista[0].reason });
+}
+
+// Insert entries, duplicates of an idempotency key are skipped
+async function asentar(lista) {
+  for (let i = 0; i < lista.length; i += LOTE) {
+    try {
+      await PointsLedger.insertMany(lista.slice(i, i + LOTE), { ordered: false });
+    } catch (error) {
+      if (error.code !== 11000 && !(error.writeErrors || []).every((e) => e.code === 11000)) throw error;
+    }
+  }
+}
+
+async function publicar(lista) {
+  await asentar(lista);
+  avisar(lista);
+
+  return lista.length / 2;
+}
+
+// Post the differences of one wallet, origen: { reason, reference, key }
+async function registrarCambios(wallet, antes, despues, origen) {
+  return await publicar(movimientos(wallet, antes, despues, origen));
+}
+
+// Same for many wallets at once: [{ wallet, antes, despues }]
+async function registrarLote(cambios, origen) {
+  let lista = [];
+
+  for (let cambio of cambios) lista.push(...movimientos(cambio.wallet, cambio.antes, cambio.despues, origen));
+
+  return await publicar(lista);
+}
+
+// Write fields of one binari_system document and post what changed, resolves to the document before the write.
+// The entries are posted first and the write only goes through while the point fields still hold the values
+// they were computed from, so a crash in between leaves entries `conciliar` reports, and a retry with the same
+// key completes the write without posting them twice. Entries of a write that lost a race are removed and the
+// write is computed again
+async function actualizar(filtro, cambios, origen) {
+  for (let intento = 1; intento <= INTENTOS; intento++) {
+    let leido = await binario.findOne(filtro, { _id: false }).lean();
+    if (leido === null) return null;
+
+    let lista = movimientos(leido.wallet, leido, cambios, origen);
+    let condicion = { wallet: leido.wallet };
+
+    for (let campo of CAMPOS_PUNTOS) {
+      if (cambios[campo] !== undefined) condicion[campo] = leido[campo] === undefined ? null : leido[campo];
+    }
+
+    await asentar(lista);
+
+    let antes = await binario.findOneAndUpdate({ ...filtro, ...condicion }, cambios, { new: false, projection: { _id: false } }).lean();
+
+    if (antes !== null) {
+      avisar(lista);
+      push.cambiosUsuario(antes.wallet, antes, cambios);
+
+      return antes;
+    }
+
+    if (lista.length > 0) await PointsLedger.deleteMany({ txId: { $in: [...new Set(lista.map((e) => e.txId))] } });
+  }
+
+  throw new Error("points of " + JSON.stringify(filtro) + " kept changing, write given up after " + INTENTOS + " attempts");
+}
+
+// Ledger balance of every point field of a wallet, before `hasta` when given
+async function saldos(wallet, hasta = null) {
+  let filtro = { wallet: wallet.toLowerCase() };
+  if (hasta) filtro.createdAt = { $lt: hasta };
+
+  let grupos = await PointsLedger.aggregate([
+    { $match: filtro },
+    { $group: { _id: "$field", total: { $sum: "$delta" } } }
+  ]);
+
+  let resultado = {};
+
+  for (let campo of CAMPOS_PUNTOS) resultado[campo] = "0";
+  for (let g of grupos) resultado[g._id] = decimal(g.total);
+
+  return resultado;
+}
+
+// Entries of a wallet with the running balance of their field
+async function extracto(wallet, { desde = null, hasta = null, limite = 500 } = {}) {
+  wallet = wallet.toLowerCase();
+
+  let filtro = { wallet };
+
+  if (desde || hasta) filtro.createdAt = {};
+  if (desde) filtro.createdAt.$gte = desde;
+  if (hasta) filtro.createdAt.$lte = hasta;
+
+  // without a start date the statement begins with the first entry, from zero
+  let apertura = {};
+
+  if (desde) apertura = await saldos(wallet, desde);
+  else for (let campo of CAMPOS_PUNTOS) apertura[campo] = "0";
+
+  let corrido = {};
+
+  for (let campo of CAMPOS_PUNTOS) corrido[campo] = numero(apertura[campo]);
+
+  let lista = await PointsLedger.find(filtro, { _id: false, __v: false, wallet: false, account: false })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limite)
+    .lean();
+
+  let entries = lista.map((e) => {
+    corrido[e.field] = corrido[e.field].plus(decimal(e.delta));
+
+    return {
+      createdAt: e.createdAt,
+      field: e.field,
+      direction: e.direction,
+      amount: decimal(e.amount),
+      balance: corrido[e.field].toString(10),
+      reason: e.reason,
+      reference: e.reference,
+      txId: e.txId
+    };
+  });
+
+  let cierre = {};
+  for (let campo of CAMPOS_PUNTOS) cierre[campo] = corrido[campo].toString(10);
+
+  return { wallet, opening: apertura, closing: cierre, entries, truncated: lista.length === limite };
+}
+
+// Differences between binari_system and the ledger; `ajustar` posts them as reconciliation entries
+async function conciliar({ wallet = null, ajustar = false, actor = "system" } = {}) {
+  let filtro = wallet ? { wallet: wallet.toLowerCase() } : {};
+  let proyeccion = { _id: false, wallet: true };
+
+  for (let campo of CAMPOS_PUNTOS) proyeccion[campo] = true;
+
+  let documentos = await binario.find(filtro, proyeccion).lean();
+
+  let grupos = await PointsLedger.aggregate([
+    { $match: wallet ? filtro : { wallet: { $ne: null } } },
+    { $group: { _id: { wallet: "$wallet", field: "$field" }, total: { $sum: "$delta" } } }
+  ]);
+
+  let libro = new Map();
+  for (let g of grupos) libro.set(g._id.wallet + ":" + g._id.field, decimal(g.total));
+
+  let diferencias = [];
+
+  for (let doc of documentos) {
+    for (let campo of CAMPOS_PUNTOS) {
+      let guardado = numero(doc[campo]);
+      let enLibro = numero(libro.get(doc.wallet + ":" + campo));
+
+      if (!guardado.eq(enLibro)) {
+        diferencias.push({ wallet: doc.wallet, field: campo, stored: guardado.toString(10), ledger: enLibro.toString(10), difference: guardado.minus(enLibro).toString(10) });
+      }
+    }
+  }
+
+  let posted = 0;
+
+  if (ajustar && diferencias.length > 0) {
+    let referencia = "reconcile:" + actor + ":" + new Date().toISOString();
+    let lista = [];
+
+    for (let d of diferencias) {
+      lista.push(...asientos(d.wallet, d.field, new BigNumber(d.difference), { reason: "reconciliation", reference: referencia, contra: "system:reconciliation" }));
+    }
+
+    posted = await publicar(lista);
+    logger.info("points ledger reconciled", { actor, entries: posted });
+  }
+
+  return { wallets: documentos.length, differences: diferencias, posted };
+}
+
+module.exports = { CAMPOS_PUNTOS, registrarCambios, registrarLote, actualizar, saldos, extracto, conciliar };
@@ -0,0 +1,79 @@
+/**
+ * Live update events per wallet
+ * Services publish what changed for a wallet and every socket subscribed to it receives the event.
+ * Events carry what changed, clients read the full state again from the REST endpoints.
+ * Events go through Redis pub/sub so sockets held by any API instance receive them; without Redis
+ * they are delivered to the sockets of this instance only.
+ */
+
+const { EventEmitter } = require("events");
+
+const cache = require("./cache.js");
+const logger = require("./logger.js");
+
+const CANAL_REDIS = "push";
+
+const canal = new EventEmitter();
+canal.setMaxListeners(0); // one listener per subscribed socket
+
+// Events of every instance, this one included, reach the local sockets from here
+cache.escuchar(CANAL_REDIS, (texto) => {
+  try {
+    let evento = JSON.parse(texto);
+    canal.emit(evento.wallet, evento);
+  } catch (error) {
+    logger.warn("push: unreadable message", { err: error });
+  }
+}).catch((e) => logger.warn("push: subscribe failed", { err: e }));
+
+// binari_system fields watched outside the points ledger, grouped by event type
+const GRUPOS = {
+  retirable: ["retirableA"],
+  deposits: ["invested", "invested_leader", "upTo"]
+};
+
+function emitir(wallet, type, data) {
+  if (!wallet) return;
+
+  wallet = wallet.toLowerCase();
+
+  let evento = { type, wallet, data, at: new Date().toISOString() };
+
+  cache.publicar(CANAL_REDIS, JSON.stringify(evento)).then((publicado) => {
+    if (!publicado) canal.emit(wallet, evento);
+  });
+}
+
+// Call `fn` with every event of the wallet, returns the function that stops it
+function suscribir(wallet, fn) {
+  wallet = wallet.toLowerCase();
+  canal.on(wallet, fn);
+
+  return () => canal.off(wallet, fn);
+}
+
+// One event per group with fields that differ between the document before and the fields written
+function cambiosUsuario(wallet, antes, cambios) {
+  antes = antes || {};
+
+  for (let type of Object.keys(GRUPOS)) {
+    let data = {};
+
+    for (let campo of GRUPOS[type]) {
+      if (cambios[campo] === undefined) continue;
+
+      let a = antes[campo] === undefined || antes[campo] === null ? null : String(antes[campo]);
+      let d = cambios[campo] === null ? null : String(cambios[campo]);
+
+      if (a !== d) data[campo] = { before: a, after: d };
+    }
+
+    if (Object.keys(data).length > 0) emitir(wallet, type, data);
+  }
+}
+
+function suscritas() {
+  return canal.eventNames().length;
+}
+
+module.exports = { emitir, suscribir, cambiosUsuario, suscritas };
@@ -0,0 +1,303 @@
+/**
+ * Pool of JSON-RPC endpoints used as the web3 provider
+ * Each request goes to the best scored endpoint (latency and error rate). Reads that fail because of
+ * the node (timeout, HTTP error, rate limit) are retried on a different endpoint; transactions are
+ * sent once. Endpoints failing in a row are paused and checked again by the periodic health check.
+ */
+
+const metricas = require("./metrics.js");
+const logger = require("./logger.js");
+
+const llamadasRpc = metricas.contador("rpc_requests_total", "JSON-RPC calls by method, endpoint origin and outcome", ["method", "endpoint", "outcome"]);
+const duracionRpc = metricas.histograma("rpc_request_duration_seconds", "JSON-RPC round trip by endpoint origin", ["endpoint"]);
+
+function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
+
+// Paths can carry provider API keys, only the origin is logged or exposed
+function origen(url) { return new URL(url).origin; }
+
+// Never retried on another node, the caller decides what to do
+const ESCRITURAS = ["eth_sendRawTransaction", "eth_sendTransaction"];
+
+// JSON-RPC errors caused by the node and not by the request itself
+const ERROR_NODO = /limit|rate|header not found|missing trie node|timeout|busy|unavailable|try again/i;
+
+const PESO_EWMA = 0.2; // Weight of the last call in the latency and error averages
+
+module.exports = function crearPoolRpc({
+  urls,
+  timeout = 10 * 1000, // ms per request
+  maxRps = 8, // requests per second allowed on each endpoint
+  reintentos = 2, // extra endpoints tried for a failed read
+  fallosSeguidos = 3, // failures in a row before the endpoint is paused
+  pausa = 30 * 1000, // ms an endpoint stays paused
+  intervaloSalud = 30 * 1000, // ms between health checks
+  maxRetraso = 20 // blocks behind the best endpoint before it is deprioritized
+}) {
+  if (!Array.isArray(urls) || urls.length === 0) throw new Error("rpc pool needs at least one url");
+
+  let nodos = urls.map((url) => ({
+    url,
+    latencia: null, // ms, moving average
+    tasaError: 0, // 0..1, moving average
+    llamadas: 0,
+    errores: 0,
+    seguidos: 0, // failures in a row
+    pausadoHasta: 0,
+    ultimoError: null,
+    ultimoBloque: null,
+    atrasado: false,
+    tokens: maxRps,
+    recarga: Date.now()
+  }));
+
+  let timer = null;
+  let ultimaRevision = null;
+
+  function puntaje(nodo) {
+    let latencia = nodo.latencia === null ? 500 : nodo.latencia;
+    let castigo = (nodo.atrasado ? 10 : 1) * (Date.now() < nodo.pausadoHasta ? 100 : 1);
+
+    return latencia * (1 + 4 * nodo.tasaError) * castigo;
+  }
+
+  function ordenados(excluir = []) {
+    return nodos
+      .filter((n) => !excluir.includes(n))
+      .sort((a, b) => puntaje(a) - puntaje(b));
+  }
+
+  // Token bucket per endpoint
+  function recargar(nodo) {
+    let ahora = Date.now();
+    nodo.tokens = Math.min(maxRps, nodo.tokens + (ahora - nodo.recarga) * maxRps / 1000);
+    nodo.recarga = ahora;
+  }
+
+  // Waits for a token of one endpoint
+  async function ficha(nodo) {
+    for (;;) {
+      recargar(nodo);
+      if (nodo.tokens >= 1) {
+        nodo.tokens -= 1;
+        return;
+      }
+      await delay(Math.ceil(1000 / maxRps));
+    }
+  }
+
+  // Best endpoint with capacity left, waits for a token when every candidate is at its limit
+  async function elegir(excluir) {
+    let candidatos = ordenados(excluir);
+    if (candidatos.length === 0) return null;
+
+    for (;;) {
+      for (let nodo of candidatos) {
+        recargar(nodo);
+        if (nodo.tokens >= 1) {
+          nodo.tokens -= 1;
+          return nodo;
+        }
+      }
+      await delay(Math.ceil(1000 / maxRps));
+    }
+  }
+
+  function registrar(nodo, ms, error) {
+    nodo.llamadas++;
+    nodo.latencia = nodo.latencia === null ? ms : nodo.latencia * (1 - PESO_EWMA) + ms * PESO_EWMA;
+    nodo.tasaError = nodo.tasaError * (1 - PESO_EWMA) + (error ? PESO_EWMA : 0);
+
+    if (error) {
+      nodo.errores++;
+      nodo.seguidos++;
+      nodo.ultimoError = { message: error, at: new Date() };
+
+      if (nodo.seguidos >= fallosSeguidos && Date.now() >= nodo.pausadoHasta) {
+        nodo.pausadoHasta = Date.now() + pausa;
+        logger.warn("rpc endpoint paused", { endpoint: origen(nodo.url), error });
+      }
+    } else {
+      nodo.seguidos = 0;
+    }
+  }
+
+  // Metrics for one round trip, a batch counts each of its calls
+  function contar(nodo, payload, respuesta, error) {
+    let payloads = [].concat(payload);
+    let respuestas = [].concat(respuesta || []);
+
+    for (let p of payloads) {
+      let r = respuestas.find((x) => x && x.id === p.id);
+      let outcome = error ? "transport_error" : r && r.error ? "rpc_error" : "ok";
+
+      llamadasRpc.inc({ method: p.method, endpoint: origen(nodo.url), outcome });
+    }
+  }
+
+  // One HTTP round trip, resolves to the JSON-RPC response or throws on transport errors
+  async function enviar(nodo, payload) {
+    let control = new AbortController();
+    let limite = setTimeout(() => control.abort(), timeout);
+    let terminar = duracionRpc.iniciar({ endpoint: origen(nodo.url) });
+    let respuesta = null;
+    let fallo = null;
+
+    try {
+      let res = await fetch(nodo.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: control.signal
+      });
+
+      if (!res.ok) throw new Error("HTTP " + res.status);
+
+      respuesta = await res.json();
+      return respuesta;
+    } catch (error) {
+      fallo = error;
+      if (error.name === "AbortError") throw new Error("timeout after " + timeout + " ms");
+      throw error;
+    } finally {
+      clearTimeout(limite);
+      terminar();
+      contar(nodo, payload, respuesta, fallo);
+    }
+  }
+
+  // Error returned by the node that says nothing about the request
+  function errorDeNodo(respuesta) {
+    let respuestas = Array.isArray(respuesta) ? respuesta : [respuesta];
+
+    return respuestas.some((r) => r && r.error && ERROR_NODO.test(String(r.error.message)) && !/revert/i.test(String(r.error.message)));
+  }
+
+  function esLectura(payload) {
+    let payloads = Array.isArray(payload) ? payload : [payload];
+    return payloads.every((p) => !ESCRITURAS.includes(p.method));
+  }
+
+  // EIP-1193 style entry point used by web3
+  async function request(payload) {
+    let intentos = esLectura(payload) ? 1 + reintentos : 1;
+    let usados = [];
+    let ultimo = null;
+
+    for (let i = 0; i < intentos; i++) {
+      let nodo = await elegir(usados);
+      if (nodo === null) break;
+      usados.push(nodo);
+
+      let inicio = Date.now();
+
+      try {
+        let respuesta = await enviar(nodo, payload);
+
+        if (errorDeNodo(respuesta)) {
+          let mensaje = [].concat(respuesta).find((r) => r && r.error).error.message;
+          registrar(nodo, Date.now() - inicio, mensaje);
+          ultimo = respuesta;
+          continue;
+        }
+
+        registrar(nodo, Date.now() - inicio, null);
+        return respuesta;
+      } catch (error) {
+        registrar(nodo, Date.now() - inicio, error.message);
+        ultimo = error;
+      }
+    }
+
+    if (ultimo instanceof Error) {
+      throw new Error("rpc request failed on " + usados.length + " endpoint(s): " + ultimo.message);
+    }
+
+    return ultimo;
+  }
+
+  // Same read on every endpoint, for answers that must not depend on one node:
+  // [{ endpoint, response }] or [{ endpoint, error }] in the order of the urls
+  async function enTodos(payload) {
+    return await Promise.all(nodos.map(async (nodo) => {
+      await ficha(nodo);
+
+      let inicio = Date.now();
+
+      try {
+        let respuesta = await enviar(nodo, payload);
+        let fallida = [].concat(respuesta).find((r) => r && r.error);
+
+        registrar(nodo, Date.now() - inicio, errorDeNodo(respuesta) ? fallida.error.message : null);
+        return fallida ? { endpoint: origen(nodo.url), error: fallida.error.message } : { endpoint: origen(nodo.url), response: respuesta };
+      } catch (error) {
+        registrar(nodo, Date.now() - inicio, error.message);
+        return { endpoint: origen(nodo.url), error: error.message };
+      }
+    }));
+  }
+
+  // eth_blockNumber on every endpoint, paused ones come back when they answer
+  async function revisar() {
+    await Promise.all(nodos.map(async (nodo) => {
+      let inicio = Date.now();
+
+      try {
+        let respuesta = await enviar(nodo, { jsonrpc: "2.0", id: Date.now(), method: "eth_blockNumber", params: [] });
+        if (respuesta.error) throw new Error(respuesta.error.message);
+
+        nodo.ultimoBloque = parseInt(respuesta.result, 16);
+        registrar(nodo, Date.now() - inicio, null);
+        nodo.pausadoHasta = 0;
+      } catch (error) {
+        registrar(nodo, Date.now() - inicio, error.message);
+      }
+    }));
+
+    let mejor = Math.max(...nodos.map((n) => n.ultimoBloque || 0));
+
+    for (let nodo of nodos) {
+      nodo.atrasado = nodo.ultimoBloque === null || mejor - nodo.ultimoBloque > maxRetraso;
+    }
+
+    ultimaRevision = new Date();
+  }
+
+  function iniciar() {
+    if (timer !== null) return;
+
+    revisar().catch((e) => logger.error("rpc health check failed", { err: e }));
+    timer = setInterval(() => {
+      revisar().catch((e) => logger.error("rpc health check failed", { err: e }));
+    }, intervaloSalud);
+    timer.unref(); // never keeps the process alive on its own
+  }
+
+  function detener() {
+    if (timer !== null) clearInterval(timer);
+    timer = null;
+  }
+
+  function estado() {
+    let ahora = Date.now();
+
+    return {
+      lastHealthCheck: ultimaRevision,
+      endpoints: ordenados().map((n) => ({
+        url: origen(n.url),
+        score: Math.round(puntaje(n)),
+        latencyMs: n.latencia === null ? null : Math.round(n.latencia),
+        errorRate: Number(n.tasaError.toFixed(3)),
+        calls: n.llamadas,
+        errors: n.errores,
+        paused: ahora < n.pausadoHasta,
+        pausedUntil: ahora < n.pausadoHasta ? new Date(n.pausadoHasta) : null,
+        lagging: n.atrasado,
+        lastBlock: n.ultimoBloque,
+        lastError: n.ultimoError
+      }))
+    };
+  }
+
+  return { request, enTodos, revisar, iniciar, detener, estado };
+};
@@ -0,0 +1,175 @@
+/**
+ * JWT session management
+ * Access tokens are short lived JWTs, refresh tokens are opaque and rotated on every use.
+ * Every session is stored in Mongo so it can be revoked before the JWT expires.
+ */
+
+const crypto = require("crypto"); // Random ids and token hashing
+const jwt = require("jsonwebtoken"); // JWT signing and verification
+
+const Session = require("../models/session.js");
+const logger = require("./logger.js");
+
+const ACCESS_TTL = 60 * 60; // Access token lifetime in seconds (1 hour)
+const REFRESH_TTL = 24 * 60 * 60 * 1000; // Refresh token lifetime in ms (24 hours)
+
+let JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+  logger.warn("JWT_SECRET not set, sessions will not survive a restart");
+  JWT_SECRET = crypto.randomBytes(32).toString("hex");
+}
+
+// Role names for the contract `leveling` values, same mapping as the frontend
+function rolDeNivel(level) {
+  level = parseInt(level) || 0;
+
+  if (level < 1) return "user";
+  if (level <= 1) return "owner";
+  if (level <= 2) return "subOwner";
+  if (level <= 3) return "leader";
+  if (level <= 4) return "admin";
+
+  return "user";
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Issue a new access/refresh token pair for a stored session
+function firmarTokens(session) {
+  let accessToken = jwt.sign({
+    sid: session.sessionId,
+    wallet: session.wallet,
+    leveling: session.leveling,
+    role: session.role
+  }, JWT_SECRET, { expiresIn: ACCESS_TTL, subject: session.wallet });
+
+  let refreshToken = session.sessionId + "." + crypto.randomBytes(32).toString("hex");
+
+  return { accessToken, refreshToken };
+}
+
+// Open a session for a wallet that already proved ownership
+async function crearSesion(wallet, leveling) {
+  wallet = wallet.toLowerCase();
+
+  let session = new Session({
+    sessionId: crypto.randomBytes(16).toString("hex"),
+    wallet,
+    leveling: parseInt(leveling) || 0,
+    role: rolDeNivel(leveling),
+    expiresAt: new Date(Date.now() + REFRESH_TTL)
+  });
+
+  let tokens = firmarTokens(session);
+
+  session.refreshTokenHash = hashToken(tokens.refreshToken);
+  await session.save();
+
+  return {
+    result: true,
+    ...tokens,
+    expiresIn: ACCESS_TTL,
+    wallet,
+    leveling: session.leveling,
+    role: session.role
+  };
+}
+
+// Rotate the tokens of a session; `leveling` refreshes the on-chain role when given
+async function refrescarSesion(refreshToken, leveling) {
+  if (typeof refreshToken !== "string" || refreshToken.indexOf(".") <= 0) {
+    return { result: false, message: "invalid refresh token" };
+  }
+
+  let sessionId = refreshToken.split(".")[0];
+  let session = await Session.findOne({ sessionId });
+
+  if (session === null || session.revokedAt !== null) return { result: false, message: "session not found" };
+  if (session.expiresAt.getTime() < Date.now()) return { result: false, message: "session expired" };
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    // A rotated token was presented again, someone may have a copy of it
+    await Session.updateOne({ sessionId }, { revokedAt: new Date() });
+    return { result: false, message: "refresh token reused, session revoked" };
+  }
+
+  if (leveling !== undefined) {
+    session.leveling = parseInt(leveling) || 0;
+    session.role = rolDeNivel(leveling);
+  }
+
+  let tokens = firmarTokens(session);
+
+  session.refreshTokenHash = hashToken(tokens.refreshToken);
+  session.lastRefresh = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TTL);
+  await session.save();
+
+  return {
+    result: true,
+    ...tokens,
+    expiresIn: ACCESS_TTL,
+    wallet: session.wallet,
+    leveling: session.leveling,
+    role: session.role
+  };
+}
+
+// Wallet of the session a refresh token belongs to, null if unknown
+async function walletDeRefresh(refreshToken) {
+  if (typeof refreshToken !== "string") return null;
+
+  let session = await Session.findOne({ sessionId: refreshToken.split(".")[0] }, { wallet: true });
+
+  return session === null ? null : session.wallet;
+}
+
+async function cerrarSesion(sessionId) {
+  await Session.updateOne({ sessionId, revokedAt: null }, { revokedAt: new Date() });
+
+  return { result: true };
+}
+
+// Decode a Bearer token and check its session is still open
+async function validarToken(token) {
+  let payload = null;
+
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  let session = await Session.findOne({ sessionId: payload.sid }, { revokedAt: true, expiresAt: true });
+
+  if (session === null || session.revokedAt !== null || session.expiresAt.getTime() < Date.now()) return null;
+
+  return payload;
+}
+
+// Express middleware: only lets the request through with a valid session
+// When `roles` is given the session role must be one of them
+function requireSession(roles) {
+  return async (req, res, next) => {
+    let header = req.headers.authorization || "";
+    let token = header.indexOf("Bearer ") === 0 ? header.slice(7) : null;
+
+    let payload = token ? await validarToken(token).catch(() => null) : null;
+
+    if (payload === null) {
+      return res.status(401).send({ result: false, error: true, message: "session required" });
+    }
+
+    if (roles && roles.indexOf(payload.role) === -1) {
+      return res.status(403).send({ result: false, error: true, message: "not allowed for role " + payload.role });
+    }
+
+    req.auth = payload;
+    next();
+  };
+}
+
+module.exports = { rolDeNivel, crearSesion, refrescarSesion, walletDeRefresh, cerrarSesion, validarToken, requireSession };
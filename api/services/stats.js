@@ -0,0 +1,165 @@
+/**
+ * Platform statistics
+ * Records one document per day with the size of the network, the money invested and paid, and the
+ * outstanding retirableA, and serves them as time series grouped by day, week or month.
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const DailyStat = require("../models/dailyStat.js");
+const Withdrawal = require("../models/withdrawal.js");
+const binario = require("../models/binario.js");
+const logger = require("./logger.js");
+
+const BUCKETS = ["day", "week", "month"];
+
+// Levels are taken from the last day of a bucket, the flows (newRegistrations, binaryPaid, withdrawals) are added up
+const NIVELES = ["registered", "activeInvestors", "invested", "binaryPaidTotal", "retirableA", "chain"];
+
+// Offset of a time zone at an instant in minutes east of UTC, from Intl's "GMT-05:00" ("GMT" alone is UTC)
+function desfase(zona, fecha) {
+  let nombre = new Intl.DateTimeFormat("en-US", { timeZone: zona, timeZoneName: "longOffset" }).formatToParts(fecha).find((p) => p.type === "timeZoneName").value;
+  let partes = /GMT([+-])(\d{2}):(\d{2})/.exec(nombre);
+
+  return partes === null ? 0 : (partes[1] === "-" ? -1 : 1) * (Number(partes[2]) * 60 + Number(partes[3]));
+}
+
+// Local midnight of a calendar day; the offset is read again at the first guess, so a day starting
+// on a daylight saving change still starts at its own midnight
+function inicioDia(dia, zona) {
+  let utc = new Date(dia + "T00:00:00Z").getTime();
+  let aprox = utc - desfase(zona, new Date(utc)) * 60 * 1000;
+
+  return new Date(utc - desfase(zona, new Date(aprox)) * 60 * 1000);
+}
+
+// First day of the bucket: the day itself, the Monday of its week or the first of its month
+function bucketDe(dia, bucket) {
+  if (bucket === "month") return dia.slice(0, 7);
+  if (bucket === "day") return dia;
+
+  let fecha = new Date(dia + "T00:00:00Z");
+  fecha.setUTCDate(fecha.getUTCDate() - (fecha.getUTCDay() + 6) % 7);
+
+  return fecha.toISOString().slice(0, 10);
+}
+
+module.exports = function crearEstadisticas({ contrato, zona = "America/Bogota" }) {
+  // Days are calendar days of the zone the crons run in
+  const formatoDia = new Intl.DateTimeFormat("en-CA", { timeZone: zona, year: "numeric", month: "2-digit", day: "2-digit" });
+
+  function diaDe(fecha) {
+    return formatoDia.format(fecha);
+  }
+
+  async function pagados(filtro) {
+    let [total] = await Withdrawal.aggregate([
+      { $match: { status: "confirmed", ...filtro } },
+      { $group: { _id: null, amount: { $sum: { $toDecimal: "$retiroBinario" } }, count: { $sum: 1 } } }
+    ]);
+
+    return { amount: total ? total.amount.toString() : "0", count: total ? total.count : 0 };
+  }
+
+  async function cadena() {
+    try {
+      let estado = await contrato.methods.setstate().call();
+      let retirado = await contrato.methods.totalRefWitdrawl().call();
+
+      return {
+        users: estado.Investors.toString(),
+        invested: estado.Invested.toString(),
+        refRewards: estado.RefRewards.toString(),
+        refWithdrawn: retirado.toString()
+      };
+    } catch (error) {
+      logger.warn("stats setstate read failed", { err: error });
+      return null;
+    }
+  }
+
+  // Write the metrics of the day `fecha` falls in, recording the same day again overwrites it
+  async function registrar(fecha = new Date()) {
+    let day = diaDe(fecha);
+    let inicio = inicioDia(day, zona);
+    let fin = new Date(inicio.getTime() + 86400 * 1000);
+
+    let lista = await binario.find({}, { _id: false, registered: true, invested: true, retirableA: true }).lean();
+
+    let registered = 0;
+    let activeInvestors = 0;
+    let invested = new BigNumber(0);
+    let retirableA = new BigNumber(0);
+
+    for (let doc of lista) {
+      let inversion = new BigNumber(doc.invested || 0);
+
+      if (doc.registered) registered++;
+      if (doc.registered && inversion.gt(0)) activeInvestors++;
+      if (!inversion.isNaN()) invested = invested.plus(inversion);
+      if (doc.retirableA) retirableA = retirableA.plus(doc.retirableA);
+    }
+
+    let [delDia, hastaHoy, anterior, chain] = await Promise.all([
+      pagados({ confirmedAt: { $gte: inicio, $lt: fin } }),
+      pagados({ confirmedAt: { $lt: fin } }),
+      DailyStat.findOne({ day: { $lt: day } }).sort({ day: -1 }).lean(),
+      cadena()
+    ]);
+
+    let stat = {
+      day,
+      registered,
+      newRegistrations: anterior ? registered - anterior.registered : null,
+      activeInvestors,
+      invested: invested.toString(10),
+      binaryPaid: delDia.amount,
+      binaryPaidTotal: hastaHoy.amount,
+      withdrawals: delDia.count,
+      retirableA: retirableA.toString(10),
+      chain,
+      updatedAt: new Date()
+    };
+
+    await DailyStat.updateOne({ day }, stat, { upsert: true });
+
+    return stat;
+  }
+
+  // Time series between two dates, ?bucket=day|week|month
+  async function serie({ bucket = "day", desde = null, hasta = null } = {}) {
+    let filtro = {};
+
+    if (desde || hasta) filtro.day = {};
+    if (desde) filtro.day.$gte = diaDe(desde);
+    if (hasta) filtro.day.$lte = diaDe(hasta);
+
+    let dias = await DailyStat.find(filtro, { _id: false }).sort({ day: 1 }).lean();
+    let grupos = [];
+
+    for (let dia of dias) {
+      let clave = bucketDe(dia.day, bucket);
+      let grupo = grupos[grupos.length - 1];
+
+      if (!grupo || grupo.bucket !== clave) {
+        grupo = { bucket: clave, from: dia.day, days: 0, newRegistrations: null, binaryPaid: "0", withdrawals: 0 };
+        grupos.push(grupo);
+      }
+
+      grupo.to = dia.day;
+      grupo.days++;
+
+      for (let campo of NIVELES) grupo[campo] = dia[campo] === undefined ? null : dia[campo];
+
+      if (dia.newRegistrations !== null && dia.newRegistrations !== undefined) grupo.newRegistrations = (grupo.newRegistrations || 0) + dia.newRegistrations;
+      grupo.binaryPaid = new BigNumber(grupo.binaryPaid).plus(dia.binaryPaid || 0).toString(10);
+      grupo.withdrawals += dia.withdrawals || 0;
+    }
+
+    return grupos;
+  }
+
+  return { registrar, serie };
+};
+
+module.exports.BUCKETS = BUCKETS;
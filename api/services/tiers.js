@@ -0,0 +1,144 @@
+/**
+ * Investment tier service
+ * Tiers are read from the `tier_config` collection and assigned from the USDT a wallet has invested on-chain
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const User = require("../models/user.js");
+const TierConfig = require("../models/tierConfig.js");
+const logger = require("./logger.js");
+
+const SIN_TIER = "NONE"; // Tier name for wallets below the first tier
+
+// Initial configuration, copied into Mongo the first time the collection is empty
+const INVESTMENT_TIERS = [
+  {
+    tierName: "BRONZE",
+    minInvestment: 25,
+    maxInvestment: 49.99,
+    dbEndpoint: "bronze_db",
+    adminPanelUrl: "/admin/bronze",
+    permissions: ["view_basic", "basic_operations"]
+  },
+  {
+    tierName: "SILVER",
+    minInvestment: 50,
+    maxInvestment: 999.99,
+    dbEndpoint: "silver_db",
+    adminPanelUrl: "/admin/silver",
+    permissions: ["view_basic", "basic_operations", "advanced_view"]
+  },
+  {
+    tierName: "GOLD",
+    minInvestment: 1000,
+    maxInvestment: 9999.99,
+    dbEndpoint: "gold_db",
+    adminPanelUrl: "/admin/gold",
+    permissions: ["view_basic", "basic_operations", "advanced_view", "gold_features"]
+  },
+  {
+    tierName: "PLATINUM",
+    minInvestment: 10000,
+    maxInvestment: null,
+    dbEndpoint: "platinum_db",
+    adminPanelUrl: "/admin/platinum",
+    permissions: ["all_permissions", "platinum_exclusive"]
+  }
+];
+
+// Active tiers sorted from the lowest to the highest minimum
+async function cargarTiers() {
+  let tiers = await TierConfig.find({ isActive: true }, { _id: false, __v: false }).sort({ minInvestment: 1 }).lean();
+
+  if (tiers.length === 0 && await TierConfig.countDocuments({}) === 0) {
+    await TierConfig.insertMany(INVESTMENT_TIERS);
+    logger.info("tier config created");
+    tiers = INVESTMENT_TIERS.map((t) => ({ ...t, isActive: true }));
+  }
+
+  return tiers;
+}
+
+// Highest tier whose minimum is covered by the amount (in USDT)
+function calcularTier(monto, tiers) {
+  let tier = null;
+
+  for (let index = 0; index < tiers.length; index++) {
+    if (monto >= tiers[index].minInvestment) {
+      tier = tiers[index];
+    }
+  }
+
+  return tier;
+}
+
+// Recalculate the tier of a wallet from its invested amount in wei
+// Records the change in tierHistory when the tier moves up or down
+async function actualizarTier(wallet, investedWei) {
+  wallet = wallet.toLowerCase();
+
+  let monto = new BigNumber(investedWei || 0).shiftedBy(-18).dp(6).toNumber();
+  let tier = calcularTier(monto, await cargarTiers());
+  let tierName = tier === null ? SIN_TIER : tier.tierName;
+
+  let user = await User.findOne({ wallet }, { currentTier: true, totalInvestment: true });
+
+  let update = {
+    $set: {
+      currentTier: tierName,
+      totalInvestment: monto,
+      lastVerified: new Date(),
+      permissions: tier === null ? [] : tier.permissions,
+      adminPanelAccess: tier === null ? null : tier.adminPanelUrl,
+      dbEndpoint: tier === null ? null : tier.dbEndpoint
+    }
+  };
+
+  let previo = user === null ? SIN_TIER : user.currentTier;
+
+  if (previo !== tierName) {
+    update.$push = {
+      tierHistory: { tier: tierName, previousTier: previo, timestamp: new Date(), investment: monto }
+    };
+    logger.info("tier changed", { wallet, from: previo, to: tierName });
+  }
+
+  await User.updateOne({ wallet }, update, { upsert: true });
+
+  return { wallet, tier: tierName, previousTier: previo, totalInvestment: monto, changed: previo !== tierName };
+}
+
+// Stored tier information of a wallet
+async function consultarTier(wallet) {
+  return await User.findOne({ wallet: wallet.toLowerCase() }, { _id: false, __v: false }).lean();
+}
+
+// Edit one tier configuration, existing wallets are recalculated on their next investment update
+async function editarTier(tierName, data) {
+  let permitidos = ["minInvestment", "maxInvestment", "dbEndpoint", "adminPanelUrl", "permissions", "isActive"];
+  let cambios = {};
+
+  for (let campo of permitidos) {
+    if (data[campo] !== undefined) cambios[campo] = data[campo];
+  }
+
+  if (cambios.minInvestment !== undefined && !(Number(cambios.minInvestment) >= 0)) {
+    return { result: false, message: "not valid minInvestment" };
+  }
+
+  if (cambios.permissions !== undefined && !Array.isArray(cambios.permissions)) {
+    return { result: false, message: "permissions must be an array" };
+  }
+
+  await cargarTiers(); // make sure defaults exist before editing them
+
+  // only existing tiers are edited, a misspelled name must not create a new one
+  let tier = await TierConfig.findOneAndUpdate({ tierName: tierName.toUpperCase() }, cambios, { new: true, projection: { _id: false, __v: false } });
+
+  if (tier === null) return { result: false, notFound: true, message: "unknown tier " + tierName.toUpperCase() };
+
+  return { result: true, data: tier };
+}
+
+module.exports = { SIN_TIER, INVESTMENT_TIERS, cargarTiers, calcularTier, actualizarTier, consultarTier, editarTier };
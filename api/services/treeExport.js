@@ -0,0 +1,308 @@
+/**
+ * Genealogy export of a wallet's downline
+ * Trees:
+ *   placement - left/right links of binari_system
+ *   sponsor   - wallets whose `referer` is the parent
+ * The subtree is written depth-first while it is read: a node reached without its children loaded
+ * reads them together with the ones of the next LOTE nodes to write, and each write waits for `drain`,
+ * so neither the tree nor the response is held in memory. Only the wallets already read are kept,
+ * to skip cycles.
+ */
+
+const binario = require("../models/binario.js");
+
+const WalletVacia = "0x0000000000000000000000000000000000000000";
+
+const LOTE = 1000; // Wallets per $in query, and nodes read ahead of the writer
+const BLOQUE = 64 * 1024; // Characters buffered before each write
+
+const ARBOLES = ["placement", "sponsor"];
+
+const CAMPOS = [
+  "wallet", "idBlock", "registered", "invested", "referer", "up", "hand",
+  "lPuntos", "rPuntos", "lPersonas", "rPersonas", "puntosActivos"
+];
+
+const PROYECCION = CAMPOS.reduce((p, campo) => ({ ...p, [campo]: true }), { _id: false, left: true, right: true });
+
+function vacio(wallet) {
+  return wallet === undefined || wallet === null || wallet === WalletVacia;
+}
+
+// Root of the export, the rest of the subtree is read by `escribir`
+async function preparar(wallet, { arbol = "placement", profundidad = Infinity } = {}) {
+  wallet = wallet.toLowerCase();
+
+  let raiz = await binario.findOne({ wallet }, PROYECCION).lean();
+  if (raiz === null) return { result: false, message: "wallet not found" };
+
+  return { result: true, wallet, arbol, profundidad, raiz };
+}
+
+// Children of a batch of parents in output order (placement left then right, sponsor by idBlock):
+// Map parent wallet -> [{ doc, hand }]. Wallets exported or queued before are cycles and left out
+async function hijosDe(padres, arbol, vistos, resumen) {
+  let hijos = new Map(padres.map((d) => [d.wallet, []]));
+
+  if (arbol === "placement") {
+    let pedidos = padres.flatMap((d) => [d.left, d.right]).filter((w) => !vacio(w) && !vistos.has(w));
+    let encontrados = pedidos.length > 0 ? await binario.find({ wallet: { $in: pedidos } }, PROYECCION).lean() : [];
+    let porWallet = new Map(encontrados.map((d) => [d.wallet, d]));
+
+    for (let padre of padres) {
+      for (let [hand, lado] of ["left", "right"].entries()) {
+        let hijo = padre[lado];
+        if (vacio(hijo)) continue;
+
+        if (vistos.has(hijo)) {
+          resumen.cycles++;
+          continue;
+        }
+
+        if (!porWallet.has(hijo)) {
+          resumen.missing++;
+          continue;
+        }
+
+        vistos.add(hijo);
+        hijos.get(padre.wallet).push({ doc: porWallet.get(hijo), hand });
+      }
+    }
+  } else {
+    let encontrados = await binario.find({ referer: { $in: padres.map((d) => d.wallet) } }, PROYECCION).sort({ idBlock: 1 }).lean();
+
+    for (let doc of encontrados) {
+      if (vistos.has(doc.wallet)) {
+        resumen.cycles++;
+        continue;
+      }
+
+      vistos.add(doc.wallet);
+      hijos.get(doc.referer).push({ doc, hand: null });
+    }
+  }
+
+  return hijos;
+}
+
+function fila(doc, padre, hand, nivel) {
+  let nodo = { wallet: doc.wallet, parent: padre, hand, level: nivel };
+
+  for (let campo of CAMPOS) {
+    if (campo === "wallet" || campo === "hand") continue;
+    nodo[campo] = doc[campo] === undefined ? null : doc[campo];
+  }
+
+  return nodo;
+}
+
+function csv(valor) {
+  if (valor === null || valor === undefined) return "";
+  let texto = String(valor);
+  return /[",\n]/.test(texto) ? "\"" + texto.replace(/"/g, "\"\"") + "\"" : texto;
+}
+
+function xml(valor) {
+  return String(valor === null || valor === undefined ? "" : valor)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Inside a quoted DOT id or label, where a quote or backslash of a stored value would end or change the string
+function dot(valor) {
+  return String(valor).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\r?\n/g, "\\n");
+}
+
+const COLUMNAS = ["wallet", "parent", "hand", "level", ...CAMPOS.filter((c) => c !== "wallet" && c !== "hand")];
+
+// Writers: inicio(), abrir(nodo) before its children, cerrar(nodo) after them, fin()
+const FORMATOS = {
+  csv: {
+    tipo: "text/csv",
+    extension: "csv",
+    crear: () => ({
+      inicio: () => COLUMNAS.join(",") + "\n",
+      abrir: (nodo) => COLUMNAS.map((c) => csv(nodo[c])).join(",") + "\n",
+      cerrar: () => "",
+      fin: () => ""
+    })
+  },
+
+  json: {
+    tipo: "application/json",
+    extension: "json",
+    crear: () => {
+      let hermanos = [0]; // nodes already written at each open level
+
+      return {
+        inicio: () => "",
+        abrir: (nodo) => {
+          let separador = hermanos[hermanos.length - 1]++ > 0 ? "," : "";
+          hermanos.push(0);
+          return separador + JSON.stringify(nodo).slice(0, -1) + ",\"children\":[";
+        },
+        cerrar: () => {
+          hermanos.pop();
+          return "]}";
+        },
+        fin: () => "\n"
+      };
+    }
+  },
+
+  graphml: {
+    tipo: "application/graphml+xml",
+    extension: "graphml",
+    crear: () => ({
+      inicio: () => "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+        "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\">\n" +
+        COLUMNAS.filter((c) => c !== "wallet" && c !== "parent").map((c) => "  <key id=\"" + c + "\" for=\"node\" attr.name=\"" + c + "\" attr.type=\"string\"/>\n").join("") +
+        "  <key id=\"side\" for=\"edge\" attr.name=\"hand\" attr.type=\"string\"/>\n" +
+        "  <graph id=\"genealogy\" edgedefault=\"directed\">\n",
+      abrir: (nodo) => {
+        let texto = "    <node id=\"" + xml(nodo.wallet) + "\">" +
+          COLUMNAS.filter((c) => c !== "wallet" && c !== "parent" && nodo[c] !== null).map((c) => "<data key=\"" + c + "\">" + xml(nodo[c]) + "</data>").join("") +
+          "</node>\n";
+
+        if (nodo.parent !== null) {
+          texto += "    <edge source=\"" + xml(nodo.parent) + "\" target=\"" + xml(nodo.wallet) + "\">" +
+            (nodo.hand === null ? "" : "<data key=\"side\">" + nodo.hand + "</data>") + "</edge>\n";
+        }
+
+        return texto;
+      },
+      cerrar: () => "",
+      fin: () => "  </graph>\n</graphml>\n"
+    })
+  },
+
+  dot: {
+    tipo: "text/vnd.graphviz",
+    extension: "dot",
+    crear: () => ({
+      inicio: () => "digraph genealogy {\n  node [shape=box, fontname=\"monospace\"];\n",
+      abrir: (nodo) => {
+        let etiqueta = dot(nodo.wallet.slice(0, 8)) + "..." + dot(nodo.wallet.slice(-6)) + "\\nL " + dot(nodo.lPersonas || 0) + " / R " + dot(nodo.rPersonas || 0);
+        let texto = "  \"" + dot(nodo.wallet) + "\" [label=\"" + etiqueta + "\"" + (nodo.registered ? "" : ", style=dashed") + "];\n";
+
+        if (nodo.parent !== null) {
+          texto += "  \"" + dot(nodo.parent) + "\" -> \"" + dot(nodo.wallet) + "\"" + (nodo.hand === null ? "" : " [label=\"" + (nodo.hand === 0 ? "L" : "R") + "\"]") + ";\n";
+        }
+
+        return texto;
+      },
+      cerrar: () => "",
+      fin: () => "}\n"
+    })
+  }
+};
+
+// Resolves on `drain`, rejects if the client goes away first so the export never hangs on it
+function drenar(salida) {
+  return new Promise((resolve, reject) => {
+    let listo = () => { limpiar(); resolve(); };
+    let cerrado = () => { limpiar(); reject(new Error("client closed the connection")); };
+    let fallo = (error) => { limpiar(); reject(error); };
+
+    function limpiar() {
+      salida.off("drain", listo);
+      salida.off("close", cerrado);
+      salida.off("error", fallo);
+    }
+
+    salida.on("drain", listo);
+    salida.on("close", cerrado);
+    salida.on("error", fallo);
+  });
+}
+
+function cortado(salida) {
+  return salida.destroyed || salida.writableEnded;
+}
+
+// Depth-first write of the subtree of `preparar`, resolves to { nodes, levels, cycles, missing };
+// stops when the client goes away
+async function escribir({ wallet, arbol, profundidad, raiz }, formato, salida) {
+  let escritor = FORMATOS[formato].crear();
+  let pendiente = escritor.inicio();
+  let resumen = { nodes: 0, levels: 0, cycles: 0, missing: 0 };
+  let vistos = new Set([wallet]);
+  let cargados = new Map(); // wallet -> children, for nodes about to be written
+
+  async function volcar(forzar = false) {
+    if (pendiente.length < BLOQUE && !forzar) return;
+    if (cortado(salida)) throw new Error("client closed the connection");
+
+    let texto = pendiente;
+    pendiente = "";
+
+    if (!salida.write(texto)) await drenar(salida);
+  }
+
+  // Stack of [node, children not written yet], a node is closed once its children are done
+  let pila = [];
+
+  // Reads the children of `doc` and of up to LOTE nodes known but not read yet, taken in the order
+  // they will be written: one query serves the next stretch of the output
+  async function expandir(doc, nivel) {
+    let lote = [{ doc, nivel }];
+    let visitar = pila.flatMap(([, restantes]) => restantes); // the next node to write ends on top
+
+    while (visitar.length > 0 && lote.length < LOTE) {
+      let item = visitar.pop();
+      if (item.nivel >= profundidad) continue;
+
+      let conocidos = cargados.get(item.doc.wallet);
+
+      if (conocidos === undefined) lote.push(item);
+      else for (let k = conocidos.length - 1; k >= 0; k--) visitar.push(conocidos[k]);
+    }
+
+    if (cortado(salida)) throw new Error("client closed the connection");
+
+    let porPadre = await hijosDe(lote.map((item) => item.doc), arbol, vistos, resumen);
+
+    for (let item of lote) {
+      cargados.set(item.doc.wallet, porPadre.get(item.doc.wallet).map((h) => ({ ...h, nivel: item.nivel + 1 })));
+    }
+  }
+
+  async function hijos(doc, nivel) {
+    if (nivel >= profundidad) return [];
+    if (!cargados.has(doc.wallet)) await expandir(doc, nivel);
+
+    let lista = cargados.get(doc.wallet);
+    cargados.delete(doc.wallet);
+
+    return lista;
+  }
+
+  let abrir = async ({ doc, hand, nivel }, padre) => {
+    let nodo = fila(doc, padre, hand, nivel);
+    pendiente += escritor.abrir(nodo);
+    resumen.nodes++;
+    resumen.levels = Math.max(resumen.levels, nivel);
+    pila.push([nodo, (await hijos(doc, nivel)).reverse()]);
+    await volcar();
+  };
+
+  await abrir({ doc: raiz, hand: null, nivel: 0 }, null);
+
+  while (pila.length > 0) {
+    let [nodo, restantes] = pila[pila.length - 1];
+
+    if (restantes.length === 0) {
+      pendiente += escritor.cerrar(nodo);
+      pila.pop();
+      continue;
+    }
+
+    await abrir(restantes.pop(), nodo.wallet);
+  }
+
+  pendiente += escritor.fin();
+  await volcar(true);
+
+  return resumen;
+}
+
+module.exports = { ARBOLES, FORMATOS, preparar, escribir };
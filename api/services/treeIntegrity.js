@@ -0,0 +1,251 @@
+/**
+ * Integrity checker for the binary tree stored in `binari_system`
+ * Finds what conectarUpline fixes on the fly, without writing anything:
+ *   multipleParents - a wallet is the left/right of several nodes
+ *   cycle           - following left/right comes back to the same wallet
+ *   upMismatch      - `up` is not the node holding the wallet in its left/right
+ *   handMismatch    - the side in the tree differs from the chain's upline()._lado (optional, one call per node)
+ *   unreachable     - subtrees that can not be reached from the root
+ * The scan returns a dry-run plan identified by a hash; applying requires that hash, so only a
+ * reviewed plan is written. Every change is stored in `tree_repairs`. Points are not touched.
+ */
+
+const crypto = require("crypto");
+
+const TreeRepair = require("../models/treeRepair.js");
+const logger = require("./logger.js");
+
+const WalletVacia = "0x0000000000000000000000000000000000000000";
+
+const LADOS = ["left", "right"];
+
+function vacio(wallet) {
+  return wallet === undefined || wallet === null || wallet === WalletVacia;
+}
+
+// Oldest placement wins, like conectarUpline: lowest idBlock, 0 means unknown
+function masAntiguo(a, b) {
+  if (!a.idBlock) return b;
+  if (!b.idBlock) return a;
+  return b.idBlock < a.idBlock ? b : a;
+}
+
+module.exports = function crearIntegridad({ binario, contrato, raiz }) {
+  raiz = raiz.toLowerCase();
+
+  async function cargar() {
+    let lista = await binario.find({}, { _id: false, wallet: true, up: true, left: true, right: true, hand: true, idBlock: true }).lean();
+    let nodos = new Map();
+
+    for (let nodo of lista) nodos.set(nodo.wallet, nodo);
+
+    return nodos;
+  }
+
+  async function ladoEnCadena(wallet) {
+    try {
+      let consulta = await contrato.methods.upline(wallet).call();
+      return parseInt(consulta._lado);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Full scan, resolves to { planId, summary, problems, plan }
+  async function escanear({ cadena = false } = {}) {
+    let nodos = await cargar();
+
+    let problemas = { multipleParents: [], cycle: [], upMismatch: [], handMismatch: [], unreachable: [], missingChild: [] };
+    let plan = new Map(); // wallet|field -> change
+
+    function cambiar(wallet, field, after, problem, reason) {
+      let before = nodos.get(wallet)[field];
+      if (before === after) return;
+
+      plan.set(wallet + "|" + field, { wallet, field, before: before === undefined ? null : before, after, problem, reason });
+    }
+
+    // child -> every node claiming it
+    let reclamos = new Map();
+
+    for (let nodo of nodos.values()) {
+      for (let lado of LADOS) {
+        let hijo = nodo[lado];
+        if (vacio(hijo)) continue;
+
+        if (!nodos.has(hijo)) {
+          problemas.missingChild.push({ wallet: nodo.wallet, side: lado, child: hijo });
+          continue;
+        }
+
+        if (!reclamos.has(hijo)) reclamos.set(hijo, []);
+        reclamos.get(hijo).push({ padre: nodo.wallet, lado });
+      }
+    }
+
+    // One parent per wallet: the one in `up` if it claims it, otherwise the oldest
+    let padres = new Map();
+
+    for (let [hijo, lista] of reclamos) {
+      let elegido = lista[0];
+
+      if (lista.length > 1) {
+        elegido = lista.find((r) => r.padre === nodos.get(hijo).up) ||
+          lista.reduce((a, b) => (masAntiguo(nodos.get(a.padre), nodos.get(b.padre)).wallet === a.padre ? a : b));
+
+        problemas.multipleParents.push({ wallet: hijo, parents: lista.map((r) => ({ wallet: r.padre, side: r.lado })), kept: elegido.padre });
+
+        for (let r of lista) {
+          if (r !== elegido) cambiar(r.padre, r.lado, WalletVacia, "multipleParents", hijo + " kept under " + elegido.padre);
+        }
+      }
+
+      padres.set(hijo, elegido);
+    }
+
+    // With one parent per node a cycle is found by walking up; the oldest node of it is cut loose
+    let estado = new Map(); // wallet -> "abierto" | "cerrado"
+
+    for (let inicio of nodos.keys()) {
+      let camino = [];
+      let actual = inicio;
+
+      while (actual !== undefined && !estado.has(actual)) {
+        estado.set(actual, "abierto");
+        camino.push(actual);
+        actual = padres.has(actual) ? padres.get(actual).padre : undefined;
+      }
+
+      if (actual !== undefined && estado.get(actual) === "abierto") {
+        let ciclo = camino.slice(camino.indexOf(actual));
+        let corte = ciclo.map((w) => nodos.get(w)).reduce(masAntiguo);
+        let padre = padres.get(corte.wallet);
+
+        problemas.cycle.push({ wallets: ciclo, cut: { wallet: padre.padre, side: padre.lado, child: corte.wallet } });
+        cambiar(padre.padre, padre.lado, WalletVacia, "cycle", "breaks cycle of " + ciclo.length + " wallets");
+        padres.delete(corte.wallet);
+      }
+
+      for (let w of camino) estado.set(w, "cerrado");
+    }
+
+    // Hands against the chain, a node on the wrong side is detached so conectarUpline places it again
+    if (cadena) {
+      for (let [hijo, padre] of padres) {
+        let lado = await ladoEnCadena(hijo);
+        if (lado === null) continue;
+
+        let ladoArbol = LADOS.indexOf(padre.lado);
+
+        let hand = nodos.get(hijo).hand;
+
+        if (lado !== ladoArbol || (hand !== undefined && hand !== null && hand !== lado)) {
+          problemas.handMismatch.push({ wallet: hijo, parent: padre.padre, treeSide: ladoArbol, hand, chainSide: lado });
+        }
+
+        if (lado !== ladoArbol) {
+          cambiar(padre.padre, padre.lado, WalletVacia, "handMismatch", hijo + " is on side " + lado + " in the chain");
+          padres.delete(hijo);
+        }
+
+        if (hand !== undefined && hand !== null && hand !== lado) {
+          cambiar(hijo, "hand", lado, "handMismatch", "upline()._lado is " + lado);
+        }
+      }
+    }
+
+    // `up` has to match the parent left after the repairs above
+    for (let nodo of nodos.values()) {
+      let esperado = padres.has(nodo.wallet) ? padres.get(nodo.wallet).padre : WalletVacia;
+      let actual = vacio(nodo.up) ? WalletVacia : nodo.up;
+
+      if (actual !== esperado) {
+        problemas.upMismatch.push({ wallet: nodo.wallet, up: nodo.up, parent: esperado });
+        cambiar(nodo.wallet, "up", esperado, "upMismatch", "parent in the tree is " + esperado);
+      }
+    }
+
+    // Everything hanging from the root, the rest is grouped by the top of its subtree
+    let hijos = new Map();
+
+    for (let [hijo, padre] of padres) {
+      if (!hijos.has(padre.padre)) hijos.set(padre.padre, []);
+      hijos.get(padre.padre).push(hijo);
+    }
+
+    function subarbol(wallet) {
+      let visitados = [];
+      let pila = [wallet];
+
+      while (pila.length > 0) {
+        let w = pila.pop();
+        visitados.push(w);
+        pila.push(...(hijos.get(w) || []));
+      }
+
+      return visitados;
+    }
+
+    let alcanzados = new Set(nodos.has(raiz) ? subarbol(raiz) : []);
+
+    for (let wallet of nodos.keys()) {
+      if (alcanzados.has(wallet) || padres.has(wallet)) continue;
+
+      problemas.unreachable.push({ wallet, size: subarbol(wallet).length });
+    }
+
+    let cambios = [...plan.values()].sort((a, b) => (a.wallet + a.field).localeCompare(b.wallet + b.field));
+    let planId = crypto.createHash("sha256").update(JSON.stringify(cambios)).digest("hex");
+
+    let summary = { wallets: nodos.size, root: raiz, rootFound: nodos.has(raiz), chain: cadena, changes: cambios.length };
+    for (let tipo of Object.keys(problemas)) summary[tipo] = problemas[tipo].length;
+
+    return { planId, summary, problems: problemas, plan: cambios };
+  }
+
+  // Scan again and write the plan only if it is still the reviewed one
+  async function aplicar({ planId, actor, cadena = false }) {
+    let escaneo = await escanear({ cadena });
+
+    if (escaneo.planId !== planId) {
+      return { result: false, message: "the tree changed since the plan was made, review the new plan", planId: escaneo.planId };
+    }
+
+    let registro = await TreeRepair.create({ planId, actor, chain: cadena, summary: escaneo.summary, changes: [], applied: 0, skipped: 0 });
+    let aplicados = 0;
+
+    for (let cambio of escaneo.plan) {
+      // Only written when the field still holds the value seen by the scan
+      let filtro = { wallet: cambio.wallet, [cambio.field]: cambio.before };
+      let resultado = { ...cambio, applied: false };
+
+      try {
+        let r = await binario.updateOne(filtro, { $set: { [cambio.field]: cambio.after } });
+        resultado.applied = r.modifiedCount === 1;
+        if (!resultado.applied) resultado.error = "value changed after the scan";
+      } catch (error) {
+        resultado.error = error.toString();
+      }
+
+      if (resultado.applied) aplicados++;
+
+      await TreeRepair.updateOne({ _id: registro._id }, { $push: { changes: resultado } });
+    }
+
+    await TreeRepair.updateOne({ _id: registro._id }, {
+      applied: aplicados,
+      skipped: escaneo.plan.length - aplicados,
+      finishedAt: new Date()
+    });
+
+    logger.info("tree repair applied", { repair: registro._id, actor, applied: aplicados, planned: escaneo.plan.length });
+
+    return { result: true, data: await TreeRepair.findById(registro._id, { __v: false }).lean() };
+  }
+
+  async function historial(limite = 20) {
+    return await TreeRepair.find({}, { __v: false }).sort({ createdAt: -1 }).limit(limite).lean();
+  }
+
+  return { escanear, aplicar, historial };
+};
@@ -0,0 +1,278 @@
+/**
+ * Read-only queries over the placement tree stored in `binari_system`
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const binario = require("../models/binario.js");
+
+const WalletVacia = "0x0000000000000000000000000000000000000000";
+
+const MAX_DEPTH = 10; // Levels returned per request, deeper legs continue with the cursor
+
+const CAMPOS_NODO = {
+  _id: false, wallet: true, registered: true, invested: true, idBlock: true, hand: true, left: true, right: true,
+  lPuntos: true, rPuntos: true, lExtra: true, rExtra: true, lReclamados: true, rReclamados: true,
+  lPersonas: true, rPersonas: true
+};
+
+function vacio(wallet) {
+  return wallet === undefined || wallet === null || wallet === WalletVacia;
+}
+
+// Cursor of a node left out by the depth limit: its wallet, side and level under the first requested wallet
+function crearCursor(wallet, hand, nivel) {
+  return Buffer.from(JSON.stringify({ w: wallet, h: hand, n: nivel })).toString("base64url");
+}
+
+function leerCursor(cursor) {
+  try {
+    let datos = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof datos.w !== "string" || !Number.isInteger(datos.n) || datos.n < 0 || [0, 1].indexOf(datos.h) === -1) return null;
+    return datos;
+  } catch (error) {
+    return null;
+  }
+}
+
+function puntos(doc, lado) {
+  let p = lado === "left" ? "l" : "r";
+
+  return {
+    puntos: new BigNumber(doc[p + "Puntos"] || 0).minus(doc[p + "Reclamados"] || 0).plus(doc[p + "Extra"] || 0).dp(0).toString(10),
+    total: new BigNumber(doc[p + "Puntos"] || 0).plus(doc[p + "Extra"] || 0).dp(0).toString(10),
+    personas: parseInt(doc[p + "Personas"]) || 0
+  };
+}
+
+function nodo(doc, hand, nivel) {
+  return {
+    wallet: doc.wallet,
+    hand, // side under its parent, null for the requested wallet
+    level: nivel,
+    registered: doc.registered === true,
+    invested: doc.invested || "0",
+    idBlock: doc.idBlock || 0,
+    points: { left: puntos(doc, "left"), right: puntos(doc, "right") },
+    left: null,
+    right: null
+  };
+}
+
+// Nested placement subtree, one query per level
+// Nodes below `depth` come back as { wallet, truncated: true, cursor } to be requested later
+async function subarbol(wallet, { depth = 3, cursor = null } = {}) {
+  let nivelInicial = 0;
+  let hand = null;
+
+  if (cursor) {
+    let datos = leerCursor(cursor);
+    if (datos === null) return { result: false, message: "not valid cursor" };
+
+    wallet = datos.w;
+    hand = datos.h;
+    nivelInicial = datos.n;
+  }
+
+  wallet = wallet.toLowerCase();
+  depth = Math.max(1, Math.min(parseInt(depth) || 3, MAX_DEPTH));
+
+  let raiz = await binario.findOne({ wallet }, CAMPOS_NODO).lean();
+  if (raiz === null) return { result: false, message: "wallet not found" };
+
+  let arbol = nodo(raiz, hand, nivelInicial);
+  let vistos = new Set([wallet]);
+  let frontera = [{ doc: raiz, nodo: arbol }];
+  let truncados = 0;
+
+  for (let nivel = 1; nivel <= depth && frontera.length > 0; nivel++) {
+    let pedidos = [];
+
+    for (let item of frontera) {
+      for (let lado of ["left", "right"]) {
+        let hijo = item.doc[lado];
+        if (!vacio(hijo) && !vistos.has(hijo)) pedidos.push(hijo);
+      }
+    }
+
+    let docs = await binario.find({ wallet: { $in: pedidos } }, CAMPOS_NODO).lean();
+    let porWallet = new Map(docs.map((d) => [d.wallet, d]));
+    let siguiente = [];
+
+    for (let item of frontera) {
+      for (let [indice, lado] of ["left", "right"].entries()) {
+        let hijo = item.doc[lado];
+        if (vacio(hijo)) continue;
+
+        if (vistos.has(hijo)) {
+          item.nodo[lado] = { wallet: hijo, hand: indice, cycle: true };
+          continue;
+        }
+
+        vistos.add(hijo);
+
+        let doc = porWallet.get(hijo);
+
+        if (doc === undefined) {
+          item.nodo[lado] = { wallet: hijo, hand: indice, missing: true };
+          continue;
+        }
+
+        item.nodo[lado] = nodo(doc, indice, nivelInicial + nivel);
+        siguiente.push({ doc, nodo: item.nodo[lado] });
+      }
+    }
+
+    frontera = siguiente;
+  }
+
+  // Children of the last level are left for the next page
+  for (let item of frontera) {
+    for (let [indice, lado] of ["left", "right"].entries()) {
+      let hijo = item.doc[lado];
+
+      if (!vacio(hijo) && !vistos.has(hijo)) {
+        item.nodo[lado] = { wallet: hijo, hand: indice, truncated: true, cursor: crearCursor(hijo, indice, item.nodo.level + 1) };
+        truncados++;
+      }
+    }
+  }
+
+  return { result: true, depth, nodes: vistos.size, truncated: truncados, data: arbol };
+}
+
+// Ancestors of a wallet following `up` to the root, nearest first
+// One $graphLookup brings every ancestor with its distance to the wallet (depth 0 is the upline).
+// $graphLookup visits each wallet once, so walking `up` and reaching a wallet whose depth is lower
+// than the step it is reached at means it was already on the path: a cycle, as in the `lista` of
+// conectarUpline, and the walk ends there
+async function caminoUpline(wallet, { maxPasos = 100000 } = {}) {
+  wallet = wallet.toLowerCase();
+
+  let actual = await binario.findOne({ wallet }, { _id: false, wallet: true, up: true, idBlock: true }).lean();
+  if (actual === null) return { result: false, message: "wallet not found" };
+
+  let ancestros = vacio(actual.up) ? [] : await binario.aggregate([
+    { $match: { wallet } },
+    { $limit: 1 },
+    {
+      $graphLookup: {
+        from: binario.collection.name,
+        startWith: "$up",
+        connectFromField: "up",
+        connectToField: "wallet",
+        as: "ancestro",
+        maxDepth: maxPasos - 1,
+        depthField: "nivel"
+      }
+    },
+    { $unwind: "$ancestro" }, // one document per ancestor, the path can exceed the 16 MB document limit
+    { $project: { _id: false, wallet: "$ancestro.wallet", up: "$ancestro.up", left: "$ancestro.left", right: "$ancestro.right", idBlock: "$ancestro.idBlock", nivel: "$ancestro.nivel" } }
+  ]).allowDiskUse(true);
+
+  let porWallet = new Map();
+  for (let a of ancestros) {
+    if (!porWallet.has(a.wallet)) porWallet.set(a.wallet, a);
+  }
+
+  let camino = [];
+  let lista = [wallet];
+  let ciclo = null;
+  let roto = null;
+
+  while (!vacio(actual.up) && camino.length < maxPasos) {
+    let padre = porWallet.get(actual.up);
+
+    // the start wallet has no depth of its own, any other wallet seen before has a lower one
+    if (actual.up === wallet || (padre !== undefined && padre.nivel < camino.length)) {
+      ciclo = lista.slice(lista.indexOf(actual.up)).concat(actual.up);
+      break;
+    }
+
+    if (padre === undefined) {
+      roto = { wallet: actual.wallet, up: actual.up, message: "upline not found" };
+      break;
+    }
+
+    let side = padre.left === actual.wallet ? 0 : padre.right === actual.wallet ? 1 : null;
+
+    camino.push({
+      wallet: padre.wallet,
+      side, // 0 left, 1 right, null when the ancestor does not hold the child in left/right
+      idBlock: padre.idBlock || 0,
+      depth: camino.length + 1
+    });
+
+    if (side === null && roto === null) {
+      roto = { wallet: actual.wallet, up: actual.up, message: "up is not linked from the upline left/right" };
+    }
+
+    lista.push(padre.wallet);
+    actual = padre;
+  }
+
+  return {
+    result: true,
+    wallet,
+    depth: camino.length,
+    root: ciclo === null && roto === null ? (camino.length > 0 ? camino[camino.length - 1].wallet : wallet) : null,
+    path: camino,
+    cycle: ciclo, // wallets of the cycle, the first one repeated at the end
+    broken: roto
+  };
+}
+
+// Leg of `ancestro` that contains `wallet`: 0 left, 1 right, null when it is not below it
+async function pierna(wallet, ancestro) {
+  ancestro = ancestro.toLowerCase();
+
+  let upline = await caminoUpline(wallet);
+  if (!upline.result) return upline;
+
+  let paso = upline.path.find((p) => p.wallet === ancestro);
+
+  return {
+    result: true,
+    wallet: upline.wallet,
+    of: ancestro,
+    leg: paso ? paso.side : null,
+    depth: paso ? paso.depth : null,
+    cycle: upline.cycle,
+    broken: upline.broken
+  };
+}
+
+const CAMPOS_BUSQUEDA = { ...CAMPOS_NODO, referer: true, up: true, puntosActivos: true };
+
+// Search by referral ID, address prefix or suffix, or sponsor; sorted by wallet, `despuesDe` is the last wallet already returned
+async function buscar({ id = null, prefijo = null, sufijo = null, referer = null, despuesDe = null, limite = 50 }) {
+  let filtro = {};
+
+  if (id !== null) filtro.idBlock = id;
+  if (referer !== null) filtro.referer = referer.toLowerCase();
+
+  // only hex characters reach the regular expressions
+  if (prefijo !== null) filtro.wallet = { $regex: "^" + (prefijo.indexOf("0x") === 0 ? prefijo : "0x" + prefijo) };
+  if (sufijo !== null) filtro.wallet = { ...(filtro.wallet || {}), $regex: (filtro.wallet ? filtro.wallet.$regex + "[0-9a-f]*" : "") + sufijo + "$" };
+  if (despuesDe !== null) filtro.wallet = { ...(filtro.wallet || {}), $gt: despuesDe.toLowerCase() };
+
+  let docs = await binario.find(filtro, CAMPOS_BUSQUEDA).sort({ wallet: 1 }).limit(limite).lean();
+
+  let data = docs.map((doc) => ({
+    wallet: doc.wallet,
+    idBlock: doc.idBlock || 0,
+    registered: doc.registered === true,
+    invested: doc.invested || "0",
+    referer: doc.referer || null,
+    up: doc.up || null,
+    hand: doc.hand === undefined ? null : doc.hand,
+    left: doc.left || null,
+    right: doc.right || null,
+    puntosActivos: doc.puntosActivos || "0",
+    points: { left: puntos(doc, "left"), right: puntos(doc, "right") }
+  }));
+
+  return { result: true, data, next: data.length === limite ? data[data.length - 1].wallet : null };
+}
+
+module.exports = { MAX_DEPTH, subarbol, caminoUpline, pierna, buscar };
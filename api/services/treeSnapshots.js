@@ -0,0 +1,152 @@
+/**
+ * Binary tree snapshots
+ * binari_system is overwritten by every scan, so a compact copy of each node (links, points and
+ * personas) is stored after the daily scan. Snapshots give the point history of a wallet and the
+ * differences between two moments of the tree.
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+
+const TreeSnapshot = require("../models/treeSnapshot.js");
+const TreeSnapshotNode = require("../models/treeSnapshotNode.js");
+const binario = require("../models/binario.js");
+const logger = require("./logger.js");
+
+const LOTE = 1000; // Nodes per insertMany
+
+// binari_system field -> snapshot field
+const CAMPOS = {
+  up: "up", left: "l", right: "r",
+  lPuntos: "lp", rPuntos: "rp", lExtra: "lx", rExtra: "rx", lReclamados: "lr", rReclamados: "rr",
+  lPersonas: "lq", rPersonas: "rq", puntosActivos: "pa"
+};
+
+const PUNTOS = ["lPuntos", "rPuntos", "lExtra", "rExtra", "lReclamados", "rReclamados", "lPersonas", "rPersonas", "puntosActivos"];
+
+function compactar(doc, snapshot, takenAt) {
+  let nodo = { s: snapshot, t: takenAt, w: doc.wallet };
+
+  for (let campo of Object.keys(CAMPOS)) {
+    if (doc[campo] !== undefined && doc[campo] !== null) nodo[CAMPOS[campo]] = String(doc[campo]);
+  }
+
+  return nodo;
+}
+
+function expandir(nodo) {
+  let doc = { wallet: nodo.w };
+
+  for (let campo of Object.keys(CAMPOS)) doc[campo] = nodo[CAMPOS[campo]] === undefined ? null : nodo[CAMPOS[campo]];
+
+  return doc;
+}
+
+// Copy the whole tree, the snapshot is only listed once every node is written
+async function tomar(source = "manual") {
+  let inicio = Date.now();
+  let takenAt = new Date();
+
+  let proyeccion = { _id: false, wallet: true };
+  for (let campo of Object.keys(CAMPOS)) proyeccion[campo] = true;
+
+  let lista = await binario.find({}, proyeccion).lean();
+  let snapshot = await TreeSnapshot.create({ takenAt, source, wallets: lista.length });
+
+  for (let i = 0; i < lista.length; i += LOTE) {
+    await TreeSnapshotNode.insertMany(lista.slice(i, i + LOTE).map((doc) => compactar(doc, snapshot._id, takenAt)), { ordered: false });
+  }
+
+  let ms = Date.now() - inicio;
+
+  await TreeSnapshot.updateOne({ _id: snapshot._id }, { complete: true, ms });
+
+  logger.info("tree snapshot taken", { snapshot: snapshot._id, wallets: lista.length, ms });
+
+  return { id: snapshot._id, takenAt, wallets: lista.length, ms };
+}
+
+async function listar({ desde = null, hasta = null, limite = 100 } = {}) {
+  let filtro = { complete: true };
+
+  if (desde || hasta) filtro.takenAt = {};
+  if (desde) filtro.takenAt.$gte = desde;
+  if (hasta) filtro.takenAt.$lte = hasta;
+
+  return await TreeSnapshot.find(filtro).sort({ takenAt: -1 }).limit(limite).lean();
+}
+
+// Point evolution of one wallet, oldest first
+async function historial(wallet, { desde = null, hasta = null } = {}) {
+  let completos = await listar({ desde, hasta, limite: 10000 });
+  let ids = completos.map((s) => s._id);
+
+  let nodos = await TreeSnapshotNode.find({ w: wallet.toLowerCase(), s: { $in: ids } }, { _id: false }).sort({ t: 1 }).lean();
+
+  return nodos.map((nodo) => {
+    let doc = expandir(nodo);
+
+    return { snapshot: nodo.s, takenAt: nodo.t, ...doc };
+  });
+}
+
+async function cargar(id) {
+  let nodos = await TreeSnapshotNode.find({ s: id }, { _id: false, s: false, t: false }).lean();
+  let mapa = new Map();
+
+  for (let nodo of nodos) mapa.set(nodo.w, expandir(nodo));
+
+  return mapa;
+}
+
+// New, removed and moved nodes and point deltas between two snapshots
+async function comparar(idA, idB) {
+  let [a, b] = await Promise.all([TreeSnapshot.findById(idA).lean(), TreeSnapshot.findById(idB).lean()]);
+
+  if (!a || !b || !a.complete || !b.complete) return { result: false, message: "snapshot not found" };
+
+  let [nodosA, nodosB] = await Promise.all([cargar(a._id), cargar(b._id)]);
+
+  let nuevos = [];
+  let eliminados = [];
+  let movidos = [];
+  let deltas = [];
+
+  for (let [wallet, despues] of nodosB) {
+    let antes = nodosA.get(wallet);
+
+    if (antes === undefined) {
+      nuevos.push({ wallet, up: despues.up });
+      continue;
+    }
+
+    if (antes.up !== despues.up) {
+      movidos.push({ wallet, from: antes.up, to: despues.up });
+    }
+
+    let cambios = {};
+
+    for (let campo of PUNTOS) {
+      let delta = new BigNumber(despues[campo] || 0).minus(antes[campo] || 0);
+      if (!delta.isNaN() && !delta.isZero()) cambios[campo] = delta.toString(10);
+    }
+
+    if (Object.keys(cambios).length > 0) deltas.push({ wallet, ...cambios });
+  }
+
+  for (let wallet of nodosA.keys()) {
+    if (!nodosB.has(wallet)) eliminados.push({ wallet });
+  }
+
+  return {
+    result: true,
+    from: { id: a._id, takenAt: a.takenAt, wallets: a.wallets },
+    to: { id: b._id, takenAt: b.takenAt, wallets: b.wallets },
+    summary: { newNodes: nuevos.length, removedNodes: eliminados.length, movedNodes: movidos.length, pointChanges: deltas.length },
+    newNodes: nuevos,
+    removedNodes: eliminados,
+    movedNodes: movidos,
+    pointDeltas: deltas
+  };
+}
+
+module.exports = { tomar, listar, historial, comparar };
@@ -0,0 +1,396 @@
+/**
+ * Persistent transaction queue for contract writes signed by the API wallet
+ * Jobs live in the `tx_jobs` collection and are sent one at a time per signer, so nonces never race:
+ * only the API instance holding the signer lease (`tx_leases`) works the queue, a job is claimed
+ * atomically before it is signed, and every later status write is conditioned on the status read.
+ * A sent job is followed until it is mined; if it stays pending it is re-broadcast with a higher gas
+ * price and the same nonce, which replaces it instead of executing twice.
+ * A job is only failed when its outcome is certain. When the nonce was used and no receipt shows up
+ * for any of its hashes, every endpoint is asked after a confirmation window; unless they all agree
+ * there is no receipt the job goes to review, so a mined transaction is never rolled back.
+ *
+ * Status: queued -> sending -> sent -> mined | failed | review
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+const os = require("os");
+
+const TxJob = require("../models/txJob.js");
+const TxLease = require("../models/txLease.js");
+const logger = require("./logger.js");
+
+function delay(s) { return new Promise(res => setTimeout(res, s * 1000)); }
+
+module.exports = function crearColaTx({
+  web3,
+  contrato,
+  signer,
+  privateKey,
+  intervalo = 3000, // ms between queue checks
+  esperaAtascada = 60 * 1000, // ms pending before the gas price is bumped
+  factorBump = 1.125, // gas price multiplier for replacements (nodes require >= 10%)
+  maxBumps = 5, // replacements before waiting without bumping
+  maxIntentos = 5, // re-broadcasts of a dropped transaction before the job goes to review
+  factorGas = 1.2, // margin over estimateGas
+  maxGasPrice = null, // wei, optional cap for bumps
+  poolRpc = null, // rpc pool, receipts of a consumed nonce are checked on each of its endpoints
+  esperaConfirmacion = 10 * 60 * 1000, // ms between the nonce seen used and the job given up
+  minNodos = 2, // endpoints that must answer "no receipt" before a job fails
+  duracionTurno = 60 * 1000 // ms the signer lease and a job claim last without renewal
+}) {
+  signer = signer.toLowerCase();
+
+  // Lease holder id of this process
+  const instancia = os.hostname() + ":" + process.pid + ":" + logger.nuevoId();
+
+  let chainId = null;
+  let corriendo = false;
+  let timer = null;
+
+  async function leerChainId() {
+    if (chainId === null) chainId = Number(await web3.eth.getChainId());
+    return chainId;
+  }
+
+  // Add a contract call to the queue
+  async function encolar(metodo, args, opciones = {}) {
+    let data = contrato.methods[metodo](...args).encodeABI();
+
+    let job = await TxJob.create({
+      signer,
+      metodo,
+      args: args.map((a) => String(a)),
+      ref: opciones.ref ? String(opciones.ref).toLowerCase() : null,
+      correlationId: logger.correlacion(),
+      to: contrato.options.address,
+      data,
+      value: opciones.value ? String(opciones.value) : "0",
+      status: "queued"
+    });
+
+    logger.info("tx queued", { job: job._id, method: metodo, ref: job.ref });
+
+    return job;
+  }
+
+  async function firmar(job, nonce, gasPrice) {
+    let id = await leerChainId();
+
+    return await web3.eth.accounts.signTransaction({
+      to: job.to,
+      data: job.data,
+      value: "0x" + new BigNumber(job.value).toString(16),
+      gas: job.gas,
+      gasPrice: gasPrice.toString(10),
+      nonce,
+      chainId: id,
+      networkId: id,
+      type: "0x0",
+      hardfork: "london"
+    }, privateKey);
+  }
+
+  // Send a raw transaction without waiting for its receipt
+  async function difundir(raw) {
+    return await web3.requestManager.send({ method: "eth_sendRawTransaction", params: [raw] });
+  }
+
+  // Receipt or null when the transaction is not mined, a failed read throws: it says nothing about the transaction
+  async function leerRecibo(hash) {
+    return await web3.eth.getTransactionReceipt(hash);
+  }
+
+  async function conocida(hash) {
+    return (await web3.eth.getTransaction(hash)) !== null;
+  }
+
+  // Receipt of every hash asked to every endpoint of the pool:
+  //   "mined"   - some endpoint has a receipt, the normal path will pick it up
+  //   "none"    - at least `minNodos` endpoints answered null for every hash, and none had a receipt
+  //   "unknown" - not enough endpoints answered
+  async function recibosEnTodos(hashes) {
+    if (poolRpc === null) return "unknown";
+
+    let nulos = Infinity;
+
+    for (let hash of hashes) {
+      let respuestas = await poolRpc.enTodos({ jsonrpc: "2.0", id: Date.now(), method: "eth_getTransactionReceipt", params: [hash] });
+
+      if (respuestas.some((r) => r.response && r.response.result)) return "mined";
+
+      nulos = Math.min(nulos, respuestas.filter((r) => r.response && r.response.result === null).length);
+    }
+
+    return nulos >= minNodos ? "none" : "unknown";
+  }
+
+  // Status writes only apply while the job is still in the status it was read with
+  async function cambiar(job, desde, cambios) {
+    let cambio = await TxJob.updateOne({ _id: job._id, status: desde }, cambios);
+
+    if (cambio.modifiedCount === 0) logger.warn("tx status changed by another instance", { job: job._id, expected: desde });
+
+    return cambio.modifiedCount > 0;
+  }
+
+  async function fallar(job, desde, error) {
+    if (await cambiar(job, desde, { status: "failed", error, failedAt: new Date(), lockedBy: null, lockedUntil: null })) {
+      logger.warn("tx failed", { job: job._id, method: job.metodo, error });
+    }
+  }
+
+  // Outcome unknown: neither failed (the transfer may be mined) nor retried (it may execute twice)
+  async function revision(job, error) {
+    if (await cambiar(job, "sent", { status: "review", error, reviewAt: new Date() })) {
+      logger.error("tx needs manual review", { job: job._id, method: job.metodo, nonce: job.nonce, hashes: job.hashes, error });
+    }
+  }
+
+  // A claimed job that will not be sent now goes back to the queue
+  async function soltar(job) {
+    await TxJob.updateOne({ _id: job._id, status: "sending", lockedBy: instancia }, { status: "queued", lockedBy: null, lockedUntil: null });
+  }
+
+  // First broadcast of a claimed job
+  async function enviar(job) {
+    let gas = null;
+
+    try {
+      gas = await web3.eth.estimateGas({ from: signer, to: job.to, data: job.data, value: "0x" + new BigNumber(job.value).toString(16) });
+    } catch (error) {
+      // The call would revert: failing here is safe because nothing was broadcast
+      if (/revert/i.test(error.toString())) {
+        return await fallar(job, "sending", "estimateGas: " + error.toString());
+      }
+
+      // Network problem, the job goes back to the queue for the next tick
+      logger.warn("tx estimateGas error, retrying on the next tick", { job: job._id, err: error });
+      return await soltar(job);
+    }
+
+    job.gas = Math.ceil(Number(gas) * factorGas);
+
+    let nonce, gasPrice, firmada;
+
+    try {
+      nonce = Number(await web3.eth.getTransactionCount(signer, "pending"));
+      gasPrice = new BigNumber(await web3.eth.getGasPrice());
+      firmada = await firmar(job, nonce, gasPrice);
+    } catch (error) {
+      await soltar(job);
+      throw error;
+    }
+
+    // Stored before broadcasting: after a crash the hash is followed instead of sending again.
+    // The claim must still be ours, otherwise another instance owns the job and nothing is sent
+    let cambio = await TxJob.updateOne({ _id: job._id, status: "sending", lockedBy: instancia }, {
+      status: "sent",
+      nonce,
+      gas: job.gas,
+      gasPrice: gasPrice.toString(10),
+      hashes: [firmada.transactionHash],
+      raw: firmada.rawTransaction,
+      sentAt: new Date(),
+      lockedBy: null,
+      lockedUntil: null
+    });
+
+    if (cambio.modifiedCount === 0) {
+      logger.warn("tx claim lost before broadcast, not sent", { job: job._id });
+      return;
+    }
+
+    logger.info("tx sent", { job: job._id, nonce, hash: firmada.transactionHash });
+
+    await difundir(firmada.rawTransaction).catch((e) => {
+      logger.warn("tx broadcast error", { job: job._id, err: e });
+    });
+  }
+
+  // Follow a sent job: mined, reverted, lost or stuck. A read that fails ends the check until the next tick
+  async function revisar(job) {
+    for (let hash of job.hashes) {
+      let recibo = await leerRecibo(hash);
+
+      if (recibo) {
+        let exito = Number(recibo.status) === 1;
+
+        let cambiado = await cambiar(job, "sent", {
+          status: exito ? "mined" : "failed",
+          hash,
+          error: exito ? null : "transaction reverted",
+          receipt: { blockNumber: Number(recibo.blockNumber), gasUsed: Number(recibo.gasUsed), status: exito },
+          minedAt: exito ? new Date() : null,
+          failedAt: exito ? null : new Date()
+        });
+
+        if (cambiado) logger.info(exito ? "tx mined" : "tx reverted", { job: job._id, hash });
+        return;
+      }
+    }
+
+    let confirmado = Number(await web3.eth.getTransactionCount(signer, "latest"));
+
+    if (confirmado > job.nonce) {
+      // Receipts can lag behind the nonce on some nodes: keep looking during the confirmation window
+      if (!job.consumedAt) {
+        await TxJob.updateOne({ _id: job._id, status: "sent" }, { consumedAt: new Date() });
+        logger.warn("tx nonce used without a receipt yet", { job: job._id, nonce: job.nonce });
+        return;
+      }
+
+      if (Date.now() - job.consumedAt.getTime() < esperaConfirmacion) return;
+
+      let recibos = await recibosEnTodos(job.hashes);
+
+      if (recibos === "none") {
+        return await fallar(job, "sent", "nonce consumed by another transaction");
+      }
+
+      if (recibos === "unknown") {
+        return await revision(job, "nonce consumed, receipts not confirmed absent on " + minNodos + " endpoints");
+      }
+
+      return; // mined on some endpoint, the next ticks read it
+    }
+
+    let ultimo = job.hashes[job.hashes.length - 1];
+
+    if (!(await conocida(ultimo))) {
+      // The node dropped it: same signed transaction again, it cannot execute twice.
+      // Giving up is not safe while the nonce is free, the signed transaction can still be mined
+      if (job.attempts >= maxIntentos) {
+        return await revision(job, "transaction dropped " + job.attempts + " times");
+      }
+
+      if (!(await cambiar(job, "sent", { $inc: { attempts: 1 }, sentAt: new Date() }))) return;
+
+      await difundir(job.raw).catch((e) => logger.warn("tx rebroadcast error", { job: job._id, err: e }));
+      return;
+    }
+
+    if (Date.now() - job.sentAt.getTime() > esperaAtascada && job.bumps < maxBumps) {
+      let red = new BigNumber(await web3.eth.getGasPrice());
+      let nuevo = BigNumber.max(new BigNumber(job.gasPrice).times(factorBump).integerValue(BigNumber.ROUND_CEIL), red);
+
+      if (maxGasPrice !== null && nuevo.gt(maxGasPrice)) {
+        if (new BigNumber(job.gasPrice).gte(maxGasPrice)) return;
+        nuevo = new BigNumber(maxGasPrice);
+      }
+
+      let firmada = await firmar(job, job.nonce, nuevo);
+
+      // conditioned on the bump count too, so one bump is never signed twice
+      let cambio = await TxJob.updateOne({ _id: job._id, status: "sent", bumps: job.bumps }, {
+        $push: { hashes: firmada.transactionHash },
+        $inc: { bumps: 1 },
+        gasPrice: nuevo.toString(10),
+        raw: firmada.rawTransaction,
+        sentAt: new Date()
+      });
+
+      if (cambio.modifiedCount === 0) return;
+
+      logger.info("tx gas bump", { job: job._id, from: job.gasPrice, to: nuevo.toString(10), hash: firmada.transactionHash });
+
+      await difundir(firmada.rawTransaction).catch((e) => {
+        logger.warn("tx bump broadcast error", { job: job._id, err: e });
+      });
+    }
+  }
+
+  // Take or renew the signer lease, false while another instance holds it
+  async function tomarTurno() {
+    let ahora = new Date();
+
+    try {
+      await TxLease.findOneAndUpdate(
+        { _id: signer, $or: [{ holder: instancia }, { until: { $lt: ahora } }] },
+        { holder: instancia, until: new Date(ahora.getTime() + duracionTurno) },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // the upsert collides with the lease document of the holder
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  // One step of the queue: follow the job in flight or claim and send the next one
+  async function tick() {
+    if (corriendo) return;
+    corriendo = true;
+
+    try {
+      if (!(await tomarTurno())) return;
+
+      // claims left by a crashed instance, nothing was broadcast for them
+      await TxJob.updateMany({ signer, status: "sending", lockedUntil: { $lt: new Date() } }, { status: "queued", lockedBy: null, lockedUntil: null });
+
+      let enVuelo = await TxJob.findOne({ signer, status: { $in: ["sending", "sent"] } }).sort({ createdAt: 1 });
+
+      // the job logs under the correlation id of the operation that queued it
+      if (enVuelo !== null) {
+        if (enVuelo.status === "sent") await logger.contexto({ correlationId: enVuelo.correlationId }, () => revisar(enVuelo));
+      } else {
+        let siguiente = await TxJob.findOneAndUpdate(
+          { signer, status: "queued" },
+          { status: "sending", lockedBy: instancia, lockedUntil: new Date(Date.now() + duracionTurno) },
+          { sort: { createdAt: 1 }, new: true }
+        );
+
+        if (siguiente !== null) await logger.contexto({ correlationId: siguiente.correlationId }, () => enviar(siguiente));
+      }
+    } catch (error) {
+      logger.error("tx queue error", { err: error });
+    } finally {
+      corriendo = false;
+    }
+  }
+
+  function iniciar() {
+    if (timer === null) timer = setInterval(tick, intervalo);
+  }
+
+  // Stop ticking and hand the lease over without waiting for it to expire
+  async function detener() {
+    if (timer !== null) clearInterval(timer);
+    timer = null;
+
+    await TxLease.updateOne({ _id: signer, holder: instancia }, { until: new Date(0) });
+  }
+
+  // Wait until a job is mined, failed or set aside for review, returns the job as it is when the time runs out
+  async function esperar(id, timeoutMs = 60 * 1000) {
+    let limite = Date.now() + timeoutMs;
+    let job = await TxJob.findById(id).lean();
+
+    while (job !== null && ["queued", "sending", "sent"].includes(job.status) && Date.now() < limite) {
+      await delay(1);
+      job = await TxJob.findById(id).lean();
+    }
+
+    return job;
+  }
+
+  async function consultar(id) {
+    return await TxJob.findById(id, { raw: false, data: false }).lean();
+  }
+
+  // Jobs per status for this signer
+  async function estado() {
+    let conteo = await TxJob.aggregate([
+      { $match: { signer } },
+      { $group: { _id: "$status", total: { $sum: 1 } } }
+    ]);
+
+    let resumen = { signer, queued: 0, sending: 0, sent: 0, mined: 0, failed: 0, review: 0 };
+
+    for (let item of conteo) resumen[item._id] = item.total;
+
+    return resumen;
+  }
+
+  return { encolar, tick, iniciar, detener, esperar, consultar, estado };
+};
@@ -0,0 +1,98 @@
+/**
+ * Wallet signature authentication
+ * Issues single-use challenges and checks that they were signed by the wallet that asked for them
+ */
+
+const crypto = require("crypto"); // Random challenge generation
+const { ethers } = require("ethers"); // Signature recovery
+
+const AuthNonce = require("../models/authNonce.js");
+
+const NONCE_TTL = 5 * 60 * 1000; // Challenges are valid for 5 minutes
+
+// Check that a string looks like an EVM address
+function esWallet(wallet) {
+  return typeof wallet === "string" && /^0x[a-fA-F0-9]{40}$/.test(wallet);
+}
+
+// Text shown in MetaMask when the wallet signs the challenge
+function mensajeFirma(wallet, accion, nonce, fecha) {
+  return "AIMAS PRO\n" +
+    "Action: " + accion + "\n" +
+    "Wallet: " + wallet + "\n" +
+    "Nonce: " + nonce + "\n" +
+    "Issued: " + fecha.toISOString();
+}
+
+// Create and store a new challenge for a wallet and action
+async function crearNonce(wallet, accion) {
+  if (!esWallet(wallet)) {
+    return { result: false, error: true, message: "not valid wallet parameter" };
+  }
+
+  wallet = wallet.toLowerCase();
+
+  let fecha = new Date();
+  let nonce = crypto.randomBytes(16).toString("hex");
+  let mensaje = mensajeFirma(wallet, accion, nonce, fecha);
+
+  await AuthNonce.create({
+    nonce,
+    wallet,
+    accion,
+    mensaje,
+    expiresAt: new Date(fecha.getTime() + NONCE_TTL)
+  });
+
+  return { result: true, nonce, message: mensaje, expiresAt: fecha.getTime() + NONCE_TTL };
+}
+
+// Recover the signer of a challenge without consuming it, for actions that check more before going ahead
+// Resolves to { result: true, wallet, nonceId } or { result: false, message }
+async function comprobarFirma(data, accion) {
+  let { wallet = null, nonce = null, signature = null } = data || {};
+
+  if (!esWallet(wallet)) return { result: false, message: "not valid wallet parameter" };
+  if (typeof nonce !== "string" || typeof signature !== "string") return { result: false, message: "signature required" };
+
+  wallet = wallet.toLowerCase();
+
+  let registro = await AuthNonce.findOne({ nonce, wallet, accion });
+
+  if (registro === null) return { result: false, message: "unknown nonce" };
+  if (registro.usedAt !== null) return { result: false, message: "nonce already used" };
+  if (registro.expiresAt.getTime() < Date.now()) return { result: false, message: "nonce expired" };
+
+  let firmante = "";
+
+  try {
+    firmante = ethers.utils.verifyMessage(registro.mensaje, signature).toLowerCase();
+  } catch (error) {
+    return { result: false, message: "invalid signature" };
+  }
+
+  if (firmante !== wallet) return { result: false, message: "signature does not match wallet" };
+
+  return { result: true, wallet, nonceId: registro._id };
+}
+
+// Mark a checked challenge as used, false when another request did it first
+async function consumirFirma(firma) {
+  // only if nobody else did it first, so two requests with the same signature cannot both pass
+  let consumido = await AuthNonce.updateOne({ _id: firma.nonceId, usedAt: null }, { usedAt: new Date() });
+
+  return consumido.modifiedCount === 1;
+}
+
+// Recover the signer of a challenge and consume it
+// Resolves to { result: true, wallet } or { result: false, message }
+async function verificarFirma(data, accion) {
+  let firma = await comprobarFirma(data, accion);
+
+  if (!firma.result) return firma;
+  if (!(await consumirFirma(firma))) return { result: false, message: "nonce already used" };
+
+  return { result: true, wallet: firma.wallet };
+}
+
+module.exports = { esWallet, crearNonce, comprobarFirma, consumirFirma, verificarFirma };
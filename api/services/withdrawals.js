@@ -0,0 +1,191 @@
+/**
+ * Withdrawal ledger for corteBinarioDo
+ * A wallet can only have one open withdrawal. Claimed points are written to binari_system
+ * only after the transaction is mined, and are restored if it turns out reverted.
+ */
+
+const BigNumber = require("bignumber.js"); // Precise decimal calculations
+const mongoose = require("mongoose"); // MongoDB ODM
+
+const Withdrawal = require("../models/withdrawal.js");
+const ledger = require("./pointsLedger.js");
+const push = require("./push.js");
+const metricas = require("./metrics.js");
+const logger = require("./logger.js");
+
+const ABANDONADO = 5 * 60 * 1000; // A request that never reached the queue is released after 5 minutes
+
+const resultados = metricas.contador("withdrawals_total", "Finished withdrawals by outcome", ["outcome"]);
+const abiertas = metricas.medidor("withdrawals_pending", "Open withdrawals by status", ["status"]);
+
+metricas.recolectar(async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  let abiertos = await Withdrawal.aggregate([{ $match: { open: true } }, { $group: { _id: "$status", total: { $sum: 1 } } }]);
+
+  for (let status of ["requested", "submitted"]) {
+    let fila = abiertos.find((a) => a._id === status);
+    abiertas.set({ status }, fila ? fila.total : 0);
+  }
+});
+
+module.exports = function crearRetiros({ colaTx }) {
+
+  // Status changes reach the sockets subscribed to the wallet
+  function avisar(retiro, status, extra = {}) {
+    push.emitir(retiro.wallet, "withdrawal", { id: String(retiro._id), status, ...extra });
+  }
+
+  // Take the per-wallet lock, resolves to null when another withdrawal is still open
+  async function abrir(wallet) {
+    await Withdrawal.init(); // unique index must exist before relying on it
+
+    try {
+      let retiro = await Withdrawal.create({ wallet: wallet.toLowerCase(), status: "requested", correlationId: logger.correlacion() });
+      avisar(retiro, "requested");
+      return retiro;
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Queue the contract call and store what will be deducted once it is mined
+  async function enviar(retiro, user, { retiroBinario, puntosReclamados }) {
+    let lDespues = new BigNumber(user.lReclamados).plus(puntosReclamados).toString(10);
+    let rDespues = new BigNumber(user.rReclamados).plus(puntosReclamados).toString(10);
+
+    // the contract receives the accumulated claimed points, unchanged when nothing is claimed
+    let puntosUsados = new BigNumber(puntosReclamados).gt(0) ? lDespues : "0";
+
+    let job = await colaTx.encolar("corteBinarioDo", [retiro.wallet, retiroBinario, puntosUsados, 0], { ref: retiro.wallet });
+
+    let cambios = {
+      status: "submitted",
+      retiroBinario: String(retiroBinario),
+      puntosReclamados: new BigNumber(puntosReclamados).toString(10),
+      puntosUsados,
+      lReclamadosAntes: user.lReclamados,
+      rReclamadosAntes: user.rReclamados,
+      lReclamadosDespues: lDespues,
+      rReclamadosDespues: rDespues,
+      jobId: String(job._id),
+      submittedAt: new Date()
+    };
+
+    await Withdrawal.updateOne({ _id: retiro._id }, cambios);
+    avisar(retiro, "submitted", { jobId: cambios.jobId, amount: cambios.retiroBinario });
+
+    logger.info("withdrawal submitted", { withdrawal: retiro._id, wallet: retiro.wallet, job: job._id });
+
+    return { ...retiro.toObject(), ...cambios };
+  }
+
+  // Write the deductions; idempotent because target values are absolute and the ledger key is fixed
+  async function aplicar(retiro, hash) {
+    if (new BigNumber(retiro.puntosReclamados).gt(0)) {
+      await ledger.actualizar({ wallet: retiro.wallet }, {
+        lReclamados: retiro.lReclamadosDespues,
+        rReclamados: retiro.rReclamadosDespues
+      }, { reason: "binary withdrawal", reference: hash, key: "withdrawal:" + retiro._id + ":apply" });
+    }
+
+    await Withdrawal.updateOne({ _id: retiro._id }, { appliedAt: new Date() });
+  }
+
+  // Undo the deductions if they were written and nothing else changed them since
+  async function deshacer(retiro) {
+    if (retiro.appliedAt === null || retiro.appliedAt === undefined) return;
+
+    if (new BigNumber(retiro.puntosReclamados).gt(0)) {
+      await ledger.actualizar(
+        { wallet: retiro.wallet, lReclamados: retiro.lReclamadosDespues, rReclamados: retiro.rReclamadosDespues },
+        { lReclamados: retiro.lReclamadosAntes, rReclamados: retiro.rReclamadosAntes },
+        { reason: "withdrawal reverted", reference: "withdrawal:" + retiro._id, key: "withdrawal:" + retiro._id + ":rollback" }
+      );
+    }
+
+    await Withdrawal.updateOne({ _id: retiro._id }, { appliedAt: null, rolledBackAt: new Date() });
+    logger.warn("withdrawal rolled back", { withdrawal: retiro._id, wallet: retiro.wallet });
+  }
+
+  async function confirmar(retiro, job) {
+    await aplicar(retiro, job.hash);
+    await Withdrawal.updateOne({ _id: retiro._id }, { status: "confirmed", open: false, hash: job.hash, confirmedAt: new Date() });
+    avisar(retiro, "confirmed", { hash: job.hash });
+    resultados.inc({ outcome: "success" });
+    logger.info("withdrawal confirmed", { withdrawal: retiro._id, wallet: retiro.wallet, hash: job.hash });
+  }
+
+  async function revertir(retiro, error) {
+    await deshacer(retiro);
+    await Withdrawal.updateOne({ _id: retiro._id }, { status: "reverted", open: false, error, revertedAt: new Date() });
+    avisar(retiro, "reverted", { error });
+    resultados.inc({ outcome: "reverted" });
+    logger.warn("withdrawal reverted", { withdrawal: retiro._id, wallet: retiro.wallet, error });
+  }
+
+  // Move a submitted withdrawal forward according to its queue job
+  async function resolver(retiro) {
+    let job = await colaTx.consultar(retiro.jobId);
+
+    if (job === null) {
+      await revertir(retiro, "transaction job not found");
+    } else if (job.status === "mined") {
+      await confirmar(retiro, job);
+    } else if (job.status === "failed") {
+      await revertir(retiro, job.error);
+    } else if (job.status === "review") {
+      // the transfer may be mined: the withdrawal keeps its lock until the job is resolved by hand
+      logger.warn("withdrawal waits for manual review of its transaction", { withdrawal: retiro._id, wallet: retiro.wallet, job: retiro.jobId });
+    }
+
+    return await Withdrawal.findById(retiro._id).lean();
+  }
+
+  // Wait for the transaction and resolve the withdrawal, it stays submitted if the time runs out
+  async function esperar(retiro, timeoutMs) {
+    await colaTx.esperar(retiro.jobId, timeoutMs);
+
+    return await resolver(retiro);
+  }
+
+  // Release a lock without sending anything
+  async function cancelar(retiro, error) {
+    let cambio = await Withdrawal.updateOne({ _id: retiro._id, status: "requested" }, { status: "reverted", open: false, error, revertedAt: new Date() });
+    if (cambio.modifiedCount > 0) {
+      avisar(retiro, "reverted", { error });
+      resultados.inc({ outcome: "cancelled" });
+    }
+  }
+
+  // Resolve withdrawals left open: jobs that finished after the request returned, and abandoned requests
+  async function procesarPendientes() {
+    let pendientes = await Withdrawal.find({ open: true }).lean();
+
+    for (let retiro of pendientes) {
+      await logger.contexto({ correlationId: retiro.correlationId }, async () => {
+        try {
+          if (retiro.status === "submitted") {
+            await resolver(retiro);
+          } else if (retiro.status === "requested" && Date.now() - retiro.createdAt.getTime() > ABANDONADO) {
+            await cancelar(retiro, "request abandoned before submission");
+          }
+        } catch (error) {
+          logger.error("withdrawal resolution failed", { withdrawal: retiro._id, err: error });
+        }
+      });
+    }
+
+    return pendientes.length;
+  }
+
+  async function listar(wallet, limite = 50) {
+    return await Withdrawal.find({ wallet: wallet.toLowerCase() }, { __v: false })
+      .sort({ createdAt: -1 })
+      .limit(limite)
+      .lean();
+  }
+
+  return { abrir, enviar, esperar, resolver, cancelar, procesarPendientes, listar };
+};
@@ -0,0 +1,166 @@
+/**
+ * Binary engine against binariV2, the per-wallet algorithm it replaces for the whole network
+ */
+
+jest.mock("../services/cache.js", () => ({ invalidarWallets: jest.fn(async () => {}) }));
+jest.mock("../services/pointsLedger.js", () => ({ registrarLote: jest.fn(async () => 0) }));
+
+const BigNumber = require("bignumber.js");
+
+const ledger = require("../services/pointsLedger.js");
+const crearMotorBinario = require("../services/binaryEngine.js");
+
+const VACIA = "0x0000000000000000000000000000000000000000";
+const FACTOR = 10;
+const CAMPOS = ["lPuntos", "rPuntos", "lPersonas", "rPersonas", "puntosActivos"];
+
+function usuario(wallet, left, right, invested, extra = {}) {
+  return {
+    wallet, left, right, invested: String(invested),
+    lPuntos: "0", rPuntos: "0", lPersonas: "0", rPersonas: "0",
+    lExtra: "0", rExtra: "0", lReclamados: "0", rReclamados: "0", puntosActivos: "0",
+    ...extra
+  };
+}
+
+// a: the left leg goes three levels down, the right one stops at c and f.
+// c has two children with the same investment, both of its legs match exactly
+function red(extraRaiz = {}) {
+  return [
+    usuario("a", "b", "c", 0, { lExtra: "5", rReclamados: "2", ...extraRaiz }),
+    usuario("b", "d", VACIA, 100),
+    usuario("d", "g", VACIA, 50),
+    usuario("g", VACIA, VACIA, 40),
+    usuario("c", "e", "f", 300),
+    usuario("e", VACIA, VACIA, 20),
+    usuario("f", VACIA, VACIA, 20)
+  ];
+}
+
+// binariV2 from index.js over an in-memory collection: the children are read as stored,
+// points and persons only go up, an empty side is written as "0"
+function binariV2(docs, wallet) {
+  let user = docs.get(wallet);
+  let nuevo = {};
+
+  for (let [lado, hijo] of [["l", user.left], ["r", user.right]]) {
+    if (hijo === undefined || hijo === VACIA) {
+      nuevo[lado + "Puntos"] = "0";
+      nuevo[lado + "Personas"] = "0";
+      continue;
+    }
+
+    let h = docs.get(hijo);
+    if (h === undefined || h.lPuntos === undefined || h.rPuntos === undefined) continue;
+
+    let puntos = new BigNumber(0).plus(h.invested).times(FACTOR).dividedBy(100).plus(h.lPuntos).plus(h.rPuntos);
+    if (puntos.toNumber() > new BigNumber(user[lado + "Puntos"]).toNumber()) nuevo[lado + "Puntos"] = puntos.toString(10);
+
+    let personas = new BigNumber(0).plus(1).plus(h.lPersonas).plus(h.rPersonas);
+    if (personas.toNumber() > new BigNumber(user[lado + "Personas"]).toNumber()) nuevo[lado + "Personas"] = personas.toString(10);
+  }
+
+  Object.assign(user, nuevo);
+
+  if (user.left !== undefined && user.right !== undefined) {
+    let pL = new BigNumber(user.lPuntos).plus(user.lExtra).minus(user.lReclamados);
+    let pR = new BigNumber(user.rPuntos).plus(user.rExtra).minus(user.rReclamados);
+
+    user.puntosActivos = (pL.toNumber() < pR.toNumber() ? pL : pR).toString(10);
+  }
+}
+
+// binariV2 on every wallet, deepest first, as the indexer runs it
+function referencia(lista, raiz = "a") {
+  let docs = new Map(lista.map((u) => [u.wallet, { ...u }]));
+  let niveles = [[raiz]];
+
+  while (niveles[niveles.length - 1].length > 0) {
+    niveles.push(niveles[niveles.length - 1].flatMap((w) => [docs.get(w).left, docs.get(w).right]).filter((w) => w !== VACIA));
+  }
+
+  for (let nivel of niveles.reverse()) for (let wallet of nivel) binariV2(docs, wallet);
+
+  return docs;
+}
+
+function comoTexto(calculados) {
+  let salida = {};
+
+  for (let [wallet, res] of calculados) {
+    salida[wallet] = {};
+    for (let campo of CAMPOS) salida[wallet][campo] = res[campo].toString(10);
+  }
+
+  return salida;
+}
+
+function soloCampos(docs) {
+  let salida = {};
+
+  for (let [wallet, doc] of docs) {
+    salida[wallet] = {};
+    for (let campo of CAMPOS) salida[wallet][campo] = doc[campo];
+  }
+
+  return salida;
+}
+
+describe("binaryEngine", () => {
+  let motor;
+
+  beforeEach(() => {
+    motor = crearMotorBinario({ binario: null, factorPuntos: FACTOR });
+  });
+
+  test("one pass gives the same points, persons and active points as binariV2 on every wallet", () => {
+    let { calculados, resumen } = motor.calcular(red());
+    let esperado = soloCampos(referencia(red()));
+
+    expect(comoTexto(calculados)).toEqual(esperado);
+
+    // uneven legs: 3 levels and 19 points on the left, 2 levels and 34 on the right
+    expect(esperado.a).toEqual({ lPuntos: "19", rPuntos: "34", lPersonas: "3", rPersonas: "3", puntosActivos: "24" });
+    // exact match of both legs
+    expect(esperado.c).toEqual({ lPuntos: "2", rPuntos: "2", lPersonas: "1", rPersonas: "1", puntosActivos: "2" });
+    expect(resumen).toMatchObject({ wallets: 7, raices: 1, ciclos: 0, huerfanos: 0, bajadas: 0 });
+  });
+
+  test("stored values above the computed ones stay, like binariV2, unless exacto is asked", () => {
+    let inflada = () => red({ lPuntos: "99", rPersonas: "9" });
+
+    let { calculados, resumen } = motor.calcular(inflada());
+    let esperado = soloCampos(referencia(inflada()));
+
+    expect(comoTexto(calculados)).toEqual(esperado);
+    expect(esperado.a).toMatchObject({ lPuntos: "99", rPersonas: "9", puntosActivos: "32" });
+    expect(resumen.bajadas).toBe(1);
+
+    let exacto = comoTexto(motor.calcular(inflada(), { exacto: true }).calculados);
+
+    expect(exacto.a).toEqual({ lPuntos: "19", rPuntos: "34", lPersonas: "3", rPersonas: "3", puntosActivos: "24" });
+    expect(exacto.b).toEqual(esperado.b);
+  });
+
+  test("only changed documents are written, and their changes posted to the ledger", async () => {
+    let lista = red();
+    let escritos = [];
+
+    let binario = {
+      find: () => ({ lean: async () => lista }),
+      bulkWrite: jest.fn(async (operaciones) => { escritos.push(...operaciones); })
+    };
+
+    // f and e are leaves already at 0, g too
+    let resultado = await crearMotorBinario({ binario, factorPuntos: FACTOR }).ejecutar();
+
+    expect(resultado).toMatchObject({ result: true, wallets: 7, actualizados: 4 });
+    expect(escritos.map((o) => o.updateOne.filter.wallet).sort()).toEqual(["a", "b", "c", "d"]);
+    expect(escritos.find((o) => o.updateOne.filter.wallet === "d").updateOne.update.$set).toEqual({ lPuntos: "4", lPersonas: "1" });
+
+    let [cambios, origen] = ledger.registrarLote.mock.calls[0];
+
+    expect(origen.reason).toBe("binary recalculation");
+    expect(cambios.find((c) => c.wallet === "d")).toMatchObject({ antes: { lPuntos: "0" }, despues: { lPuntos: "4" } });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Indexer: calldata decoding of proxy transactions and checkpoint progress
+ */
+
+jest.mock("../models/indexerState.js", () => require("./modeloMemoria.js")());
+
+const { Web3 } = require("web3");
+
+const IndexerState = require("../models/indexerState.js");
+const binario = require("./modeloMemoria.js")();
+const abi = require("../binaryV2.js");
+const crearIndexador = require("../services/indexer.js");
+
+const PROXY = "0x2222222222222222222222222222222222222222";
+const USUARIO = "0x3333333333333333333333333333333333333333";
+const SPONSOR = "0x4444444444444444444444444444444444444444";
+
+const codificador = new Web3().eth.abi;
+const registro = abi.find((item) => item.name === "registro");
+
+function tx(hash, input, from = USUARIO) {
+  return { hash, from, to: PROXY, input };
+}
+
+describe("indexer", () => {
+  let bloques;
+  let indexador;
+  let refrescarWallet;
+  let recalcularBinario;
+
+  beforeEach(() => {
+    IndexerState.limpiar();
+
+    bloques = {};
+    refrescarWallet = jest.fn(async () => {});
+    recalcularBinario = jest.fn(async () => {});
+
+    let web3 = {
+      eth: {
+        abi: codificador,
+        getBlockNumber: async () => 12n,
+        getBlock: async (numero) => ({ number: numero, transactions: bloques[numero] || [] })
+      }
+    };
+
+    indexador = crearIndexador({ web3, abi, address: PROXY, binario, refrescarWallet, recalcularBinario, confirmaciones: 0, bloqueInicial: 10 });
+  });
+
+  test("decodes the wallets touched by a registro call", () => {
+    let input = codificador.encodeFunctionCall(registro, [SPONSOR, 1]);
+
+    expect(indexador.decodificarTx(tx("0xa", input))).toEqual({ metodo: "registro", hash: "0xa", wallets: [USUARIO, SPONSOR] });
+  });
+
+  test("a truncated payload with an indexed selector is skipped instead of throwing", () => {
+    let selector = codificador.encodeFunctionSignature(registro);
+
+    expect(indexador.decodificarTx(tx("0xb", "0x1234"))).toBeNull();
+    expect(indexador.decodificarTx(tx("0xc", selector + "1234"))).toBeNull();
+  });
+
+  test("a block with malformed calldata is still checkpointed and its valid transactions indexed", async () => {
+    let selector = codificador.encodeFunctionSignature(registro);
+
+    bloques[11] = [tx("0xmalo", selector + "1234"), tx("0xbueno", codificador.encodeFunctionCall(registro, [SPONSOR, 0]))];
+
+    let resumen = await indexador.ejecutar();
+
+    expect(resumen).toMatchObject({ result: true, desde: 10, hasta: 12, transacciones: 1 });
+    expect(refrescarWallet.mock.calls.map(([w]) => w)).toEqual([USUARIO, SPONSOR]);
+
+    let estado = await IndexerState.findById(PROXY);
+
+    expect(estado.lastBlock).toBe(12);
+    expect(estado.lastError).toBeNull();
+    expect(estado.indexedAt).toBeInstanceOf(Date);
+  });
+});
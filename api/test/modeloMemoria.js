@@ -0,0 +1,318 @@
+/**
+ * In-memory stand-in for the mongoose models the services use, enough of the query language for
+ * conditioned writes: equality, null, $in, $lt, $lte, $gt, $gte, $ne, $regex, $or in filters, $inc, $push, $min, $set in updates and
+ * $match, $limit, $group with $sum (and $toDecimal), $graphLookup over the same collection, $unwind and $project in
+ * aggregations. Fields (or lists of fields) in `unicos`
+ * reject duplicates with code 11000, documents missing one of them are not checked.
+ * Tests replace a model with jest.mock("../models/x.js", () => require("./modeloMemoria.js")()).
+ */
+
+const crypto = require("crypto");
+const BigNumber = require("bignumber.js");
+
+// Deep copy with Dates of this realm, structuredClone returns Dates jest does not recognize
+function copia(valor) {
+  if (valor === null || typeof valor !== "object") return valor;
+  if (Object.prototype.toString.call(valor) === "[object Date]") return new Date(valor.getTime());
+  if (Array.isArray(valor)) return valor.map(copia);
+
+  let salida = {};
+  for (let [campo, v] of Object.entries(valor)) salida[campo] = copia(v);
+
+  return salida;
+}
+
+function valorIgual(actual, esperado) {
+  if (esperado === null) return actual === null || actual === undefined;
+  if (esperado instanceof Date) return actual instanceof Date && actual.getTime() === esperado.getTime();
+
+  return actual === esperado;
+}
+
+function cumple(actual, condicion) {
+  if (condicion === null || typeof condicion !== "object" || condicion instanceof Date) return valorIgual(actual, condicion);
+
+  return Object.entries(condicion).every(([op, valor]) => {
+    if (op === "$in") return valor.some((v) => valorIgual(actual, v));
+    if (op === "$ne") return !valorIgual(actual, valor);
+    if (op === "$lt") return actual !== null && actual !== undefined && actual < valor;
+    if (op === "$lte") return actual !== null && actual !== undefined && actual <= valor;
+    if (op === "$gt") return actual !== null && actual !== undefined && actual > valor;
+    if (op === "$gte") return actual !== null && actual !== undefined && actual >= valor;
+    if (op === "$regex") return typeof actual === "string" && new RegExp(valor).test(actual);
+    throw new Error("operator not supported: " + op);
+  });
+}
+
+function coincide(doc, filtro = {}) {
+  return Object.entries(filtro).every(([campo, condicion]) => {
+    if (campo === "$or") return condicion.some((f) => coincide(doc, f));
+    return cumple(doc[campo], condicion);
+  });
+}
+
+function aplicar(doc, cambios) {
+  for (let [campo, valor] of Object.entries(cambios)) {
+    if (campo === "$inc") {
+      for (let [c, n] of Object.entries(valor)) doc[c] = (doc[c] || 0) + n;
+    } else if (campo === "$push") {
+      for (let [c, v] of Object.entries(valor)) doc[c] = (doc[c] || []).concat([v]);
+    } else if (campo === "$min") {
+      for (let [c, v] of Object.entries(valor)) if (doc[c] === undefined || doc[c] === null || v < doc[c]) doc[c] = v;
+    } else if (campo === "$set") {
+      Object.assign(doc, valor);
+    } else {
+      doc[campo] = valor;
+    }
+  }
+}
+
+function ordenar(docs, orden) {
+  if (!orden) return docs;
+
+  let [[campo, sentido]] = Object.entries(orden);
+
+  return docs.slice().sort((a, b) => (a[campo] < b[campo] ? -sentido : a[campo] > b[campo] ? sentido : 0));
+}
+
+// Value of an expression: "$campo" or "$campo.subcampo", a literal or an object of those
+function expresion(doc, expr) {
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return expr.slice(1).split(".").reduce((valor, campo) => (valor === null || valor === undefined ? undefined : valor[campo]), doc);
+  }
+  if (expr !== null && typeof expr === "object" && expr.$toDecimal !== undefined) return expresion(doc, expr.$toDecimal);
+  if (expr !== null && typeof expr === "object") {
+    let salida = {};
+    for (let [campo, e] of Object.entries(expr)) salida[campo] = expresion(doc, e);
+    return salida;
+  }
+
+  return expr;
+}
+
+// $sum of numbers stays a number, decimal strings (Decimal128 fields) add up exactly
+function agrupar(docs, { _id, ...acumuladores }) {
+  let grupos = new Map();
+
+  for (let doc of docs) {
+    let id = expresion(doc, _id);
+    let clave = JSON.stringify(id);
+
+    if (!grupos.has(clave)) grupos.set(clave, { _id: id });
+
+    let grupo = grupos.get(clave);
+
+    for (let [campo, { $sum }] of Object.entries(acumuladores)) {
+      let valor = expresion(doc, $sum);
+      grupo[campo] = typeof valor === "number" && typeof (grupo[campo] || 0) === "number"
+        ? (grupo[campo] || 0) + valor
+        : new BigNumber(grupo[campo] || 0).plus(valor || 0).toString(10);
+    }
+  }
+
+  return [...grupos.values()];
+}
+
+// Breadth-first like mongo: every document is added once, at the depth it is first reached
+function grafo(docs, doc, { startWith, connectFromField, connectToField, as, maxDepth = Infinity, depthField }) {
+  let vistos = new Set();
+  let encontrados = [];
+  let buscados = [].concat(expresion(doc, startWith));
+
+  for (let nivel = 0; nivel <= maxDepth && buscados.length > 0; nivel++) {
+    let siguientes = [];
+
+    for (let d of docs) {
+      if (vistos.has(d._id) || !buscados.some((v) => valorIgual(d[connectToField], v))) continue;
+
+      vistos.add(d._id);
+      encontrados.push(depthField ? { ...d, [depthField]: nivel } : d);
+      siguientes.push(d[connectFromField]);
+    }
+
+    buscados = siguientes;
+  }
+
+  return { ...doc, [as]: encontrados };
+}
+
+function proyectar(doc, proyeccion) {
+  let salida = {};
+
+  for (let [campo, valor] of Object.entries(proyeccion)) {
+    if (valor === false || valor === 0) continue;
+    salida[campo] = valor === true || valor === 1 ? doc[campo] : expresion(doc, valor);
+  }
+
+  return salida;
+}
+
+// Query that can be chained with sort/lean/limit/allowDiskUse and awaited
+function consulta(resolver) {
+  let orden = null;
+  let maximo = Infinity;
+
+  let q = {
+    sort(o) { orden = o; return q; },
+    lean() { return q; },
+    limit(n) { maximo = n; return q; },
+    allowDiskUse() { return q; },
+    then(ok, mal) {
+      return Promise.resolve().then(() => resolver(orden))
+        .then((r) => (Array.isArray(r) ? r.slice(0, maximo) : r))
+        .then(ok, mal);
+    }
+  };
+
+  return q;
+}
+
+function duplicado() {
+  return Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+}
+
+module.exports = function modeloMemoria({ defaults = {}, unicos = ["_id"] } = {}) {
+  let docs = [];
+  let secuencia = 0;
+
+  function buscar(filtro, orden) {
+    return ordenar(docs.filter((d) => coincide(d, filtro)), orden);
+  }
+
+  function insertar(datos) {
+    // createdAt grows with every insert so "oldest first" is well defined within one millisecond
+    let doc = { _id: crypto.randomBytes(12).toString("hex"), createdAt: new Date(Date.now() + secuencia++), ...copia(defaults), ...datos };
+
+    let repetido = unicos.map((u) => [].concat(u)).some((campos) =>
+      campos.every((c) => doc[c] !== undefined) && docs.some((d) => campos.every((c) => d[c] === doc[c])));
+
+    if (repetido) throw duplicado();
+
+    docs.push(doc);
+    return doc;
+  }
+
+  let modelo = {
+    docs,
+    collection: { name: "memoria" },
+
+    limpiar() {
+      docs.length = 0;
+    },
+
+    async create(datos) {
+      let doc = insertar(datos);
+      return { ...copia(doc), toObject: () => copia(doc) };
+    },
+
+    // ordered: false, the documents that do not collide are inserted and the error lists the others
+    async insertMany(lista) {
+      let writeErrors = [];
+
+      lista.forEach((datos, index) => {
+        try {
+          insertar(datos);
+        } catch (error) {
+          writeErrors.push({ index, code: error.code });
+        }
+      });
+
+      if (writeErrors.length > 0) throw Object.assign(duplicado(), { writeErrors });
+
+      return lista;
+    },
+
+    aggregate(etapas) {
+      return consulta(() => {
+        let lista = docs.map(copia);
+
+        for (let etapa of etapas) {
+          if (etapa.$match) lista = lista.filter((d) => coincide(d, etapa.$match));
+          else if (etapa.$limit) lista = lista.slice(0, etapa.$limit);
+          else if (etapa.$group) lista = agrupar(lista, etapa.$group);
+          else if (etapa.$graphLookup) lista = lista.map((d) => grafo(docs.map(copia), d, etapa.$graphLookup));
+          else if (etapa.$unwind) lista = lista.flatMap((d) => (expresion(d, etapa.$unwind) || []).map((v) => ({ ...d, [etapa.$unwind.slice(1)]: v })));
+          else if (etapa.$project) lista = lista.map((d) => proyectar(d, etapa.$project));
+          else throw new Error("stage not supported: " + Object.keys(etapa)[0]);
+        }
+
+        return lista;
+      });
+    },
+
+    findOne(filtro) {
+      return consulta((orden) => copia(buscar(filtro, orden)[0] || null));
+    },
+
+    findById(id) {
+      return consulta(() => copia(docs.find((d) => d._id === id) || null));
+    },
+
+    find(filtro) {
+      return consulta((orden) => buscar(filtro, orden).map(copia));
+    },
+
+    async countDocuments(filtro) {
+      return buscar(filtro).length;
+    },
+
+    async updateOne(filtro, cambios, opciones = {}) {
+      let doc = buscar(filtro)[0];
+
+      if (!doc && opciones.upsert) {
+        let nuevo = {};
+        for (let [campo, valor] of Object.entries(filtro)) if (!campo.startsWith("$")) nuevo[campo] = valor;
+        aplicar(nuevo, cambios);
+        insertar(nuevo);
+
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+      }
+
+      if (doc) aplicar(doc, cambios);
+
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+
+    async updateMany(filtro, cambios) {
+      let lista = buscar(filtro);
+      for (let doc of lista) aplicar(doc, cambios);
+
+      return { matchedCount: lista.length, modifiedCount: lista.length };
+    },
+
+    async deleteMany(filtro) {
+      let quedan = docs.filter((d) => !coincide(d, filtro));
+      let borrados = docs.length - quedan.length;
+
+      docs.splice(0, docs.length, ...quedan);
+
+      return { deletedCount: borrados };
+    },
+
+    findOneAndUpdate(filtro, cambios, opciones = {}) {
+      return consulta(() => {
+        let doc = buscar(filtro, opciones.sort)[0];
+
+        if (!doc && opciones.upsert) {
+          // an upsert whose filter misses an existing _id collides with it, as on a unique index
+          if (filtro._id !== undefined && docs.some((d) => d._id === filtro._id)) {
+            throw duplicado();
+          }
+
+          doc = { ...copia(defaults) };
+          for (let [campo, valor] of Object.entries(filtro)) if (!campo.startsWith("$")) doc[campo] = valor;
+          docs.push(doc);
+        } else if (!doc) {
+          return null;
+        }
+
+        let antes = copia(doc);
+        aplicar(doc, cambios);
+
+        return opciones.new ? copia(doc) : antes;
+      });
+    }
+  };
+
+  return modelo;
+};
@@ -0,0 +1,152 @@
+/**
+ * Points ledger: balanced entries, idempotent posting and reconciliation against binari_system
+ */
+
+jest.mock("../models/pointsLedger.js", () => require("./modeloMemoria.js")({ unicos: ["_id", ["key", "account"]] }));
+jest.mock("../models/binario.js", () => require("./modeloMemoria.js")());
+jest.mock("../services/push.js", () => ({ emitir: jest.fn(), cambiosUsuario: jest.fn() }));
+
+const BigNumber = require("bignumber.js");
+
+const PointsLedger = require("../models/pointsLedger.js");
+const binario = require("../models/binario.js");
+const ledger = require("../services/pointsLedger.js");
+
+const WALLET = "0xabcabcabcabcabcabcabcabcabcabcabcabcabca";
+const OTRA = "0x1212121212121212121212121212121212121212";
+
+function sumar(entradas) {
+  return entradas.reduce((total, e) => total.plus(e.delta), new BigNumber(0)).toString(10);
+}
+
+// Entries of a write made outside the service, moving lPuntos from 0 to `valor`
+function asientosDe(valor) {
+  return [
+    { txId: "fuera", account: WALLET + ":lPuntos", wallet: WALLET, field: "lPuntos", direction: "credit", amount: valor, delta: valor },
+    { txId: "fuera", account: "system:network", wallet: null, field: null, direction: "debit", amount: valor, delta: "-" + valor }
+  ];
+}
+
+describe("pointsLedger", () => {
+  beforeEach(async () => {
+    PointsLedger.limpiar();
+    binario.limpiar();
+
+    await binario.create({ wallet: WALLET, lPuntos: "0", rPuntos: "0", lReclamados: "0", rReclamados: "0" });
+  });
+
+  test("every write posts a credit and a debit that cancel out", async () => {
+    await ledger.actualizar({ wallet: WALLET }, { lPuntos: "100", rPuntos: "40" }, { reason: "deposit", reference: "0xtx", key: "deposit:1" });
+
+    let porMovimiento = new Map();
+    for (let e of PointsLedger.docs) porMovimiento.set(e.txId, (porMovimiento.get(e.txId) || []).concat([e]));
+
+    expect(PointsLedger.docs).toHaveLength(4);
+    expect(porMovimiento.size).toBe(2);
+
+    for (let entradas of porMovimiento.values()) {
+      expect(entradas.map((e) => e.direction).sort()).toEqual(["credit", "debit"]);
+      expect(sumar(entradas)).toBe("0");
+    }
+
+    expect(await ledger.saldos(WALLET)).toMatchObject({ lPuntos: "100", rPuntos: "40", lReclamados: "0" });
+    expect((await ledger.conciliar({ wallet: WALLET })).differences).toEqual([]);
+  });
+
+  test("a movement posted twice with the same key counts once", async () => {
+    let origen = { reason: "binary withdrawal", reference: "0xtx", key: "withdrawal:1:apply" };
+
+    expect(await ledger.registrarCambios(WALLET, { lReclamados: "0" }, { lReclamados: "25" }, origen)).toBe(1);
+    await ledger.registrarCambios(WALLET, { lReclamados: "0" }, { lReclamados: "25" }, origen);
+
+    expect(PointsLedger.docs).toHaveLength(2);
+    expect((await ledger.saldos(WALLET)).lReclamados).toBe("25");
+  });
+
+  test("entries go in before the write, a write that fails is completed by a retry with the same key", async () => {
+    let origen = { reason: "deposit", reference: "0xtx", key: "deposit:2" };
+    let escribir = binario.findOneAndUpdate;
+
+    binario.findOneAndUpdate = jest.fn(() => ({ lean: async () => { throw new Error("connection lost"); } }));
+    await expect(ledger.actualizar({ wallet: WALLET }, { lPuntos: "100" }, origen)).rejects.toThrow("connection lost");
+    binario.findOneAndUpdate = escribir;
+
+    // the entries are there, the document is behind and reconciliation shows it
+    expect(PointsLedger.docs).toHaveLength(2);
+    expect((await ledger.conciliar({ wallet: WALLET })).differences).toEqual([
+      { wallet: WALLET, field: "lPuntos", stored: "0", ledger: "100", difference: "-100" }
+    ]);
+
+    let antes = await ledger.actualizar({ wallet: WALLET }, { lPuntos: "100" }, origen);
+
+    expect(antes.lPuntos).toBe("0");
+    expect(PointsLedger.docs).toHaveLength(2);
+    expect((await ledger.conciliar({ wallet: WALLET })).differences).toEqual([]);
+  });
+
+  test("a write that lost a race drops its entries and is computed again from the new values", async () => {
+    let escribir = binario.findOneAndUpdate;
+    let primera = true;
+
+    // another write moves lPuntos to 30 between the read and the write, once
+    binario.findOneAndUpdate = jest.fn((filtro, cambios, opciones) => {
+      if (primera) {
+        primera = false;
+        binario.docs[0].lPuntos = "30";
+        PointsLedger.docs.push(...asientosDe("30"));
+      }
+
+      return escribir(filtro, cambios, opciones);
+    });
+
+    let antes = await ledger.actualizar({ wallet: WALLET }, { lPuntos: "100" }, { reason: "deposit", reference: "0xtx", key: "deposit:3" });
+    binario.findOneAndUpdate = escribir;
+
+    expect(antes.lPuntos).toBe("30");
+    expect((await binario.findOne({ wallet: WALLET })).lPuntos).toBe("100");
+    expect(PointsLedger.docs.filter((e) => e.key === "deposit:3:lPuntos").map((e) => e.delta)).toEqual(["70", "-70"]);
+    expect((await ledger.conciliar({ wallet: WALLET })).differences).toEqual([]);
+  });
+
+  test("reconciliation reports writes that bypassed the ledger and posts them only when asked", async () => {
+    await ledger.actualizar({ wallet: WALLET }, { lPuntos: "100" }, { reason: "deposit", reference: "0xtx" });
+
+    // written straight to binari_system, no entries
+    await binario.updateOne({ wallet: WALLET }, { lPuntos: "130", rExtra: "7.5" });
+    await binario.create({ wallet: OTRA, lPuntos: "3" });
+
+    let informe = await ledger.conciliar();
+
+    expect(informe.wallets).toBe(2);
+    expect(informe.posted).toBe(0);
+    expect(informe.differences).toEqual(expect.arrayContaining([
+      { wallet: WALLET, field: "lPuntos", stored: "130", ledger: "100", difference: "30" },
+      { wallet: WALLET, field: "rExtra", stored: "7.5", ledger: "0", difference: "7.5" },
+      { wallet: OTRA, field: "lPuntos", stored: "3", ledger: "0", difference: "3" }
+    ]));
+    expect(informe.differences).toHaveLength(3);
+
+    // only the wallet asked for
+    expect((await ledger.conciliar({ wallet: OTRA })).differences).toHaveLength(1);
+
+    let ajuste = await ledger.conciliar({ ajustar: true, actor: "0xadmin" });
+
+    expect(ajuste.posted).toBe(3);
+    expect(PointsLedger.docs.filter((e) => e.account === "system:reconciliation")).toHaveLength(3);
+    expect(PointsLedger.docs.every((e) => e.reason !== "reconciliation" || e.reference.startsWith("reconcile:0xadmin:"))).toBe(true);
+    expect(sumar(PointsLedger.docs)).toBe("0");
+
+    expect((await ledger.conciliar()).differences).toEqual([]);
+    expect((await ledger.saldos(WALLET)).lPuntos).toBe("130");
+  });
+
+  test("the statement carries the running balance of each field", async () => {
+    await ledger.registrarCambios(WALLET, {}, { lPuntos: "10" }, { reason: "a" });
+    await ledger.registrarCambios(WALLET, { lPuntos: "10" }, { lPuntos: "4" }, { reason: "b" });
+
+    let { entries, closing } = await ledger.extracto(WALLET);
+
+    expect(entries.map((e) => [e.direction, e.amount, e.balance])).toEqual([["credit", "10", "10"], ["debit", "6", "4"]]);
+    expect(closing.lPuntos).toBe("4");
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * rpcPool against local JSON-RPC stubs: failover, retries, rate limit and health checks
+ */
+
+const http = require("http");
+
+const crearPoolRpc = require("../services/rpcPool.js");
+
+// JSON-RPC node on a random port, `responder(llamada)` returns { status } for an HTTP error,
+// { error } for a JSON-RPC error or { result }
+async function nodoFalso(responder) {
+  let llamadas = [];
+
+  let servidor = http.createServer((req, res) => {
+    let cuerpo = "";
+
+    req.on("data", (parte) => { cuerpo += parte; });
+    req.on("end", () => {
+      let payload = JSON.parse(cuerpo);
+      llamadas.push(payload);
+
+      let respuesta = responder(payload);
+
+      if (respuesta.status) {
+        res.writeHead(respuesta.status);
+        return res.end();
+      }
+
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ jsonrpc: "2.0", id: payload.id, ...respuesta }));
+    });
+  });
+
+  await new Promise((resolve) => servidor.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: "http://127.0.0.1:" + servidor.address().port + "/rpc",
+    llamadas,
+    cerrar: () => new Promise((resolve) => servidor.close(resolve))
+  };
+}
+
+function llamada(method, params = []) {
+  return { jsonrpc: "2.0", id: 1, method, params };
+}
+
+describe("rpcPool", () => {
+  let nodos = [];
+
+  async function nodo(responder) {
+    let n = await nodoFalso(responder);
+    nodos.push(n);
+    return n;
+  }
+
+  afterEach(async () => {
+    await Promise.all(nodos.map((n) => n.cerrar()));
+    nodos = [];
+  });
+
+  test("a read failing on one endpoint is answered by the next one", async () => {
+    let caido = await nodo(() => ({ status: 503 }));
+    let sano = await nodo(() => ({ result: "0x10" }));
+
+    // the failing endpoint is tried first while both are unscored
+    let pool = crearPoolRpc({ urls: [caido.url, sano.url] });
+    let respuesta = await pool.request(llamada("eth_blockNumber"));
+
+    expect(respuesta.result).toBe("0x10");
+    expect(caido.llamadas).toHaveLength(1);
+    expect(sano.llamadas).toHaveLength(1);
+  });
+
+  test("JSON-RPC errors of the node are retried, errors of the request are not", async () => {
+    let limitado = await nodo(() => ({ error: { code: -32005, message: "limit exceeded" } }));
+    let sano = await nodo((p) => (p.method === "eth_call" ? { error: { code: 3, message: "execution reverted" } } : { result: "0x1" }));
+
+    let pool = crearPoolRpc({ urls: [limitado.url, sano.url] });
+
+    expect((await pool.request(llamada("eth_chainId"))).result).toBe("0x1");
+    expect(limitado.llamadas).toHaveLength(1);
+
+    // a revert is the answer, whatever node gives it
+    let antes = limitado.llamadas.length + sano.llamadas.length;
+    let revert = await pool.request(llamada("eth_call"));
+
+    expect(revert.error.message).toBe("execution reverted");
+    expect(limitado.llamadas.length + sano.llamadas.length).toBe(antes + 1);
+  });
+
+  test("a failing endpoint is paused and moves behind the healthy ones", async () => {
+    let caido = await nodo(() => ({ status: 500 }));
+    let sano = await nodo(() => ({ result: "0x1" }));
+
+    let pool = crearPoolRpc({ urls: [caido.url, sano.url], fallosSeguidos: 1 });
+
+    await pool.request(llamada("eth_blockNumber"));
+    await pool.request(llamada("eth_blockNumber"));
+
+    let [primero, segundo] = pool.estado().endpoints;
+
+    expect(primero.url).toBe(new URL(sano.url).origin);
+    expect(segundo.paused).toBe(true);
+    expect(segundo.errors).toBe(1);
+    expect(caido.llamadas).toHaveLength(1);
+  });
+
+  test("transactions are sent once, never to a second endpoint", async () => {
+    let caido = await nodo(() => ({ status: 502 }));
+    let sano = await nodo(() => ({ result: "0xabc" }));
+
+    let pool = crearPoolRpc({ urls: [caido.url, sano.url] });
+
+    await expect(pool.request(llamada("eth_sendRawTransaction", ["0x00"]))).rejects.toThrow(/1 endpoint\(s\): HTTP 502/);
+    expect(caido.llamadas).toHaveLength(1);
+    expect(sano.llamadas).toHaveLength(0);
+  });
+
+  test("a read gives up after the configured retries", async () => {
+    let a = await nodo(() => ({ status: 500 }));
+    let b = await nodo(() => ({ status: 500 }));
+    let c = await nodo(() => ({ status: 500 }));
+
+    let pool = crearPoolRpc({ urls: [a.url, b.url, c.url], reintentos: 1 });
+
+    await expect(pool.request(llamada("eth_blockNumber"))).rejects.toThrow(/2 endpoint\(s\)/);
+    expect(a.llamadas.length + b.llamadas.length + c.llamadas.length).toBe(2);
+  });
+
+  test("requests over maxRps wait for the token bucket of the endpoint", async () => {
+    let sano = await nodo(() => ({ result: "0x1" }));
+    let pool = crearPoolRpc({ urls: [sano.url], maxRps: 5 });
+
+    let inicio = Date.now();
+    await Promise.all(Array.from({ length: 10 }, () => pool.request(llamada("eth_blockNumber"))));
+    let ms = Date.now() - inicio;
+
+    // 5 tokens at start, the other 5 are refilled at 5 per second
+    expect(sano.llamadas).toHaveLength(10);
+    expect(ms).toBeGreaterThanOrEqual(800);
+  });
+
+  test("the health check deprioritizes lagging endpoints and resumes paused ones", async () => {
+    let bloque = { adelantado: 1000, atrasado: 900 };
+    let caido = true;
+
+    let adelantado = await nodo(() => (caido ? { status: 500 } : { result: "0x" + bloque.adelantado.toString(16) }));
+    let atrasado = await nodo(() => ({ result: "0x" + bloque.atrasado.toString(16) }));
+
+    let pool = crearPoolRpc({ urls: [adelantado.url, atrasado.url], fallosSeguidos: 1, maxRetraso: 20 });
+
+    await pool.revisar();
+
+    let estado = pool.estado();
+    let porUrl = (url) => estado.endpoints.find((e) => e.url === new URL(url).origin);
+
+    expect(porUrl(adelantado.url).paused).toBe(true);
+    expect(porUrl(adelantado.url).lagging).toBe(true); // no block read
+    expect(porUrl(atrasado.url).lastBlock).toBe(900);
+    expect(estado.lastHealthCheck).toBeInstanceOf(Date);
+
+    caido = false;
+    await pool.revisar();
+
+    estado = pool.estado();
+
+    expect(porUrl(adelantado.url).paused).toBe(false);
+    expect(porUrl(adelantado.url).lagging).toBe(false);
+    expect(porUrl(atrasado.url).lagging).toBe(true);
+    expect(estado.endpoints[0].url).toBe(new URL(adelantado.url).origin);
+    expect(estado.endpoints[0].score).toBeLessThan(estado.endpoints[1].score);
+  });
+
+  test("enTodos asks every endpoint and reports each answer", async () => {
+    let a = await nodo(() => ({ result: null }));
+    let b = await nodo(() => ({ status: 500 }));
+
+    let pool = crearPoolRpc({ urls: [a.url, b.url] });
+    let respuestas = await pool.enTodos(llamada("eth_getTransactionReceipt", ["0x01"]));
+
+    expect(respuestas[0]).toEqual({ endpoint: new URL(a.url).origin, response: expect.objectContaining({ result: null }) });
+    expect(respuestas[1]).toEqual({ endpoint: new URL(b.url).origin, error: "HTTP 500" });
+  });
+});
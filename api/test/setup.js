@@ -0,0 +1,2 @@
+// Only errors reach the test output, the logger reads the level when it is first required
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
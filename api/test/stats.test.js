@@ -0,0 +1,64 @@
+/**
+ * Platform statistics: calendar days of the configured zone
+ */
+
+jest.mock("../models/dailyStat.js", () => require("./modeloMemoria.js")({ unicos: ["_id", "day"] }));
+jest.mock("../models/withdrawal.js", () => require("./modeloMemoria.js")());
+jest.mock("../models/binario.js", () => require("./modeloMemoria.js")());
+
+const DailyStat = require("../models/dailyStat.js");
+const Withdrawal = require("../models/withdrawal.js");
+const binario = require("../models/binario.js");
+const crearEstadisticas = require("../services/stats.js");
+
+// setstate() fails, the day is recorded with chain null
+const contrato = { methods: { setstate: () => ({ call: async () => { throw new Error("rpc down"); } }) } };
+
+// America/Bogota is UTC-5 all year: 2024-01-02T03:00Z is still the evening of January 1st
+const NOCHE = new Date("2024-01-02T03:00:00Z");
+
+function retiro(confirmedAt, retiroBinario) {
+  return Withdrawal.create({ status: "confirmed", confirmedAt: new Date(confirmedAt), retiroBinario });
+}
+
+describe("stats", () => {
+  beforeEach(async () => {
+    DailyStat.limpiar();
+    Withdrawal.limpiar();
+    binario.limpiar();
+
+    await binario.create({ wallet: "0xa", registered: true, invested: "100", retirableA: "4" });
+
+    await retiro("2024-01-01T04:59:59Z", "3"); // December 31st in Bogota
+    await retiro("2024-01-01T05:00:00Z", "5"); // first second of January 1st
+    await retiro("2024-01-02T04:59:59Z", "7"); // last second of January 1st
+    await retiro("2024-01-02T05:00:00Z", "11"); // January 2nd
+  });
+
+  test("an instant after midnight UTC is recorded on the local day and counts only that day's withdrawals", async () => {
+    let stat = await crearEstadisticas({ contrato, zona: "America/Bogota" }).registrar(NOCHE);
+
+    expect(stat).toMatchObject({ day: "2024-01-01", binaryPaid: "12", withdrawals: 2, binaryPaidTotal: "15", registered: 1, chain: null });
+    expect(DailyStat.docs.map((d) => d.day)).toEqual(["2024-01-01"]);
+  });
+
+  test("the same instant in UTC falls on the next day", async () => {
+    let stat = await crearEstadisticas({ contrato, zona: "UTC" }).registrar(NOCHE);
+
+    expect(stat).toMatchObject({ day: "2024-01-02", binaryPaid: "18", withdrawals: 2, binaryPaidTotal: "26" });
+  });
+
+  test("recording the day again overwrites it, and series limits are read as local days", async () => {
+    let estadisticas = crearEstadisticas({ contrato, zona: "America/Bogota" });
+
+    await estadisticas.registrar(NOCHE);
+    await estadisticas.registrar(new Date("2024-01-02T05:00:00Z"));
+    await estadisticas.registrar(NOCHE);
+
+    expect(DailyStat.docs.map((d) => d.day).sort()).toEqual(["2024-01-01", "2024-01-02"]);
+
+    let serie = await estadisticas.serie({ bucket: "day", desde: NOCHE, hasta: NOCHE });
+
+    expect(serie).toEqual([expect.objectContaining({ bucket: "2024-01-01", from: "2024-01-01", to: "2024-01-01", days: 1, binaryPaid: "12" })]);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Tier configuration edits
+ */
+
+jest.mock("../models/tierConfig.js", () => require("./modeloMemoria.js")({ defaults: { isActive: true } }));
+jest.mock("../models/user.js", () => require("./modeloMemoria.js")());
+
+const TierConfig = require("../models/tierConfig.js");
+const { editarTier } = require("../services/tiers.js");
+
+describe("tiers", () => {
+  beforeEach(() => TierConfig.limpiar());
+
+  test("an existing tier is edited, whatever the case of its name", async () => {
+    let editado = await editarTier("gold", { minInvestment: 1200, color: "ignored" });
+
+    expect(editado.result).toBe(true);
+    expect(editado.data).toMatchObject({ tierName: "GOLD", minInvestment: 1200, maxInvestment: 9999.99 });
+    expect(editado.data.color).toBeUndefined();
+  });
+
+  test("an unknown tier name is rejected instead of creating a tier", async () => {
+    expect(await editarTier("GLOD", { minInvestment: 1200 })).toEqual({ result: false, notFound: true, message: "unknown tier GLOD" });
+    expect(TierConfig.docs.map((t) => t.tierName)).toEqual(["BRONZE", "SILVER", "GOLD", "PLATINUM"]);
+  });
+
+  test("invalid values are rejected before anything is written", async () => {
+    expect(await editarTier("GOLD", { minInvestment: -1 })).toEqual({ result: false, message: "not valid minInvestment" });
+    expect(await editarTier("GOLD", { permissions: "all" })).toEqual({ result: false, message: "permissions must be an array" });
+    expect(TierConfig.docs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Genealogy export: stored values that would break the GraphML and DOT markup
+ */
+
+jest.mock("../models/binario.js", () => require("./modeloMemoria.js")());
+
+const { Writable } = require("stream");
+
+const binario = require("../models/binario.js");
+const { preparar, escribir } = require("../services/treeExport.js");
+
+const VACIA = "0x0000000000000000000000000000000000000000";
+const RARA = "0xa\"b\\c<&>";
+
+// Response stand-in that keeps what was written
+function respuesta() {
+  let partes = [];
+  let salida = new Writable({ write(parte, codificacion, listo) { partes.push(parte.toString()); listo(); } });
+
+  salida.texto = () => partes.join("");
+  return salida;
+}
+
+async function exportar(formato) {
+  let salida = respuesta();
+  let resumen = await escribir(await preparar("0xRAIZ"), formato, salida);
+
+  return { resumen, texto: salida.texto() };
+}
+
+describe("treeExport", () => {
+  beforeEach(async () => {
+    binario.limpiar();
+
+    await binario.create({ wallet: "0xraiz", up: VACIA, left: RARA, right: VACIA, idBlock: 1, registered: true, invested: "10", lPersonas: "1" });
+    await binario.create({ wallet: RARA, up: "0xraiz", left: VACIA, right: VACIA, idBlock: 2, registered: false, invested: "1<2 & \"3\">", rPersonas: "2\n3" });
+  });
+
+  test("GraphML escapes ids, edges and data values", async () => {
+    let { resumen, texto } = await exportar("graphml");
+
+    expect(resumen).toMatchObject({ nodes: 2, levels: 1, cycles: 0, missing: 0 });
+    expect(texto).toContain("<node id=\"0xa&quot;b\\c&lt;&amp;&gt;\">");
+    expect(texto).toContain("<data key=\"invested\">1&lt;2 &amp; &quot;3&quot;&gt;</data>");
+    expect(texto).toContain("<edge source=\"0xraiz\" target=\"0xa&quot;b\\c&lt;&amp;&gt;\"><data key=\"side\">0</data></edge>");
+
+    // nothing but the markup itself opens a tag or an entity
+    let sinMarcas = texto.replace(/<\/?[a-z?][^<>]*>/g, "");
+    expect(sinMarcas).not.toMatch(/[<>]|&(?!amp;|lt;|gt;|quot;)/);
+  });
+
+  test("DOT escapes quotes, backslashes and line breaks inside quoted ids and labels", async () => {
+    let { texto } = await exportar("dot");
+    let escapada = "0xa\\\"b\\\\c<&>";
+
+    expect(texto).toContain("  \"" + escapada + "\" [label=\"" + escapada.slice(0, 10) + "...");
+    expect(texto).toContain("\\nL 0 / R 2\\n3\"");
+    expect(texto).toContain("  \"0xraiz\" -> \"" + escapada + "\" [label=\"L\"];\n");
+
+    // every quoted string closes on its own line
+    for (let linea of texto.split("\n")) {
+      expect(linea.replace(/\\\\|\\"/g, "").split("\"").length % 2).toBe(1);
+    }
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tree integrity: anomalies found by the scan, plan ids and conditioned repairs
+ */
+
+jest.mock("../models/treeRepair.js", () => require("./modeloMemoria.js")());
+
+const TreeRepair = require("../models/treeRepair.js");
+const binario = require("./modeloMemoria.js")();
+const crearIntegridad = require("../services/treeIntegrity.js");
+
+const VACIA = "0x0000000000000000000000000000000000000000";
+
+function nodo(wallet, up, left, right, idBlock) {
+  return { wallet, up, left, right, idBlock };
+}
+
+// r -> (a, b), a -> (c, -)
+async function sano() {
+  for (let n of [
+    nodo("r", VACIA, "a", "b", 1),
+    nodo("a", "r", "c", VACIA, 2),
+    nodo("b", "r", VACIA, VACIA, 3),
+    nodo("c", "a", VACIA, VACIA, 4)
+  ]) await binario.create(n);
+}
+
+async function editar(wallet, cambios) {
+  await binario.updateOne({ wallet }, cambios);
+}
+
+function cambiosDe(plan) {
+  return plan.map((c) => [c.wallet, c.field, c.after, c.problem]);
+}
+
+describe("treeIntegrity", () => {
+  let integridad;
+
+  beforeEach(async () => {
+    binario.limpiar();
+    TreeRepair.limpiar();
+    integridad = crearIntegridad({ binario, contrato: null, raiz: "R" });
+    await sano();
+  });
+
+  test("a consistent tree has no problems and an empty plan", async () => {
+    let escaneo = await integridad.escanear();
+
+    expect(escaneo.plan).toEqual([]);
+    expect(escaneo.summary).toMatchObject({ wallets: 4, rootFound: true, changes: 0, multipleParents: 0, cycle: 0, upMismatch: 0, unreachable: 0, missingChild: 0 });
+  });
+
+  test("multipleParents keeps the parent named in up and detaches the others", async () => {
+    await editar("b", { right: "c" });
+
+    let { problems, plan } = await integridad.escanear();
+
+    expect(problems.multipleParents).toEqual([{ wallet: "c", parents: [{ wallet: "a", side: "left" }, { wallet: "b", side: "right" }], kept: "a" }]);
+    expect(cambiosDe(plan)).toEqual([["b", "right", VACIA, "multipleParents"]]);
+  });
+
+  test("a cycle is cut at its oldest node and what hangs from it is reported unreachable", async () => {
+    await binario.create(nodo("x", "y", "y", VACIA, 10));
+    await binario.create(nodo("y", "x", "x", VACIA, 11));
+
+    let { problems, plan } = await integridad.escanear();
+
+    expect(problems.cycle).toHaveLength(1);
+    expect(problems.cycle[0].cut).toEqual({ wallet: "y", side: "left", child: "x" });
+    expect(problems.unreachable).toEqual([{ wallet: "x", size: 2 }]);
+    expect(problems.upMismatch).toEqual([{ wallet: "x", up: "y", parent: VACIA }]);
+    expect(cambiosDe(plan)).toEqual([["x", "up", VACIA, "upMismatch"], ["y", "left", VACIA, "cycle"]]);
+  });
+
+  test("upMismatch points up to the node that holds the wallet", async () => {
+    await editar("c", { up: "b" });
+
+    let { problems, plan } = await integridad.escanear();
+
+    expect(problems.upMismatch).toEqual([{ wallet: "c", up: "b", parent: "a" }]);
+    expect(plan).toEqual([{ wallet: "c", field: "up", before: "b", after: "a", problem: "upMismatch", reason: "parent in the tree is a" }]);
+  });
+
+  test("missingChild is reported without a change, the child has to be read from the chain", async () => {
+    await editar("b", { left: "fantasma" });
+
+    let { problems, plan } = await integridad.escanear();
+
+    expect(problems.missingChild).toEqual([{ wallet: "b", side: "left", child: "fantasma" }]);
+    expect(plan).toEqual([]);
+  });
+
+  test("unreachable lists subtrees without a parent outside the root", async () => {
+    await binario.create(nodo("o", VACIA, "p", VACIA, 20));
+    await binario.create(nodo("p", "o", VACIA, VACIA, 21));
+
+    let { problems, plan } = await integridad.escanear();
+
+    expect(problems.unreachable).toEqual([{ wallet: "o", size: 2 }]);
+    expect(plan).toEqual([]);
+  });
+
+  test("the plan id depends on the changes, and a plan made before the tree changed is not applied", async () => {
+    await editar("c", { up: "b" });
+
+    let primero = await integridad.escanear();
+    expect((await integridad.escanear()).planId).toBe(primero.planId);
+
+    await editar("b", { up: "a" });
+
+    let respuesta = await integridad.aplicar({ planId: primero.planId, actor: "0xadmin" });
+
+    expect(respuesta.result).toBe(false);
+    expect(respuesta.planId).not.toBe(primero.planId);
+    expect(TreeRepair.docs).toHaveLength(0);
+    expect((await binario.findOne({ wallet: "c" })).up).toBe("b");
+  });
+
+  test("applying the reviewed plan writes it, records it and leaves a clean tree", async () => {
+    await editar("b", { right: "c" });
+    await editar("c", { up: "b" });
+
+    let { planId, plan } = await integridad.escanear();
+    let { result, data } = await integridad.aplicar({ planId, actor: "0xadmin" });
+
+    expect(result).toBe(true);
+    expect(data).toMatchObject({ planId, actor: "0xadmin", applied: plan.length, skipped: 0 });
+    expect(data.changes.every((c) => c.applied)).toBe(true);
+    expect((await integridad.escanear()).plan).toEqual([]);
+  });
+
+  test("a field changed between the scan and its write is skipped", async () => {
+    await editar("c", { up: "b" });
+
+    let { planId } = await integridad.escanear();
+    let escribir = binario.updateOne;
+
+    // someone else fixes c right before the repair writes it
+    binario.updateOne = jest.fn(async (filtro, cambios) => {
+      await escribir({ wallet: "c" }, { up: "otro" });
+      return await escribir(filtro, cambios);
+    });
+
+    let { data } = await integridad.aplicar({ planId, actor: "0xadmin" });
+    binario.updateOne = escribir;
+
+    expect(data).toMatchObject({ applied: 0, skipped: 1 });
+    expect(data.changes[0]).toMatchObject({ applied: false, error: "value changed after the scan" });
+    expect((await binario.findOne({ wallet: "c" })).up).toBe("otro");
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tree queries: subtree pages followed through their cursors, upline paths and their cycles,
+ * search pages
+ */
+
+jest.mock("../models/binario.js", () => require("./modeloMemoria.js")());
+
+const binario = require("../models/binario.js");
+const { subarbol, caminoUpline, buscar } = require("../services/treeQuery.js");
+
+const VACIA = "0x0000000000000000000000000000000000000000";
+
+function nodo(wallet, up, left, right, idBlock) {
+  return { wallet, up, left, right, idBlock, registered: true, invested: "0" };
+}
+
+// r -> (a, b), a -> (c, d), c -> (-, e)
+async function red() {
+  for (let n of [
+    nodo("r", VACIA, "a", "b", 1),
+    nodo("a", "r", "c", "d", 2),
+    nodo("b", "r", VACIA, VACIA, 3),
+    nodo("c", "a", VACIA, "e", 4),
+    nodo("d", "a", VACIA, VACIA, 5),
+    nodo("e", "c", VACIA, VACIA, 6)
+  ]) await binario.create(n);
+}
+
+describe("treeQuery", () => {
+  beforeEach(async () => {
+    binario.limpiar();
+    await red();
+  });
+
+  describe("subarbol", () => {
+    test("nodes below the depth come back truncated and their cursor continues at the same level and side", async () => {
+      let pagina = await subarbol("R", { depth: 1 });
+
+      expect(pagina).toMatchObject({ result: true, depth: 1, nodes: 3, truncated: 2 });
+      expect(pagina.data.left).toMatchObject({ wallet: "a", hand: 0, level: 1 });
+      expect(pagina.data.right).toMatchObject({ wallet: "b", hand: 1, level: 1, left: null, right: null });
+
+      let { left: c, right: d } = pagina.data.left;
+
+      expect(c).toEqual({ wallet: "c", hand: 0, truncated: true, cursor: expect.any(String) });
+      expect(d).toMatchObject({ wallet: "d", hand: 1, truncated: true });
+
+      let siguiente = await subarbol(null, { depth: 1, cursor: c.cursor });
+
+      expect(siguiente).toMatchObject({ result: true, nodes: 2, truncated: 0 });
+      expect(siguiente.data).toMatchObject({ wallet: "c", hand: 0, level: 2, left: null });
+      expect(siguiente.data.right).toMatchObject({ wallet: "e", hand: 1, level: 3, left: null, right: null });
+
+      // the cursor of the right child keeps its side
+      expect((await subarbol(null, { depth: 1, cursor: d.cursor })).data).toMatchObject({ wallet: "d", hand: 1, level: 2 });
+    });
+
+    test("a cursor that does not decode to a wallet, side and level is rejected", async () => {
+      let ajeno = Buffer.from(JSON.stringify({ w: "c", h: 2, n: 1 })).toString("base64url");
+
+      expect(await subarbol(null, { cursor: "no es un cursor" })).toEqual({ result: false, message: "not valid cursor" });
+      expect(await subarbol(null, { cursor: ajeno })).toEqual({ result: false, message: "not valid cursor" });
+    });
+  });
+
+  describe("caminoUpline", () => {
+    test("the path goes up to the root with the side each ancestor holds the wallet on", async () => {
+      let upline = await caminoUpline("E");
+
+      expect(upline).toMatchObject({ result: true, wallet: "e", depth: 3, root: "r", cycle: null, broken: null });
+      expect(upline.path).toEqual([
+        { wallet: "c", side: 1, idBlock: 4, depth: 1 },
+        { wallet: "a", side: 0, idBlock: 2, depth: 2 },
+        { wallet: "r", side: 0, idBlock: 1, depth: 3 }
+      ]);
+    });
+
+    test("a cycle through the wallet itself is flagged and ends the walk", async () => {
+      await binario.create(nodo("x", "z", "y", VACIA, 10));
+      await binario.create(nodo("y", "x", "z", VACIA, 11));
+      await binario.create(nodo("z", "y", "x", VACIA, 12));
+
+      let upline = await caminoUpline("y");
+
+      expect(upline.cycle).toEqual(["y", "x", "z", "y"]);
+      expect(upline.path.map((p) => p.wallet)).toEqual(["x", "z"]);
+      expect(upline.root).toBeNull();
+    });
+
+    test("a cycle above the wallet is flagged at the ancestor reached a second time", async () => {
+      // w hangs from x, and x and y are each other's upline
+      await binario.create(nodo("w", "x", VACIA, VACIA, 20));
+      await binario.create(nodo("x", "y", "w", "y", 21));
+      await binario.create(nodo("y", "x", "x", VACIA, 22));
+
+      let upline = await caminoUpline("w");
+
+      expect(upline.cycle).toEqual(["x", "y", "x"]);
+      expect(upline.path.map((p) => [p.wallet, p.side])).toEqual([["x", 0], ["y", 0]]);
+      expect(upline).toMatchObject({ depth: 2, root: null, broken: null });
+    });
+
+    test("an upline missing from the collection is reported as broken", async () => {
+      await binario.updateOne({ wallet: "a" }, { up: "fantasma" });
+
+      let upline = await caminoUpline("c");
+
+      expect(upline.broken).toEqual({ wallet: "a", up: "fantasma", message: "upline not found" });
+      expect(upline.path.map((p) => p.wallet)).toEqual(["a"]);
+      expect(upline.cycle).toBeNull();
+    });
+  });
+
+  describe("buscar", () => {
+    const CON_AB = ["0xab00", "0xab11", "0xab22", "0xab33", "0xab3f"];
+
+    beforeEach(async () => {
+      for (let [i, wallet] of CON_AB.concat(["0xcd00", "0xaa3f"]).entries()) {
+        await binario.create({ ...nodo(wallet, "r", VACIA, VACIA, 100 + i), referer: "r" });
+      }
+    });
+
+    test("pages of a prefix follow each other through next without repeating or skipping wallets", async () => {
+      let vistos = [];
+      let despuesDe = null;
+      let paginas = 0;
+
+      do {
+        let pagina = await buscar({ prefijo: "ab", despuesDe, limite: 2 });
+
+        vistos.push(...pagina.data.map((d) => d.wallet));
+        despuesDe = pagina.next;
+        paginas++;
+      } while (despuesDe !== null);
+
+      expect(vistos).toEqual(CON_AB);
+      expect(paginas).toBe(3);
+    });
+
+    test("a full last page still returns next, and the page after it is empty", async () => {
+      let pagina = await buscar({ prefijo: "0xab", despuesDe: "0xab11", limite: 3 });
+
+      expect(pagina.data.map((d) => d.wallet)).toEqual(["0xab22", "0xab33", "0xab3f"]);
+      expect(pagina.next).toBe("0xab3f");
+      expect(await buscar({ prefijo: "0xab", despuesDe: pagina.next, limite: 3 })).toEqual({ result: true, data: [], next: null });
+    });
+
+    test("prefix and suffix together only match wallets with both", async () => {
+      let pagina = await buscar({ prefijo: "ab", sufijo: "3f" });
+
+      expect(pagina.data.map((d) => d.wallet)).toEqual(["0xab3f"]);
+      expect(pagina.next).toBeNull();
+    });
+  });
+});
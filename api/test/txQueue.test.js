@@ -0,0 +1,276 @@
+/**
+ * Transaction queue state machine over in-memory tx_jobs / tx_leases and a fake chain
+ */
+
+jest.mock("../models/txJob.js", () => require("./modeloMemoria.js")({ defaults: { hashes: [], attempts: 0, bumps: 0 } }));
+jest.mock("../models/txLease.js", () => require("./modeloMemoria.js")());
+
+const crypto = require("crypto");
+
+const TxJob = require("../models/txJob.js");
+const TxLease = require("../models/txLease.js");
+const crearColaTx = require("../services/txQueue.js");
+
+const SIGNER = "0x1111111111111111111111111111111111111111";
+const CONTRATO = "0x2222222222222222222222222222222222222222";
+
+// Chain seen by the queue: nonces, receipts and the transactions the node still knows about
+function cadenaFalsa() {
+  let cadena = {
+    pendiente: 7,
+    confirmado: 7,
+    recibos: {},
+    conocidas: new Set(),
+    difundidas: [],
+    estimar: async () => 50000n
+  };
+
+  let hashDe = new Map(); // raw -> hash
+
+  cadena.web3 = {
+    eth: {
+      getChainId: async () => 97n,
+      estimateGas: (tx) => cadena.estimar(tx),
+      getTransactionCount: async (wallet, bloque) => BigInt(bloque === "pending" ? cadena.pendiente : cadena.confirmado),
+      getGasPrice: async () => 5000000000n,
+      getTransactionReceipt: async (hash) => cadena.recibos[hash] || null,
+      getTransaction: async (hash) => (cadena.conocidas.has(hash) ? { hash } : null),
+      accounts: {
+        signTransaction: async (tx) => {
+          let transactionHash = "0x" + crypto.createHash("sha256").update(tx.nonce + ":" + tx.gasPrice).digest("hex");
+          let rawTransaction = "0xraw:" + tx.nonce + ":" + tx.gasPrice;
+
+          hashDe.set(rawTransaction, transactionHash);
+          return { transactionHash, rawTransaction };
+        }
+      }
+    },
+    requestManager: {
+      send: async ({ params: [raw] }) => {
+        cadena.difundidas.push(raw);
+        cadena.conocidas.add(hashDe.get(raw));
+        return hashDe.get(raw);
+      }
+    }
+  };
+
+  return cadena;
+}
+
+const contrato = {
+  options: { address: CONTRATO },
+  methods: {
+    corteBinarioDo: (...args) => ({ encodeABI: () => "0xdata:" + args.join(",") })
+  }
+};
+
+function minado(exito = true) {
+  return { status: exito ? 1n : 0n, blockNumber: 100n, gasUsed: 40000n };
+}
+
+async function job(id) {
+  return await TxJob.findById(id);
+}
+
+describe("txQueue", () => {
+  let cadena;
+  let colas;
+
+  function cola(opciones = {}) {
+    let c = crearColaTx({ web3: cadena.web3, contrato, signer: SIGNER, privateKey: "0x" + "11".repeat(32), ...opciones });
+    colas.push(c);
+    return c;
+  }
+
+  beforeEach(() => {
+    TxJob.limpiar();
+    TxLease.limpiar();
+    cadena = cadenaFalsa();
+    colas = [];
+  });
+
+  afterEach(async () => {
+    for (let c of colas) await c.detener();
+  });
+
+  test("claims the oldest queued job, sends it with the pending nonce and follows it until mined", async () => {
+    let q = cola();
+    let primero = await q.encolar("corteBinarioDo", ["0xabc", "10", "0", 0], { ref: "0xABC" });
+    let segundo = await q.encolar("corteBinarioDo", ["0xdef", "20", "0", 0]);
+
+    await q.tick();
+
+    let enviado = await job(primero._id);
+
+    expect(enviado.status).toBe("sent");
+    expect(enviado.nonce).toBe(7);
+    expect(enviado.gas).toBe(60000);
+    expect(enviado.ref).toBe("0xabc");
+    expect(enviado.hashes).toHaveLength(1);
+    expect(cadena.difundidas).toEqual([enviado.raw]);
+    expect((await job(segundo._id)).status).toBe("queued");
+
+    // one job in flight per signer: the second waits for the first
+    await q.tick();
+    expect(cadena.difundidas).toHaveLength(1);
+    expect((await job(segundo._id)).status).toBe("queued");
+
+    cadena.recibos[enviado.hashes[0]] = minado();
+    await q.tick();
+
+    let terminado = await job(primero._id);
+
+    expect(terminado.status).toBe("mined");
+    expect(terminado.hash).toBe(enviado.hashes[0]);
+    expect(terminado.receipt).toEqual({ blockNumber: 100, gasUsed: 40000, status: true });
+
+    cadena.pendiente = 8;
+    await q.tick();
+
+    expect((await job(segundo._id)).status).toBe("sent");
+    expect((await job(segundo._id)).nonce).toBe(8);
+  });
+
+  test("a reverted receipt fails the job", async () => {
+    let q = cola();
+    let { _id } = await q.encolar("corteBinarioDo", ["0xabc", "10", "0", 0]);
+
+    await q.tick();
+    cadena.recibos[(await job(_id)).hashes[0]] = minado(false);
+    await q.tick();
+
+    expect(await job(_id)).toMatchObject({ status: "failed", error: "transaction reverted" });
+  });
+
+  test("a revert in estimateGas fails before sending, a network error puts the job back in the queue", async () => {
+    let q = cola();
+    let { _id } = await q.encolar("corteBinarioDo", ["0xabc", "10", "0", 0]);
+
+    cadena.estimar = async () => { throw new Error("socket hang up"); };
+    await q.tick();
+
+    expect(await job(_id)).toMatchObject({ status: "queued", lockedBy: null });
+
+    cadena.estimar = async () => { throw new Error("execution reverted: not enough balance"); };
+    await q.tick();
+
+    expect((await job(_id)).status).toBe("failed");
+    expect((await job(_id)).error).toMatch(/^estimateGas: .*revert/);
+    expect(cadena.difundidas).toHaveLength(0);
+  });
+
+  test("only the instance holding the signer lease works the queue", async () => {
+    let a = cola();
+    let b = cola();
+    let { _id } = await a.encolar("corteBinarioDo", ["0xabc", "10", "0", 0]);
+
+    await b.tick();
+    let dueno = (await TxLease.findById(SIGNER.toLowerCase())).holder;
+
+    let otro = await a.encolar("corteBinarioDo", ["0xdef", "20", "0", 0]);
+    cadena.recibos[(await job(_id)).hashes[0]] = minado();
+
+    // a does not hold the lease: nothing it could do is done
+    await a.tick();
+    expect((await job(_id)).status).toBe("sent");
+    expect((await job(otro._id)).status).toBe("queued");
+
+    // handed over on stop, a takes it on its next tick
+    await b.detener();
+    await a.tick();
+
+    expect((await job(_id)).status).toBe("mined");
+    expect((await TxLease.findById(SIGNER.toLowerCase())).holder).not.toBe(dueno);
+  });
+
+  test("a claim left by a crashed instance goes back to the queue and is sent", async () => {
+    let q = cola();
+    let { _id } = await q.encolar("corteBinarioDo", ["0xabc", "10", "0", 0]);
+
+    await TxJob.updateOne({ _id }, { status: "sending", lockedBy: "crashed", lockedUntil: new Date(Date.now() - 1000) });
+    await q.tick();
+
+    expect((await job(_id)).status).toBe("sent");
+    expect(cadena.difundidas).toHaveLength(1);
+  });
+
+  describe("nonce used without a receipt", () => {
+    async function consumido(respuestas) {
+      let pool = { enTodos: jest.fn(async () => respuestas) };
+      let q = cola({ poolRpc: pool, esperaConfirmacion: 0 });
+      let { _id } = await q.encolar("corteBinarioDo", ["0xabc", "10", "0", 0]);
+
+      await q.tick();
+      cadena.confirmado = 8;
+
+      // the first tick only records when the nonce was seen used
+      await q.tick();
+      expect((await job(_id)).consumedAt).toBeInstanceOf(Date);
+      expect(pool.enTodos).not.toHaveBeenCalled();
+
+      await q.tick();
+      expect(pool.enTodos).toHaveBeenCalledWith(expect.objectContaining({ method: "eth_getTransactionReceipt" }));
+
+      return await job(_id);
+    }
+
+    test("fails the job when enough endpoints answer there is no receipt", async () => {
+      let final = await consumido([{ endpoint: "a", response: { result: null } }, { endpoint: "b", response: { result: null } }]);
+
+      expect(final).toMatchObject({ status: "failed", error: "nonce consumed by another transaction" });
+    });
+
+    test("sets the job aside for review when the endpoints do not agree", async () => {
+      let final = await consumido([{ endpoint: "a", response: { result: null } }, { endpoint: "b", error: "HTTP 500" }]);
+
+      expect(final.status).toBe("review");
+      expect(final.reviewAt).toBeInstanceOf(Date);
+    });
+
+    test("keeps following the job when an endpoint has its receipt", async () => {
+      let final = await consumido([{ endpoint: "a", response: { result: null } }, { endpoint: "b", response: { result: { status: "0x1" } } }]);
+
+      expect(final.status).toBe("sent");
+    });
+  });
+
+  test("a transaction dropped more than maxIntentos times goes to review instead of failing", async () => {
+    let q = cola({ maxIntentos: 1 });
+    let { _id } = await q.encolar("corteBinarioDo", ["0xabc", "10", "0", 0]);
+
+    await q.tick();
+    cadena.conocidas.clear();
+
+    await q.tick();
+    expect(await job(_id)).toMatchObject({ status: "sent", attempts: 1 });
+    expect(cadena.difundidas).toHaveLength(2);
+    expect(cadena.difundidas[1]).toBe(cadena.difundidas[0]);
+
+    cadena.conocidas.clear();
+    await q.tick();
+
+    expect((await job(_id)).status).toBe("review");
+  });
+
+  test("a stuck transaction is replaced with a higher gas price and the same nonce", async () => {
+    let q = cola({ esperaAtascada: 0, maxBumps: 1 });
+    let { _id } = await q.encolar("corteBinarioDo", ["0xabc", "10", "0", 0]);
+
+    await q.tick();
+    await new Promise((res) => setTimeout(res, 5));
+    await q.tick();
+
+    let reemplazado = await job(_id);
+
+    expect(reemplazado.bumps).toBe(1);
+    expect(reemplazado.hashes).toHaveLength(2);
+    expect(reemplazado.gasPrice).toBe("5625000000");
+    expect(cadena.difundidas[1]).toBe("0xraw:7:5625000000");
+
+    // the replacement is mined: the job ends with the hash that made it
+    cadena.recibos[reemplazado.hashes[1]] = minado();
+    await q.tick();
+
+    expect(await job(_id)).toMatchObject({ status: "mined", hash: reemplazado.hashes[1] });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Signed challenges: recovered signer, expiry and single use
+ */
+
+jest.mock("../models/authNonce.js", () => require("./modeloMemoria.js")({ defaults: { usedAt: null }, unicos: ["_id", "nonce"] }));
+
+const { ethers } = require("ethers");
+
+const AuthNonce = require("../models/authNonce.js");
+const { crearNonce, comprobarFirma, consumirFirma, verificarFirma } = require("../services/walletAuth.js");
+
+const cuenta = new ethers.Wallet("0x" + "22".repeat(32));
+const otra = new ethers.Wallet("0x" + "33".repeat(32));
+
+// Challenge for `accion` signed by `firmante`, as the frontend sends it
+async function firmado(accion, firmante = cuenta) {
+  let reto = await crearNonce(cuenta.address, accion);
+
+  return { wallet: cuenta.address, nonce: reto.nonce, signature: await firmante.signMessage(reto.message) };
+}
+
+describe("walletAuth", () => {
+  beforeEach(() => AuthNonce.limpiar());
+
+  test("a signed challenge is accepted once", async () => {
+    let datos = await firmado("withdraw");
+
+    expect(await verificarFirma(datos, "withdraw")).toEqual({ result: true, wallet: cuenta.address.toLowerCase() });
+    expect(await verificarFirma(datos, "withdraw")).toEqual({ result: false, message: "nonce already used" });
+  });
+
+  test("checking does not consume, and only one of two concurrent consumers wins", async () => {
+    let datos = await firmado("withdraw");
+
+    let firma = await comprobarFirma(datos, "withdraw");
+    expect(firma.result).toBe(true);
+    expect((await comprobarFirma(datos, "withdraw")).result).toBe(true);
+
+    let [a, b] = await Promise.all([consumirFirma(firma), consumirFirma(firma)]);
+
+    expect([a, b].sort()).toEqual([false, true]);
+    expect(await comprobarFirma(datos, "withdraw")).toEqual({ result: false, message: "nonce already used" });
+  });
+
+  test("a signature of another wallet or for another action is rejected", async () => {
+    let ajena = await firmado("withdraw", otra);
+    expect(await verificarFirma(ajena, "withdraw")).toEqual({ result: false, message: "signature does not match wallet" });
+
+    let otraAccion = await firmado("login");
+    expect(await verificarFirma(otraAccion, "withdraw")).toEqual({ result: false, message: "unknown nonce" });
+
+    expect(await verificarFirma({ ...otraAccion, signature: "0x1234" }, "login")).toEqual({ result: false, message: "invalid signature" });
+
+    // rejected attempts leave the challenge usable
+    expect((await verificarFirma(otraAccion, "login")).result).toBe(true);
+  });
+
+  test("an expired challenge is rejected", async () => {
+    let datos = await firmado("withdraw");
+
+    await AuthNonce.updateOne({ nonce: datos.nonce }, { expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await verificarFirma(datos, "withdraw")).toEqual({ result: false, message: "nonce expired" });
+  });
+
+  test("malformed requests are answered without reading the database", async () => {
+    expect(await verificarFirma({ wallet: "0x12" }, "withdraw")).toEqual({ result: false, message: "not valid wallet parameter" });
+    expect(await verificarFirma({ wallet: cuenta.address }, "withdraw")).toEqual({ result: false, message: "signature required" });
+    expect(await crearNonce("nope", "withdraw")).toMatchObject({ result: false, message: "not valid wallet parameter" });
+  });
+});
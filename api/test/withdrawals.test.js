@@ -0,0 +1,129 @@
+/**
+ * Withdrawal resolution: confirm on a mined job, restore the claimed points when the transfer
+ * did not happen, keep the lock while the outcome is unknown
+ */
+
+jest.mock("../models/withdrawal.js", () => require("./modeloMemoria.js")({ defaults: { open: true } }));
+jest.mock("../services/pointsLedger.js", () => ({ actualizar: jest.fn(async () => ({})) }));
+jest.mock("../services/push.js", () => ({ emitir: jest.fn() }));
+
+const Withdrawal = require("../models/withdrawal.js");
+const ledger = require("../services/pointsLedger.js");
+const push = require("../services/push.js");
+const crearRetiros = require("../services/withdrawals.js");
+
+const WALLET = "0xabcabcabcabcabcabcabcabcabcabcabcabcabca";
+
+// Withdrawal as `enviar` leaves it: 5 points claimed on each leg, 10 before
+async function enviado(extra = {}) {
+  let retiro = await Withdrawal.create({
+    wallet: WALLET,
+    status: "submitted",
+    retiroBinario: "25",
+    puntosReclamados: "5",
+    puntosUsados: "15",
+    lReclamadosAntes: "10",
+    rReclamadosAntes: "10",
+    lReclamadosDespues: "15",
+    rReclamadosDespues: "15",
+    jobId: "job-1",
+    appliedAt: null,
+    ...extra
+  });
+
+  return await Withdrawal.findById(retiro._id);
+}
+
+describe("withdrawals", () => {
+  let job;
+  let retiros;
+
+  beforeEach(() => {
+    Withdrawal.limpiar();
+    ledger.actualizar.mockClear();
+    push.emitir.mockClear();
+
+    job = null;
+    retiros = crearRetiros({ colaTx: { consultar: async () => job, esperar: async () => job } });
+  });
+
+  test("a mined job writes the claimed points once and closes the withdrawal", async () => {
+    job = { status: "mined", hash: "0xhash" };
+
+    let final = await retiros.resolver(await enviado());
+
+    expect(ledger.actualizar).toHaveBeenCalledTimes(1);
+    expect(ledger.actualizar).toHaveBeenCalledWith(
+      { wallet: WALLET },
+      { lReclamados: "15", rReclamados: "15" },
+      expect.objectContaining({ reference: "0xhash", key: "withdrawal:" + final._id + ":apply" })
+    );
+    expect(final).toMatchObject({ status: "confirmed", open: false, hash: "0xhash" });
+    expect(final.appliedAt).toBeInstanceOf(Date);
+    expect(push.emitir).toHaveBeenCalledWith(WALLET, "withdrawal", expect.objectContaining({ status: "confirmed" }));
+  });
+
+  test("a failed job releases the withdrawal without touching points that were never written", async () => {
+    job = { status: "failed", error: "transaction reverted" };
+
+    let final = await retiros.resolver(await enviado());
+
+    expect(ledger.actualizar).not.toHaveBeenCalled();
+    expect(final).toMatchObject({ status: "reverted", open: false, error: "transaction reverted" });
+    expect(final.rolledBackAt).toBeUndefined();
+  });
+
+  test("a failed job after the points were written restores them, only if nothing changed them since", async () => {
+    job = { status: "failed", error: "nonce consumed by another transaction" };
+
+    let final = await retiros.resolver(await enviado({ appliedAt: new Date() }));
+
+    expect(ledger.actualizar).toHaveBeenCalledWith(
+      { wallet: WALLET, lReclamados: "15", rReclamados: "15" },
+      { lReclamados: "10", rReclamados: "10" },
+      expect.objectContaining({ reason: "withdrawal reverted", key: "withdrawal:" + final._id + ":rollback" })
+    );
+    expect(final).toMatchObject({ status: "reverted", open: false, appliedAt: null });
+    expect(final.rolledBackAt).toBeInstanceOf(Date);
+  });
+
+  test("a job in review keeps the withdrawal open and the points as they are", async () => {
+    job = { status: "review", error: "transaction dropped 5 times" };
+
+    let final = await retiros.resolver(await enviado({ appliedAt: new Date() }));
+
+    expect(ledger.actualizar).not.toHaveBeenCalled();
+    expect(final).toMatchObject({ status: "submitted", open: true });
+    expect(final.appliedAt).toBeInstanceOf(Date);
+  });
+
+  test("a job still in flight leaves the withdrawal submitted", async () => {
+    job = { status: "sent" };
+
+    let final = await retiros.resolver(await enviado());
+
+    expect(final).toMatchObject({ status: "submitted", open: true });
+  });
+
+  test("a missing job reverts the withdrawal", async () => {
+    let final = await retiros.resolver(await enviado());
+
+    expect(final).toMatchObject({ status: "reverted", open: false, error: "transaction job not found" });
+  });
+
+  test("pending withdrawals are resolved and abandoned requests released", async () => {
+    job = { status: "mined", hash: "0xhash" };
+
+    let enviada = await enviado();
+    let abandonada = await Withdrawal.create({ wallet: "0x" + "12".repeat(20), status: "requested" });
+    let reciente = await Withdrawal.create({ wallet: "0x" + "34".repeat(20), status: "requested" });
+
+    await Withdrawal.updateOne({ _id: abandonada._id }, { createdAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+    expect(await retiros.procesarPendientes()).toBe(3);
+
+    expect((await Withdrawal.findById(enviada._id)).status).toBe("confirmed");
+    expect(await Withdrawal.findById(abandonada._id)).toMatchObject({ status: "reverted", open: false, error: "request abandoned before submission" });
+    expect(await Withdrawal.findById(reciente._id)).toMatchObject({ status: "requested", open: true });
+  });
+});
@@ -1,5 +1,5 @@
 // Main application component for the binary system frontend
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import Web3 from "web3";
 import detectEthereumProvider from '@metamask/detect-provider';
 
@@ -22,15 +22,13 @@ const App = () => {
   const [metamask, setMetamask] = useState(false); // Whether MetaMask is installed
   const [conectado, setConectado] = useState(false); // Whether connected to blockchain
   const [currentAccount, setCurrentAccount] = useState("0x0000000000000000000000000000000000000000"); // Current wallet address
+  const [networkMismatch, setNetworkMismatch] = useState(null); // API config when it runs another network than this build
   const [contract, setContract] = useState({
     web3: null, // Web3 instance
     contractToken: null, // Token contract instance
     binaryProxy: null // Binary proxy contract instance
   });
 
-  // Ref for interval cleanup
-  const intervalRef = useRef(null);
-
   // Connect to MetaMask and initialize contracts
   const conectar = useCallback(async () => {
     try {
@@ -208,34 +206,48 @@ const App = () => {
 
   // Effect hook: Set up connection checking and global error handlers
   useEffect(() => {
+    // The API must run the same network profile as this build
+    fetch(`${cons.API}config`)
+      .then((res) => res.json())
+      .then(({ data }) => {
+        if (data && (data.chainId !== parseInt(chainId, 16) || data.contract.toLowerCase() !== String(cons.SC_Proxy).toLowerCase())) {
+          console.error(`API runs ${data.network} but this build uses ${cons.network}:`, data);
+          setNetworkMismatch(data);
+        }
+      })
+      .catch((error) => console.warn("Network check failed:", error));
+
     // Initial connection attempt with delay to ensure MetaMask is ready
     setTimeout(() => {
       conectar();
     }, 1000);
 
-    // Set up periodic connection checks (reduced frequency)
-    intervalRef.current = setInterval(() => {
-      conectar();
-    }, 10 * 1000); // Check every 10 seconds instead of 3
+    // MetaMask events replace the periodic connection check, data updates arrive over the API socket
+    const handleAccountsChanged = (accounts) => {
+      console.log('MetaMask accounts changed:', accounts);
+      if (accounts.length > 0) {
+        conectar();
+      } else {
+        setCurrentAccount("0x0000000000000000000000000000000000000000");
+        setConectado(false);
+      }
+    };
 
-    // Listen for MetaMask account changes
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', (accounts) => {
-        console.log('MetaMask accounts changed:', accounts);
-        if (accounts.length > 0) {
-          setCurrentAccount(accounts[0]);
-          setConectado(true);
-        } else {
-          setCurrentAccount("0x0000000000000000000000000000000000000000");
-          setConectado(false);
-        }
-      });
+    const handleChainChanged = (chainId) => {
+      console.log('MetaMask chain changed:', chainId);
+      // Reload the page when chain changes
+      window.location.reload();
+    };
 
-      window.ethereum.on('chainChanged', (chainId) => {
-        console.log('MetaMask chain changed:', chainId);
-        // Reload the page when chain changes
-        window.location.reload();
-      });
+    const handleDisconnect = () => {
+      setConectado(false);
+    };
+
+    if (window.ethereum) {
+      window.ethereum.on('accountsChanged', handleAccountsChanged);
+      window.ethereum.on('chainChanged', handleChainChanged);
+      window.ethereum.on('connect', conectar);
+      window.ethereum.on('disconnect', handleDisconnect);
     }
 
     // Set up global error handlers
@@ -259,8 +271,11 @@ const App = () => {
     window.addEventListener('error', handleError);
 
     return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
+      if (window.ethereum && window.ethereum.removeListener) {
+        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+        window.ethereum.removeListener('chainChanged', handleChainChanged);
+        window.ethereum.removeListener('connect', conectar);
+        window.ethereum.removeListener('disconnect', handleDisconnect);
       }
       // Clean up global error event listeners
       window.removeEventListener('unhandledrejection', handleUnhandledRejection);
@@ -302,6 +317,23 @@ const App = () => {
   console.log("Will show MetaMask guide?", (!metamask || !conectado));
   console.log("========================");
 
+  // Wallet actions against an API on another network would sign for the wrong contract
+  if (networkMismatch) {
+    return (
+      <ErrorBoundary>
+        <div className="container">
+          <div className="alert alert-danger mt-5" role="alert">
+            <h4 className="alert-heading">Network mismatch</h4>
+            <p>
+              The API runs {networkMismatch.network} (chain {networkMismatch.chainId}) but this site is built
+              for {cons.network}. Wallet actions are disabled until both use the same network.
+            </p>
+          </div>
+        </div>
+      </ErrorBoundary>
+    );
+  }
+
   // If not connected, show MetaMask guide
   if (!metamask || !conectado) {
     console.log("Showing MetaMask connection guide");
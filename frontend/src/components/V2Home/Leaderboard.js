@@ -0,0 +1,277 @@
+/**
+ * Leaderboard Component: Network rankings and recruitment contests
+ *
+ * - Rankings by active points, points gained, new personas and direct referrals
+ * - Contest list with live standings while running and final standings once closed
+ * - Highlights the connected wallet
+ */
+import React, { Component } from "react";
+import cons from "../../cons";
+import { ErrorHandler, ValidationUtils } from "../../utils/errorHandler";
+
+// BigNumber for precise decimal calculations
+const BigNumber = require("bignumber.js");
+
+// Loading component
+const LoadingSpinner = ({ size = "sm", message }) => (
+  <div className="d-flex align-items-center justify-content-center p-3">
+    <div className={`spinner-border spinner-border-${size} me-2`} role="status" aria-hidden="true"></div>
+    {message && <span className="sr-only">{message}</span>}
+  </div>
+);
+
+// Metrics served by /leaderboard, points are stored with the token decimals
+const METRICS = [
+  { key: "activePoints", label: "Active Points", points: true },
+  { key: "pointsGained", label: "Points Gained (30 days)", points: true, days: 30 },
+  { key: "newPersonas", label: "New Personas (30 days)", days: 30 },
+  { key: "directReferrals", label: "Direct Referrals" }
+];
+
+const STATUS_BADGES = {
+  scheduled: "bg-secondary",
+  running: "bg-success",
+  closing: "bg-warning",
+  closed: "bg-dark"
+};
+
+// Ranking table
+const RankingTable = ({ rows, currentAccount, format }) => {
+  if (!rows || rows.length === 0) {
+    return <p className="text-muted text-center py-4">No positions yet.</p>;
+  }
+
+  const account = (currentAccount || "").toLowerCase();
+
+  return (
+    <div className="table-responsive">
+      <table className="table table-sm table-hover">
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">Wallet</th>
+            <th scope="col" className="text-end">Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.wallet} className={row.wallet === account ? "table-primary fw-bold" : ""}>
+              <td>{row.rank}</td>
+              <td>
+                {ValidationUtils.formatAddress(row.wallet)}
+                {row.wallet === account && <span className="badge bg-primary ms-2">You</span>}
+              </td>
+              <td className="text-end">{format(row.value)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Leaderboard component
+ */
+export default class Leaderboard extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      metric: "activePoints",
+      ranking: [],
+      contests: [],
+      contest: null, // Selected contest with its standings
+
+      isLoading: true,
+      error: null,
+      lastUpdated: null
+    };
+
+    this.loadRanking = this.loadRanking.bind(this);
+    this.loadContests = this.loadContests.bind(this);
+    this.selectMetric = this.selectMetric.bind(this);
+    this.selectContest = this.selectContest.bind(this);
+  }
+
+  componentDidMount() {
+    this.loadRanking();
+    this.loadContests();
+  }
+
+  /**
+   * Fetch JSON from the API, errors come as { result: false, msg|message }
+   */
+  async fetchApi(path) {
+    const response = await fetch(`${cons.API}${path}`);
+    const data = await response.json();
+
+    if (!response.ok || data.result === false) {
+      throw new Error(data.msg || data.message || `HTTP ${response.status}`);
+    }
+
+    return data;
+  }
+
+  async loadRanking(metric = this.state.metric) {
+    this.setState({ isLoading: true, error: null });
+
+    try {
+      const definition = METRICS.find((m) => m.key === metric);
+      let query = `leaderboard?metric=${metric}&limit=50`;
+
+      if (definition.days) {
+        // Start of the UTC day, so every request of the day hits the same cached ranking
+        const from = new Date(Date.now() - definition.days * 86400 * 1000);
+        from.setUTCHours(0, 0, 0, 0);
+
+        query += `&from=${from.toISOString()}`;
+      }
+
+      const data = await this.fetchApi(query);
+
+      this.setState({
+        ranking: data.data,
+        isLoading: false,
+        lastUpdated: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error("Leaderboard error:", error);
+      this.setState({ ranking: [], isLoading: false, error: ErrorHandler.parseError(error) });
+    }
+  }
+
+  async loadContests() {
+    try {
+      const data = await this.fetchApi("leaderboard/contests");
+      this.setState({ contests: data.data });
+    } catch (error) {
+      console.error("Contests error:", error);
+      this.setState({ contests: [] });
+    }
+  }
+
+  selectMetric(metric) {
+    this.setState({ metric, contest: null });
+    this.loadRanking(metric);
+  }
+
+  async selectContest(id) {
+    this.setState({ isLoading: true, error: null });
+
+    try {
+      const data = await this.fetchApi(`leaderboard/contests/${id}`);
+      this.setState({ contest: data.data, isLoading: false });
+    } catch (error) {
+      console.error("Contest error:", error);
+      this.setState({ isLoading: false, error: ErrorHandler.parseError(error) });
+    }
+  }
+
+  formatter(metric) {
+    const definition = METRICS.find((m) => m.key === metric) || {};
+    const decimals = this.props.decimals || 18;
+
+    if (definition.points) {
+      return (value) => ValidationUtils.formatNumber(new BigNumber(value).shiftedBy(-decimals).toNumber());
+    }
+
+    return (value) => ValidationUtils.formatNumber(value, 0);
+  }
+
+  renderContests() {
+    const { contests, contest } = this.state;
+
+    if (contests.length === 0) return null;
+
+    return (
+      <div className="list-group mb-4">
+        {contests.map((c) => (
+          <button
+            key={c._id}
+            type="button"
+            className={`list-group-item list-group-item-action d-flex justify-content-between align-items-center ${contest && contest._id === c._id ? "active" : ""}`}
+            onClick={() => this.selectContest(c._id)}
+          >
+            <span>
+              <strong>{c.name}</strong>
+              <br />
+              <small>
+                {new Date(c.start).toLocaleDateString()} - {new Date(c.end).toLocaleDateString()} · {(METRICS.find((m) => m.key === c.metric) || {}).label || c.metric}
+              </small>
+            </span>
+            <span className={`badge ${STATUS_BADGES[c.status] || "bg-secondary"}`}>{c.status}</span>
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  render() {
+    const { metric, ranking, contest, isLoading, error, lastUpdated } = this.state;
+
+    return (
+      <div className="container mt-4">
+        <header className="section-header text-center mb-4">
+          <h3 className="section-title">
+            <i className="bi bi-trophy me-2" aria-hidden="true"></i>
+            <span style={{ fontWeight: "bold" }}>Leaderboard</span>
+          </h3>
+
+          {lastUpdated && !isLoading && (
+            <div className="text-muted small mt-2" aria-live="polite">
+              Last updated: {new Date(lastUpdated).toLocaleString()}
+            </div>
+          )}
+        </header>
+
+        <ul className="nav nav-tabs mb-3" role="tablist">
+          {METRICS.map((m) => (
+            <li className="nav-item" key={m.key}>
+              <button
+                type="button"
+                className={`nav-link ${!contest && metric === m.key ? "active" : ""}`}
+                onClick={() => this.selectMetric(m.key)}
+              >
+                {m.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="row">
+          <div className="col-lg-8">
+            {isLoading && <LoadingSpinner size="lg" message="Loading leaderboard..." />}
+
+            {error && !isLoading && (
+              <div className="alert alert-warning" role="alert">{error}</div>
+            )}
+
+            {!isLoading && !error && contest && (
+              <>
+                <h5>{contest.name}</h5>
+                {contest.description && <p className="text-muted small">{contest.description}</p>}
+                {contest.status === "scheduled" && (
+                  <p className="text-muted">Starts {new Date(contest.start).toLocaleString()}</p>
+                )}
+                {contest.frozenAt && (
+                  <p className="text-muted small">Final standings, closed {new Date(contest.frozenAt).toLocaleString()}</p>
+                )}
+                <RankingTable rows={contest.standings} currentAccount={this.props.currentAccount} format={this.formatter(contest.metric)} />
+              </>
+            )}
+
+            {!isLoading && !error && !contest && (
+              <RankingTable rows={ranking} currentAccount={this.props.currentAccount} format={this.formatter(metric)} />
+            )}
+          </div>
+
+          <div className="col-lg-4">
+            <h5>Contests</h5>
+            {this.renderContests() || <p className="text-muted small">No contests yet.</p>}
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
@@ -19,17 +19,6 @@ import { ErrorHandler, ValidationUtils, TransactionManager } from "../../utils/e
 // BigNumber for precise decimal calculations
 const BigNumber = require("bignumber.js");
 
-const Cryptr = require("cryptr");
-const cryptr = new Cryptr(process.env.REACT_APP_ENCR_STO);
-function encryptString(s) {
-  console.log("clave", process.env.REACT_APP_ENCR_STO);
-  if (typeof s === "string") {
-    return cryptr.encrypt(s);
-  } else {
-    return "";
-  }
-}
-
 // Enhanced loading component
 const LoadingSpinner = ({ size = "sm", message }) => (
   <div className="d-flex align-items-center justify-content-center p-2">
@@ -140,6 +129,10 @@ export default class Oficina extends Component {
       // Network visualization
       redleft: <></>,
       redRight: <></>,
+
+      // Genealogy export
+      exportTree: "placement",
+      exportFormat: "csv",
       
       // Ranking system
       niveles: [[], [], [], [], [], []],
@@ -183,6 +176,7 @@ export default class Oficina extends Component {
     this.claim = this.claim.bind(this);
     this.calculateRanking = this.calculateRanking.bind(this);
     this.openNetworkView = this.openNetworkView.bind(this);
+    this.exportNetwork = this.exportNetwork.bind(this);
     this.showModal = this.showModal.bind(this);
     this.hideModal = this.hideModal.bind(this);
     this.handleError = this.handleError.bind(this);
@@ -630,19 +624,12 @@ export default class Oficina extends Component {
   async processApiWithdrawal() {
     try {
       // Calculate withdrawal request
-      const calculateData = {
-        token: process.env.REACT_APP_API_KEY,
-        fecha: Date.now(),
-        origen: "web-kapp3",
-        wallet: this.props.currentAccount,
-      };
-
       const calculateResponse = await fetch(`${cons.API}calculate/retiro`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ data: this.encryptData(calculateData) }),
+        body: JSON.stringify({ data: await this.signApiRequest("calculate/retiro") }),
       });
 
       if (!calculateResponse.ok) {
@@ -662,7 +649,7 @@ export default class Oficina extends Component {
 
       const gasTransaction = await this.props.contract.web3.eth.sendTransaction({
         from: this.props.currentAccount,
-        to: "0x6b78C6d2031600dcFAd295359823889b2dbAfd1B", // Gas receiver address
+        to: calculateResult.receiver, // Gas receiver address
         value: calculateResult.gas.toString(10),
       });
 
@@ -671,19 +658,17 @@ export default class Oficina extends Component {
       }
 
       // Process actual withdrawal
-      const withdrawalData = {
-        token: process.env.REACT_APP_API_KEY,
-        fecha: Date.now(),
-        origen: "web-kapp3",
-        wallet: this.props.currentAccount,
-      };
-
       const withdrawalResponse = await fetch(`${cons.API}retiro`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ data: this.encryptData(withdrawalData) }),
+        body: JSON.stringify({
+          data: {
+            ...(await this.signApiRequest("retiro")),
+            gasTx: gasTransaction.transactionHash // The API checks this payment before withdrawing
+          }
+        }),
       });
 
       if (!withdrawalResponse.ok) {
@@ -705,19 +690,39 @@ export default class Oficina extends Component {
   }
 
   /**
-   * Encrypt data for API communication
+   * Ask the API for a single-use challenge and sign it with MetaMask
+   * The API only accepts the request if the signer is the wallet being withdrawn
    */
-  encryptData(data) {
-    try {
-      // This should use the same encryption as the original component
-      // For now, returning JSON string - implement proper encryption as needed
-      let encriptData = encryptString(JSON.stringify(data));
+  async signApiRequest(accion) {
+    const nonceResponse = await fetch(`${cons.API}nonce`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ wallet: this.props.currentAccount, accion }),
+    });
 
-      return encriptData;
-    } catch (error) {
-      console.error("Encryption error:", error);
-      return data;
+    if (!nonceResponse.ok) {
+      throw new Error(`Nonce request failed: ${nonceResponse.status}`);
     }
+
+    const nonceResult = await nonceResponse.json();
+
+    if (!nonceResult.result) {
+      throw new Error(nonceResult.message || "Nonce request failed");
+    }
+
+    const signature = await this.props.contract.web3.eth.personal.sign(
+      nonceResult.message,
+      this.props.currentAccount,
+      ""
+    );
+
+    return {
+      wallet: this.props.currentAccount,
+      nonce: nonceResult.nonce,
+      signature
+    };
   }
 
   /**
@@ -857,6 +862,21 @@ export default class Oficina extends Component {
     }
   }
 
+  /**
+   * Download the downline of the connected wallet, the API streams the file
+   */
+  exportNetwork() {
+    const wallet = this.props.currentAccount;
+
+    if (!ValidationUtils.isValidAddress(wallet)) {
+      this.showModal("Invalid Address", "Connect your wallet to export your network.", "error");
+      return;
+    }
+
+    const { exportTree, exportFormat } = this.state;
+    window.open(`${cons.API}binario/export?wallet=${wallet.toLowerCase()}&tree=${exportTree}&format=${exportFormat}`, "_blank");
+  }
+
   /**
    * Enhanced network view with better error handling
    */
@@ -1353,6 +1373,45 @@ export default class Oficina extends Component {
               </div>
             </div>
 
+            {/* Genealogy Export */}
+            <div className="col-12 mt-5">
+              <div className="icon-box">
+                <h4 className="title">Export Network</h4>
+                <div className="row g-2 align-items-center justify-content-center">
+                  <div className="col-auto">
+                    <select
+                      className="form-select"
+                      aria-label="Tree to export"
+                      value={this.state.exportTree}
+                      onChange={(e) => this.setState({ exportTree: e.target.value })}
+                    >
+                      <option value="placement">Binary placement</option>
+                      <option value="sponsor">Sponsor (referrals)</option>
+                    </select>
+                  </div>
+                  <div className="col-auto">
+                    <select
+                      className="form-select"
+                      aria-label="Export format"
+                      value={this.state.exportFormat}
+                      onChange={(e) => this.setState({ exportFormat: e.target.value })}
+                    >
+                      <option value="csv">CSV (spreadsheet)</option>
+                      <option value="json">JSON</option>
+                      <option value="graphml">GraphML</option>
+                      <option value="dot">DOT (Graphviz)</option>
+                    </select>
+                  </div>
+                  <div className="col-auto">
+                    <button type="button" className="btn btn-primary" onClick={this.exportNetwork}>
+                      <i className="bi bi-download me-2" aria-hidden="true"></i>
+                      Export
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+
             {/* Network Visualization */}
             {(this.state.redleft || this.state.redRight) && (
               <div className="col-12 mt-5">
@@ -5,9 +5,12 @@ import CrowdFunding from "./CrowdFunding";
 import Oficina from "./Oficina";
 import Datos from "./Datos";
 import Depositos from "./Depositos";
+import Leaderboard from "./Leaderboard";
 import ErrorBoundary from "../ErrorBoundary";
 import cons from "../../cons";
 import { ValidationUtils } from "../../utils/errorHandler";
+import LiveUpdates from "../../utils/liveUpdates";
+import { getAccessToken, refreshAccessToken } from "../../utils/session";
 
 // BigNumber for precise decimal calculations
 const BigNumber = require("bignumber.js");
@@ -47,6 +50,15 @@ export default class Home extends Component {
     // Store interval reference for cleanup
     this.dataFetchInterval = null;
     this.initialFetchTimeout = null;
+    this.liveFetchTimeout = null;
+
+    // Pushed updates of the connected wallet replace the periodic fetch
+    this.live = new LiveUpdates({
+      onEvent: () => this.scheduleLiveFetch(),
+      onStatus: (connected) => this.setPolling(!connected),
+      getToken: (wallet) => getAccessToken(this.props.contract.web3, wallet),
+      refreshToken: (wallet) => refreshAccessToken(wallet)
+    });
   }
 
   /**
@@ -56,25 +68,70 @@ export default class Home extends Component {
     // Initial fetch immediately with error handling
     this.fetchInvestorData();
 
-    // Set up periodic updates every 30 seconds
-    this.dataFetchInterval = setInterval(() => {
+    this.live.subscribe(this.liveWallet());
+  }
+
+  /**
+   * Follow the new wallet when the account changes
+   */
+  componentDidUpdate(prevProps) {
+    if (prevProps.currentAccount !== this.props.currentAccount) {
+      this.live.subscribe(this.liveWallet());
       this.fetchInvestorData();
-    }, 30000);
+    }
   }
 
   /**
    * Component cleanup: Clear all intervals and timeouts
    */
   componentWillUnmount() {
-    if (this.dataFetchInterval) {
-      clearInterval(this.dataFetchInterval);
-      this.dataFetchInterval = null;
-    }
-    
+    this.live.close();
+    this.setPolling(false);
+
     if (this.initialFetchTimeout) {
       clearTimeout(this.initialFetchTimeout);
       this.initialFetchTimeout = null;
     }
+
+    if (this.liveFetchTimeout) {
+      clearTimeout(this.liveFetchTimeout);
+      this.liveFetchTimeout = null;
+    }
+  }
+
+  // Only the connected wallet can be followed, a viewed wallet is fetched periodically
+  liveWallet() {
+    return !this.props.view && ValidationUtils.isValidAddress(this.props.currentAccount) && this.props.currentAccount !== cons.WS
+      ? this.props.currentAccount
+      : null;
+  }
+
+  /**
+   * One fetch for the events that arrive together (points, deposits, withdrawal)
+   */
+  scheduleLiveFetch() {
+    if (this.liveFetchTimeout) return;
+
+    this.liveFetchTimeout = setTimeout(() => {
+      this.liveFetchTimeout = null;
+      this.fetchInvestorData();
+    }, 1000);
+  }
+
+  /**
+   * Fetch every 30 seconds only while the live updates socket is down
+   */
+  setPolling(enabled) {
+    if (enabled && !this.dataFetchInterval) {
+      this.dataFetchInterval = setInterval(() => {
+        this.fetchInvestorData();
+      }, 30000);
+    }
+
+    if (!enabled && this.dataFetchInterval) {
+      clearInterval(this.dataFetchInterval);
+      this.dataFetchInterval = null;
+    }
   }
 
   /**
@@ -771,6 +828,13 @@ export default class Home extends Component {
               investor={investor}
             />
           </ErrorBoundary>
+
+          <ErrorBoundary>
+            <Leaderboard
+              currentAccount={this.props.currentAccount}
+              decimals={investor ? investor.decimals : 18}
+            />
+          </ErrorBoundary>
         </div>
       </div>
     );
@@ -1,32 +1,54 @@
 // Configuration constants for the application
 const env = process.env; // Environment variable
 let proxy = ""; // Proxy URL (empty for direct connection)
-let API = env.REACT_APP_URL_API; // API endpoint from environment
 
-
-if( env.REACT_APP_ENV !== 'production' ){
-  API = env.REACT_APP_URL_API_TEST || "http://localhost:8000/api/v1/"; // Local API endpoint for development
+// Network profiles, same names as the API (APP_NETWORK); REACT_APP_NETWORK picks one
+const NETWORKS = {
+  "bsc-mainnet": {
+    SC_Proxy: "0xDF06438ab07c807fe3c1fBF1437DEf79BA8c1232", // Proxy contract V2 address (V1: 0x86bce12014a6c721156C536Be22DA7F30b6F33C1)
+    TOKEN: "0x55d398326f99059fF775485246999027B3197955", // USDT
+    chainId: "0x38", // BNB mainnet chain ID
+    API: env.REACT_APP_ENV === 'production'
+      ? env.REACT_APP_URL_API
+      : env.REACT_APP_URL_API_TEST || "http://localhost:8000/api/v1/" // Local API endpoint for development
+  },
+  "bsc-testnet": {
+    SC_Proxy: env.REACT_APP_CONTRACT, // Redeployed often, always from the environment
+    TOKEN: "0xd5881b890b443be0c609BDFAdE3D8cE886cF9BAc", // Test USDT
+    chainId: "0x61", // BNB testnet chain ID
+    API: env.REACT_APP_URL_API_2 // Testnet API endpoint
+  },
+  "local": {
+    SC_Proxy: env.REACT_APP_CONTRACT,
+    TOKEN: env.REACT_APP_TOKEN,
+    chainId: "0x7a69", // Hardhat (31337)
+    API: env.REACT_APP_URL_API_TEST || "http://localhost:8000/api/v1/"
+  }
+};
+
+const network = env.REACT_APP_NETWORK || "bsc-mainnet";
+const profile = NETWORKS[network];
+
+if (profile === undefined) {
+  throw new Error("Unknown REACT_APP_NETWORK " + network + ", expected one of " + Object.keys(NETWORKS).join(", "));
 }
 
+const missing = ["SC_Proxy", "TOKEN", "chainId", "API"].filter((key) => !profile[key]);
 
-const WS = "0x0000000000000000000000000000000000000000"; // Default wallet for orphans
+if (missing.length > 0) {
+  console.error("Network " + network + " is missing " + missing.join(", ")); // set them in the build environment
+}
 
-let SC_Proxy = "0xDF06438ab07c807fe3c1fBF1437DEf79BA8c1232"//"0x86bce12014a6c721156C536Be22DA7F30b6F33C1"; // Proxy contract V2 address
+const { API, SC_Proxy, TOKEN, chainId } = profile;
 
-let TOKEN = "0x55d398326f99059fF775485246999027B3197955"; // Token contract address
-let chainId = "0x38"; // BNB mainnet chain ID
+const WS = "0x0000000000000000000000000000000000000000"; // Default wallet for orphans
 
-const testnet = false; // Enable testnet configuration
+// WebSocket endpoint for live updates, next to the API unless set
+const SOCKET = env.REACT_APP_URL_WS || (API ? API.replace(/^http/, "ws") + "ws" : null);
 
-// Switch to testnet if enabled
-if (testnet) {
-  proxy = ""; // No proxy for testnet
-  API = process.env.REACT_APP_URL_API_2; // Testnet API endpoint
-  SC_Proxy = "0x0000000000000000000000000000000000000000"; // Testnet proxy contract address
-  TOKEN = "0xd5881b890b443be0c609BDFAdE3D8cE886cF9BAc"; // Testnet token
-  chainId = "0x61"; // BNB testnet chain ID
-}
+// Wallet sessions (/api/auth), next to the versioned API unless set
+const AUTH = env.REACT_APP_URL_AUTH || (API ? API.replace(/v1\/?$/, "auth/") : null);
 
 // Export configuration object
-const config = { proxy, API, WS, SC_Proxy, TOKEN, chainId };
+const config = { proxy, network, API, WS, SOCKET, AUTH, SC_Proxy, TOKEN, chainId };
 export default config;
@@ -0,0 +1,145 @@
+// Live updates pushed by the API over WebSocket
+// Subscribes to one wallet and reconnects with backoff; while the socket is down or the
+// subscription is refused the caller is told through onStatus so it can fall back to fetching
+// on its own. The API only lets a socket follow the wallet of its session, getToken(wallet)
+// provides the access token. Once the session expires only refreshToken(wallet) is used, so the
+// background connection never asks for a new signature; without a refresh the caller keeps polling
+
+import cons from "../cons";
+
+const MIN_DELAY = 1000; // First reconnection delay
+const MAX_DELAY = 60 * 1000; // Reconnection delay cap
+
+export class LiveUpdates {
+  constructor({ onEvent, onStatus, getToken, refreshToken } = {}) {
+    this.onEvent = onEvent || (() => {});
+    this.onStatus = onStatus || (() => {});
+    this.getToken = getToken || null;
+    this.refreshToken = refreshToken || null;
+    this.wallet = null;
+    this.expired = false; // the session of the wallet expired, only a refresh may renew it
+    this.socket = null;
+    this.delay = MIN_DELAY;
+    this.retryTimeout = null;
+    this.closed = false;
+  }
+
+  // Follow a wallet, replacing the previous one
+  subscribe(wallet) {
+    wallet = wallet ? wallet.toLowerCase() : null;
+
+    if (wallet === this.wallet) return;
+
+    if (this.wallet) this.send({ action: "unsubscribe", wallet: this.wallet });
+    this.wallet = wallet;
+    this.expired = false;
+
+    if (!wallet || !this.getToken) {
+      this.onStatus(false);
+      return;
+    }
+
+    if (!this.socket) {
+      this.connect();
+    } else {
+      this.authenticate();
+    }
+  }
+
+  // Session of the followed wallet, then the subscription; the API handles both in order
+  async authenticate() {
+    const wallet = this.wallet;
+    let token = null;
+
+    try {
+      if (!this.expired) {
+        token = await this.getToken(wallet);
+      } else if (this.refreshToken) {
+        token = await this.refreshToken(wallet);
+      } else {
+        throw new Error("session expired");
+      }
+    } catch (error) {
+      console.warn("Live updates need a session:", error.message);
+      this.onStatus(false);
+      return;
+    }
+
+    if (wallet !== this.wallet) return;
+
+    this.expired = false;
+    this.send({ action: "auth", token });
+    this.send({ action: "subscribe", wallet });
+  }
+
+  connect() {
+    if (this.closed || !cons.SOCKET || typeof WebSocket === "undefined") {
+      this.onStatus(false);
+      return;
+    }
+
+    const socket = new WebSocket(cons.SOCKET);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.delay = MIN_DELAY;
+      if (this.wallet) this.authenticate();
+    };
+
+    socket.onmessage = (message) => {
+      try {
+        const event = JSON.parse(message.data);
+
+        if (event.type === "error") {
+          console.warn("Live updates:", event.message);
+          this.onStatus(false);
+          if (event.message === "session expired" && this.wallet) {
+            this.expired = true;
+            this.authenticate();
+          }
+        } else if (event.type === "subscribed") {
+          if (event.wallet === this.wallet) this.onStatus(true);
+        } else if (event.wallet === this.wallet && event.type !== "unsubscribed" && event.type !== "authenticated") {
+          this.onEvent(event);
+        }
+      } catch (error) {
+        console.warn("Live update parse error:", error);
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+
+      this.socket = null;
+      this.onStatus(false);
+
+      if (!this.closed) {
+        this.retryTimeout = setTimeout(() => this.connect(), this.delay);
+        this.delay = Math.min(this.delay * 2, MAX_DELAY);
+      }
+    };
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    this.closed = true;
+
+    if (this.retryTimeout) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
+    }
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  }
+}
+
+export default LiveUpdates;
@@ -0,0 +1,103 @@
+// Wallet session with the API (/api/auth), kept in localStorage per wallet
+// A new session asks MetaMask to sign the login challenge; later calls reuse the access token
+// or rotate it with the refresh token, refreshAccessToken only does the latter
+
+import cons from "../cons";
+
+const STORAGE_KEY = "aimas.session.";
+const MARGIN = 60 * 1000; // Access tokens this close to expiry are refreshed first
+
+const pending = new Map(); // wallet -> promise, a refresh token must never be used twice
+
+function load(wallet) {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY + wallet));
+  } catch (error) {
+    return null;
+  }
+}
+
+function store(wallet, session) {
+  localStorage.setItem(STORAGE_KEY + wallet, JSON.stringify({
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresAt: Date.now() + session.expiresIn * 1000
+  }));
+}
+
+async function post(path, body) {
+  const response = await fetch(`${cons.AUTH}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+
+  return response.json();
+}
+
+// Rotate the stored session with its refresh token, null when there is none or the API refuses it
+async function refresh(wallet) {
+  const stored = load(wallet);
+
+  if (stored && stored.refreshToken) {
+    const refreshed = await post("refresh-token", { refreshToken: stored.refreshToken });
+
+    if (refreshed.result) {
+      store(wallet, refreshed);
+      return refreshed.accessToken;
+    }
+  }
+
+  localStorage.removeItem(STORAGE_KEY + wallet);
+  return null;
+}
+
+async function login(web3, wallet) {
+  const stored = load(wallet);
+
+  if (stored && stored.expiresAt - MARGIN > Date.now()) return stored.accessToken;
+
+  const refreshed = await refresh(wallet);
+  if (refreshed) return refreshed;
+
+  const challenge = await post("connect-wallet", { wallet });
+
+  if (!challenge.result) throw new Error(challenge.message || "Login challenge failed");
+
+  const signature = await web3.eth.personal.sign(challenge.message, wallet, "");
+  const session = await post("verify-signature", { wallet, nonce: challenge.nonce, signature });
+
+  if (!session.result) throw new Error(session.message || "Login failed");
+
+  store(wallet, session);
+  return session.accessToken;
+}
+
+// Access token of the wallet's session, opening one if needed
+export function getAccessToken(web3, wallet) {
+  wallet = wallet.toLowerCase();
+
+  if (!pending.has(wallet)) {
+    pending.set(wallet, login(web3, wallet).finally(() => pending.delete(wallet)));
+  }
+
+  return pending.get(wallet);
+}
+
+// New access token from the refresh token only, never asks for a signature; rejects when the session is gone
+export function refreshAccessToken(wallet) {
+  wallet = wallet.toLowerCase();
+
+  if (!pending.has(wallet)) {
+    const renewal = refresh(wallet).then((token) => {
+      if (!token) throw new Error("Session expired, sign in again");
+      return token;
+    });
+
+    pending.set(wallet, renewal.finally(() => pending.delete(wallet)));
+  }
+
+  return pending.get(wallet);
+}
+
+export default getAccessToken;